@@ -5,8 +5,8 @@
 
 import { drawType, drawTypeMin } from '../utils/hypergeometric.js';
 import { formatNumber, formatPercentage, createCache, debounce } from '../utils/simulation.js';
-import { renderMultiColumnTable } from '../utils/tableUtils.js';
-import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import { renderMultiColumnTable, deltaCell } from '../utils/tableUtils.js';
+import { createOrUpdateChart, createComparisonDataset } from '../utils/chartHelpers.js';
 import * as DeckConfig from '../utils/deckConfig.js';
 
 let simulationCache = createCache(100);
@@ -130,16 +130,17 @@ export function calculateLandDropByTurn(deckSize, landCount) {
 
 /**
  * Get current deck configuration
+ * @param {Object} deck - Deck state to use instead of the current deck (e.g. the A/B comparison deck)
  * @returns {Object} - Deck configuration
  */
-export function getDeckConfig() {
-    const config = DeckConfig.getDeckConfig();
-    const deckSize = DeckConfig.getDeckSize(true);
+export function getDeckConfig(deck = null) {
+    const config = deck || DeckConfig.getDeckConfig();
+    const deckSize = DeckConfig.getDeckSize(true, config);
     const landCount = config.lands;
 
-    // Clear cache if deck changed
+    // Clear cache if deck changed (cache keys include the deck, so B can share it)
     const newHash = `${deckSize}-${landCount}`;
-    if (newHash !== lastDeckHash) {
+    if (!deck && newHash !== lastDeckHash) {
         simulationCache.clear();
         lastDeckHash = newHash;
     }
@@ -149,10 +150,11 @@ export function getDeckConfig() {
 
 /**
  * Calculate all results
+ * @param {Object} deck - Deck state to use instead of the current deck
  * @returns {Object} - All calculation results
  */
-export function calculate() {
-    const config = getDeckConfig();
+export function calculate(deck = null) {
+    const config = getDeckConfig(deck);
 
     if (config.deckSize === 0 || config.landCount === 0) {
         return { config, openingHands: null, landDropMiss: null, landDropByTurn: null };
@@ -175,30 +177,38 @@ const getScaleOptions = () => ({
 
 /**
  * Update opening hand chart
+ * @param {Object|null} comparison - Comparison deck (B) results, drawn as outlined bars
  */
-function updateOpeningHandChart(config, openingHands) {
+function updateOpeningHandChart(config, openingHands, comparison = null) {
     const labels = openingHands.distribution.map(d => `${d.lands} land${d.lands !== 1 ? 's' : ''}`);
     const data = openingHands.distribution.map(d => d.probability * 100);
     const backgroundColors = openingHands.distribution.map(d => d.lands === openingHands.median ? COLORS.primaryBright : COLORS.primaryDim);
 
+    const datasets = [{
+        type: 'bar',
+        label: 'Probability (%)',
+        data,
+        backgroundColor: backgroundColors,
+        borderColor: COLORS.primary,
+        borderWidth: 2
+    }];
+
+    if (comparison) {
+        datasets.push(createComparisonDataset(datasets[0], comparison.openingHands.distribution.map(d => d.probability * 100)));
+    }
+
     openingHandChart = createOrUpdateChart(openingHandChart, 'lands-opening-chart', {
         type: 'bar',
         data: {
             labels,
-            datasets: [{
-                label: 'Probability (%)',
-                data,
-                backgroundColor: backgroundColors,
-                borderColor: COLORS.primary,
-                borderWidth: 2
-            }]
+            datasets
         },
         options: {
             scales: getScaleOptions(),
             plugins: {
                 tooltip: {
                     callbacks: {
-                        label: ctx => `Probability: ${ctx.parsed.y.toFixed(2)}%`
+                        label: ctx => `Probability${ctx.dataset.comparison ? ' (B)' : ''}: ${ctx.parsed.y.toFixed(2)}%`
                     }
                 }
             }
@@ -208,37 +218,47 @@ function updateOpeningHandChart(config, openingHands) {
 
 /**
  * Update land drop by turn chart
+ * @param {Object|null} comparison - Comparison deck (B) results, drawn dashed
  */
-function updateLandDropChart(config, landDropByTurn, landDropMiss) {
+function updateLandDropChart(config, landDropByTurn, landDropMiss, comparison = null) {
     const labels = landDropByTurn.map(d => `Turn ${d.turn}`);
     const pointRadii = landDropByTurn.map(d => d.turn === landDropMiss ? 8 : 4);
 
+    const datasets = [
+        {
+            label: 'Make Land Drop',
+            data: landDropByTurn.map(d => d.makeProbability * 100),
+            borderColor: COLORS.primary,
+            backgroundColor: COLORS.primaryFaint,
+            fill: false,
+            tension: 0.3,
+            pointRadius: pointRadii,
+            pointBackgroundColor: landDropByTurn.map(d => d.turn === landDropMiss ? COLORS.white : COLORS.primary)
+        },
+        {
+            label: 'Miss Land Drop',
+            data: landDropByTurn.map(d => d.missProbability * 100),
+            borderColor: COLORS.danger,
+            backgroundColor: COLORS.dangerFaint,
+            fill: false,
+            tension: 0.3,
+            pointRadius: pointRadii,
+            pointBackgroundColor: landDropByTurn.map(d => d.turn === landDropMiss ? COLORS.white : COLORS.danger)
+        }
+    ];
+
+    if (comparison) {
+        datasets.push(
+            createComparisonDataset(datasets[0], comparison.landDropByTurn.map(d => d.makeProbability * 100)),
+            createComparisonDataset(datasets[1], comparison.landDropByTurn.map(d => d.missProbability * 100))
+        );
+    }
+
     landDropChart = createOrUpdateChart(landDropChart, 'lands-landdrop-chart', {
         type: 'line',
         data: {
             labels,
-            datasets: [
-                {
-                    label: 'Make Land Drop',
-                    data: landDropByTurn.map(d => d.makeProbability * 100),
-                    borderColor: COLORS.primary,
-                    backgroundColor: COLORS.primaryFaint,
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: pointRadii,
-                    pointBackgroundColor: landDropByTurn.map(d => d.turn === landDropMiss ? COLORS.white : COLORS.primary)
-                },
-                {
-                    label: 'Miss Land Drop',
-                    data: landDropByTurn.map(d => d.missProbability * 100),
-                    borderColor: COLORS.danger,
-                    backgroundColor: COLORS.dangerFaint,
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: pointRadii,
-                    pointBackgroundColor: landDropByTurn.map(d => d.turn === landDropMiss ? COLORS.white : COLORS.danger)
-                }
-            ]
+            datasets
         },
         options: {
             scales: getScaleOptions(),
@@ -253,23 +273,57 @@ function updateLandDropChart(config, landDropByTurn, landDropMiss) {
     });
 }
 
+/**
+ * Pull the stats table metrics out of a calculate() result
+ * @param {Object} output - { config, openingHands, landDropMiss, landDropByTurn }
+ * @returns {Object} - Raw metric values
+ */
+function summarizeStats({ config, openingHands, landDropMiss, landDropByTurn }) {
+    return {
+        deckSize: config.deckSize,
+        landCount: config.landCount,
+        landDropMiss,
+        medianLands: openingHands.median,
+        goodOpener: openingHands.distribution.slice(2, 5).reduce((sum, d) => sum + d.probability, 0),
+        turn3Drop: landDropByTurn[2].makeProbability
+    };
+}
+
 /**
  * Update stats table
+ * @param {Object|null} comparison - Comparison deck (B) results, shown with deltas
  */
-function updateStatsTable(config, openingHands, landDropMiss, landDropByTurn) {
-    const expectedTurn = landDropMiss === Infinity ? 'Never' : `Turn ${landDropMiss}`;
-    const medianLands = openingHands.median;
-
-    const headers = ['Metric', 'Value'];
-    const rows = [
-        ['Deck Size', config.deckSize],
-        ['Lands in Deck', `${config.landCount} (${((config.landCount / config.deckSize) * 100).toFixed(1)}%)`],
-        { cells: ['Expected Land Drop Miss', expectedTurn], class: 'current' },
-        { cells: ['Median Opening Hand Lands', medianLands], class: 'current' },
-        ['P(2-4 lands in opener)', formatPercentage(openingHands.distribution.slice(2, 5).reduce((sum, d) => sum + d.probability, 0))],
-        ['P(Make Turn 3 Drop)', formatPercentage(landDropByTurn[2].makeProbability)]
+function updateStatsTable(config, openingHands, landDropMiss, landDropByTurn, comparison = null) {
+    const a = summarizeStats({ config, openingHands, landDropMiss, landDropByTurn });
+    const b = comparison ? summarizeStats(comparison) : null;
+
+    const formatTurn = turn => (turn === Infinity ? 'Never' : `Turn ${turn}`);
+    const formatLands = stats => `${stats.landCount} (${((stats.landCount / stats.deckSize) * 100).toFixed(1)}%)`;
+    const finite = value => (Number.isFinite(value) ? value : null);
+    // Deck size and land counts are neither better nor worse, so their deltas aren't colored
+    const neutral = { format: diff => String(diff), epsilon: Infinity };
+    const percent = { format: diff => (diff * 100).toFixed(1) + '%' };
+
+    const metrics = [
+        { label: 'Deck Size', format: stats => stats.deckSize, delta: () => deltaCell(a.deckSize, b.deckSize, neutral) },
+        { label: 'Lands in Deck', format: formatLands, delta: () => deltaCell(a.landCount, b.landCount, neutral) },
+        { label: 'Expected Land Drop Miss', format: stats => formatTurn(stats.landDropMiss), class: 'current',
+            delta: () => deltaCell(finite(a.landDropMiss), finite(b.landDropMiss), { format: diff => String(diff) }) },
+        { label: 'Median Opening Hand Lands', format: stats => stats.medianLands, class: 'current',
+            delta: () => deltaCell(a.medianLands, b.medianLands, neutral) },
+        { label: 'P(2-4 lands in opener)', format: stats => formatPercentage(stats.goodOpener),
+            delta: () => deltaCell(a.goodOpener, b.goodOpener, percent) },
+        { label: 'P(Make Turn 3 Drop)', format: stats => formatPercentage(stats.turn3Drop),
+            delta: () => deltaCell(a.turn3Drop, b.turn3Drop, percent) }
     ];
 
+    const headers = b ? ['Metric', 'Value', 'Deck B', 'Δ vs B'] : ['Metric', 'Value'];
+    const rows = metrics.map(metric => {
+        const cells = [metric.label, metric.format(a)];
+        if (b) cells.push(metric.format(b), metric.delta());
+        return metric.class ? { cells, class: metric.class } : cells;
+    });
+
     renderMultiColumnTable('lands-statsTable', headers, rows);
 }
 
@@ -287,9 +341,13 @@ export function updateUI() {
         return;
     }
 
-    updateOpeningHandChart(config, openingHands);
-    updateLandDropChart(config, landDropByTurn, landDropMiss);
-    updateStatsTable(config, openingHands, landDropMiss, landDropByTurn);
+    const comparisonDeck = DeckConfig.getComparisonDeck();
+    const comparisonOutput = comparisonDeck ? calculate(comparisonDeck) : null;
+    const comparison = comparisonOutput && comparisonOutput.openingHands ? comparisonOutput : null;
+
+    updateOpeningHandChart(config, openingHands, comparison);
+    updateLandDropChart(config, landDropByTurn, landDropMiss, comparison);
+    updateStatsTable(config, openingHands, landDropMiss, landDropByTurn, comparison);
 }
 
 /**
@@ -3,75 +3,26 @@
  * Determines optimal mulligan decisions for any number of card types
  */
 
-import { choose, drawTwoTypeMin, drawThreeTypeMin } from '../utils/hypergeometric.js';
+import { drawMultiType, drawMultiTypeMin, drawTypeMin } from '../utils/hypergeometric.js';
 import { formatNumber, formatPercentage, createCache } from '../utils/simulation.js';
-import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import { createOrUpdateChart, createComparisonDataset } from '../utils/chartHelpers.js';
+import { deltaCell } from '../utils/tableUtils.js';
 import * as DeckConfig from '../utils/deckConfig.js';
+import { registerPersistentState } from '../utils/persistence.js';
+import { escapeHtml } from '../utils/ui.js';
 
 let simulationCache = createCache(100);
 let lastConfigHash = '';
 let chart = null;
 let turnChart = null;
 
-// Card type management
+// Card type management (a type with a tag counts the deck's cards with that tag
+// instead of its typed-in count)
 let cardTypes = [
-    { id: 1, name: 'Lands', count: 36, required: 2, byTurn: 3 }
+    { id: 1, name: 'Lands', count: 36, required: 2, byTurn: 3, tag: null }
 ];
 let nextTypeId = 2;
 
-/**
- * Calculate probability of drawing specific combination of multiple types
- */
-function multiTypeProb(deckSize, typeCounts, drawn, typeDrawn) {
-    const numTypes = typeCounts.length;
-    const totalDrawn = typeDrawn.reduce((sum, n) => sum + n, 0);
-
-    if (totalDrawn > drawn) return 0;
-
-    const othersTotal = deckSize - typeCounts.reduce((sum, n) => sum + n, 0);
-    const othersDrawn = drawn - totalDrawn;
-
-    if (othersDrawn < 0 || othersDrawn > othersTotal) return 0;
-
-    let numerator = choose(othersTotal, othersDrawn);
-    for (let i = 0; i < numTypes; i++) {
-        numerator *= choose(typeCounts[i], typeDrawn[i]);
-    }
-
-    const denominator = choose(deckSize, drawn);
-    return numerator / denominator;
-}
-
-/**
- * Calculate cumulative probability: P(at least typeDrawn[i] of each type)
- * Optimized to use built-in hypergeometric functions for common cases
- */
-function multiTypeProbCumulative(deckSize, typeCounts, drawn, typeDrawnMin) {
-    // Fast path for common cases
-    if (typeCounts.length === 2) {
-        return drawTwoTypeMin(deckSize, typeCounts[0], typeCounts[1], drawn, typeDrawnMin[0], typeDrawnMin[1]);
-    }
-    if (typeCounts.length === 3) {
-        return drawThreeTypeMin(deckSize, typeCounts[0], typeCounts[1], typeCounts[2], drawn, typeDrawnMin[0], typeDrawnMin[1], typeDrawnMin[2]);
-    }
-
-    // General case: enumerate all valid combinations
-    let totalProb = 0;
-    function enumerate(typeIndex, currentDrawn, remainingSlots) {
-        if (typeIndex === typeCounts.length) {
-            totalProb += multiTypeProb(deckSize, typeCounts, drawn, currentDrawn);
-            return;
-        }
-        const minForType = typeDrawnMin[typeIndex];
-        const maxForType = Math.min(typeCounts[typeIndex], remainingSlots);
-        for (let count = minForType; count <= maxForType; count++) {
-            enumerate(typeIndex + 1, [...currentDrawn, count], remainingSlots - count);
-        }
-    }
-    enumerate(0, [], drawn);
-    return totalProb;
-}
-
 /**
  * Calculate success probability for a multi-type hand
  */
@@ -98,46 +49,7 @@ function calcMultiTypeSuccess(deckSize, types, handCounts, onThePlay = false) {
     // Check if already satisfied
     if (needs.every(n => n === 0)) return 1;
 
-    // Use recursive probability calculation for multiple types
-    return calcMultiTypeSuccessRecursive(cardsInDeck, inDeck, cardsToDraw, needs, 0, []);
-}
-
-/**
- * Recursively calculate multi-type success probability
- */
-function calcMultiTypeSuccessRecursive(deckSize, typesInDeck, cardsToDraw, needs, typeIndex, currentDrawn) {
-    if (typeIndex === typesInDeck.length) {
-        // Base case: calculate probability for this combination
-        const totalDrawn = currentDrawn.reduce((sum, n) => sum + n, 0);
-        if (totalDrawn > cardsToDraw) return 0;
-
-        const othersInDeck = deckSize - typesInDeck.reduce((sum, n) => sum + n, 0);
-        const othersDrawn = cardsToDraw - totalDrawn;
-
-        if (othersDrawn < 0 || othersDrawn > othersInDeck) return 0;
-
-        let prob = choose(othersInDeck, othersDrawn);
-        for (let i = 0; i < typesInDeck.length; i++) {
-            prob *= choose(typesInDeck[i], currentDrawn[i]);
-        }
-        prob /= choose(deckSize, cardsToDraw);
-
-        return prob;
-    }
-
-    // Recursive case: sum over all possible draws for this type
-    let totalProb = 0;
-    const minDraw = needs[typeIndex];
-    const maxDraw = Math.min(typesInDeck[typeIndex], cardsToDraw);
-
-    for (let draw = minDraw; draw <= maxDraw; draw++) {
-        totalProb += calcMultiTypeSuccessRecursive(
-            deckSize, typesInDeck, cardsToDraw, needs,
-            typeIndex + 1, [...currentDrawn, draw]
-        );
-    }
-
-    return totalProb;
+    return drawMultiTypeMin(cardsInDeck, inDeck, cardsToDraw, needs);
 }
 
 /**
@@ -152,7 +64,7 @@ function mullStratMultiType(deckSize, types, penalty, freeMulligan = false, onTh
         if (typeIndex === types.length) {
             if (currentCombination.reduce((sum, n) => sum + n, 0) <= 7) {
                 // Calculate hand probability
-                const handProb = multiTypeProb(
+                const handProb = drawMultiType(
                     deckSize,
                     types.map(t => t.count),
                     7,
@@ -313,7 +225,7 @@ function calculateNoMulliganSuccess(deckSize, types, onThePlay) {
     function generateHandCombinations(typeIndex, currentCombination, remainingCards) {
         if (typeIndex === types.length) {
             if (currentCombination.reduce((sum, n) => sum + n, 0) <= 7) {
-                const handProb = multiTypeProb(
+                const handProb = drawMultiType(
                     deckSize,
                     types.map(t => t.count),
                     7,
@@ -344,14 +256,27 @@ function calculateNoMulliganSuccess(deckSize, types, onThePlay) {
     return allHands.reduce((sum, hand) => sum + hand.handProb * hand.successProb, 0);
 }
 
+/**
+ * Get card types with tag-bound counts filled in from a deck
+ * @param {Object} deck - Deck state
+ * @returns {Array<Object>} - Card types; a tag missing from the deck counts 0
+ */
+function resolveCardTypes(deck) {
+    const tagCounts = DeckConfig.getTagCounts(deck);
+    return cardTypes.map(type => (type.tag ? { ...type, count: tagCounts[type.tag] || 0 } : type));
+}
+
 /**
  * Get current configuration from UI
+ * @param {Object} deck - Deck state to use instead of the current deck (e.g. the A/B comparison deck);
+ *   card types stay the same, only the deck size and tag counts change
  */
-export function getDeckConfig() {
-    const config = DeckConfig.getDeckConfig();
+export function getDeckConfig(deck = null) {
+    const config = deck || DeckConfig.getDeckConfig();
     const deckSize = config.creatures + config.instants + config.sorceries +
                     config.artifacts + config.enchantments + config.planeswalkers +
                     config.lands + config.battles;
+    const types = resolveCardTypes(config);
 
     const penalty = parseFloat(document.getElementById('mull-penalty')?.value || 0.2);
     const freeMulligan = document.getElementById('mull-free')?.checked === true;
@@ -359,8 +284,8 @@ export function getDeckConfig() {
     const confidenceThreshold = parseFloat(document.getElementById('mull-threshold')?.value || 85) / 100;
 
     // Clear cache if config changed
-    const newHash = `${deckSize}-${JSON.stringify(cardTypes)}-${penalty}-${freeMulligan}-${onThePlay}-${confidenceThreshold}`;
-    if (newHash !== lastConfigHash) {
+    const newHash = `${deckSize}-${JSON.stringify(types)}-${penalty}-${freeMulligan}-${onThePlay}-${confidenceThreshold}`;
+    if (!deck && newHash !== lastConfigHash) {
         simulationCache.clear();
         lastConfigHash = newHash;
     }
@@ -371,15 +296,16 @@ export function getDeckConfig() {
         freeMulligan,
         onThePlay,
         confidenceThreshold,
-        types: cardTypes
+        types
     };
 }
 
 /**
  * Calculate optimal strategy
+ * @param {Object} deck - Deck state to use instead of the current deck
  */
-export function calculate() {
-    const config = getDeckConfig();
+export function calculate(deck = null) {
+    const config = getDeckConfig(deck);
 
     if (config.deckSize === 0 || config.types.length === 0) {
         return { config, result: null };
@@ -409,13 +335,31 @@ function renderCardTypes() {
     const container = document.getElementById('mull-types-container');
     if (!container) return;
 
-    container.innerHTML = cardTypes.map(t => `<div class="card-type-row" data-type-id="${t.id}">
+    const tagCounts = DeckConfig.getTagCounts();
+    const types = resolveCardTypes(DeckConfig.getDeckConfig());
+
+    // Offer every tag in the deck, plus a bound tag the deck no longer has
+    const tagOptions = t => {
+        const tags = Object.keys(tagCounts);
+        if (t.tag && !tags.includes(t.tag)) tags.push(t.tag);
+        return tags.map(tag => `<option value="${escapeHtml(tag)}" ${tag === t.tag ? 'selected' : ''}>
+            ${escapeHtml(tag)} (${tagCounts[tag] || 0})</option>`).join('');
+    };
+
+    container.innerHTML = types.map(t => `<div class="card-type-row" data-type-id="${t.id}">
         <div class="type-header">
-            <input type="text" class="type-name-input" value="${t.name}" placeholder="Type name" data-type-id="${t.id}">
+            <input type="text" class="type-name-input" value="${escapeHtml(t.name)}" placeholder="Type name" data-type-id="${t.id}">
             ${cardTypes.length > 1 ? `<button class="remove-type-btn" data-type-id="${t.id}" aria-label="Remove type">✕</button>` : ''}
         </div>
         <div class="type-grid">
-            <div class="type-input"><label>Cards in Deck</label><input type="number" class="type-count" value="${t.count}" min="0" data-type-id="${t.id}"></div>
+            <div class="type-input type-tag-input"><label>Count From</label>
+                <select class="type-tag" data-type-id="${t.id}" aria-label="Count cards in deck from">
+                    <option value="">Typed number</option>
+                    ${tagOptions(t)}
+                </select>
+            </div>
+            <div class="type-input"><label>Cards in Deck</label><input type="number" class="type-count" value="${t.count}" min="0" data-type-id="${t.id}"
+                ${t.tag ? `disabled title="Counted from the ${escapeHtml(t.tag)} tag"` : ''}></div>
             <div class="type-input"><label>Need in Hand</label><input type="number" class="type-required" value="${t.required}" min="0" max="7" data-type-id="${t.id}"></div>
             <div class="type-input"><label>By Turn</label><input type="number" class="type-turn" value="${t.byTurn}" min="1" max="10" data-type-id="${t.id}"></div>
         </div>
@@ -439,6 +383,17 @@ function renderCardTypes() {
     updateType('.type-required', 'required', v => parseInt(v) || 0);
     updateType('.type-turn', 'byTurn', v => parseInt(v) || 1);
 
+    container.querySelectorAll('.type-tag').forEach(select => {
+        select.addEventListener('change', e => {
+            const type = cardTypes.find(t => t.id === parseInt(e.target.dataset.typeId));
+            if (type) {
+                type.tag = e.target.value || null;
+                renderCardTypes();
+                updateUI();
+            }
+        });
+    });
+
     container.querySelectorAll('.remove-type-btn').forEach(btn => {
         btn.addEventListener('click', e => {
             cardTypes = cardTypes.filter(t => t.id !== parseInt(e.target.dataset.typeId));
@@ -457,7 +412,8 @@ function addCardType() {
         name: `Type ${cardTypes.length + 1}`,
         count: 0,
         required: 1,
-        byTurn: 3
+        byTurn: 3,
+        tag: null
     });
     renderCardTypes();
     updateUI();
@@ -505,7 +461,7 @@ function updateStrategyTable(config, result, sharedData) {
             // Calculate display probability
             let displayProb = hand.handProb;
             if (useCumulative) {
-                displayProb = multiTypeProbCumulative(config.deckSize, sharedData.typeCounts, 7, hand.counts);
+                displayProb = drawMultiTypeMin(config.deckSize, sharedData.typeCounts, 7, hand.counts);
             }
 
             // Only show rows where hand probability is relevant (>0.01%) or it's a keep
@@ -541,7 +497,7 @@ function updateStrategyTable(config, result, sharedData) {
         // Calculate display probability
         let displayProb = hand.handProb;
         if (useCumulative) {
-            displayProb = multiTypeProbCumulative(config.deckSize, sharedData.typeCounts, 7, hand.counts);
+            displayProb = drawMultiTypeMin(config.deckSize, sharedData.typeCounts, 7, hand.counts);
         }
 
         // Build explanation of what you need to draw
@@ -621,8 +577,9 @@ function calculateMulliganBreakdown(strategy, freeMulligan, bestKeepProb) {
 
 /**
  * Update summary stats with clearer explanations
+ * @param {Object|null} comparison - Comparison deck (B) { config, result }, shown as a delta
  */
-function updateSummary(config, result, sharedData) {
+function updateSummary(config, result, sharedData, comparison = null) {
     const summaryEl = document.getElementById('mull-summary');
     if (!summaryEl) return;
 
@@ -646,9 +603,15 @@ function updateSummary(config, result, sharedData) {
         return `<li style="margin-bottom:12px;padding-bottom:12px;border-bottom:1px solid rgba(255,255,255,0.05)"><div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:4px"><span style="color:var(--text-light);font-weight:600">+1 ${config.types[i].name}</span><span style="font-size:0.85em;font-weight:bold;color:${color};background:rgba(255,255,255,0.05);padding:2px 8px;border-radius:4px">${label}</span></div><div style="font-size:0.9em;color:var(--text-secondary)">Increases consistency by <strong style="color:${color}">${formatPercentage(Math.max(0, b.overall), 2)}</strong><span style="font-size:0.9em;color:var(--text-dim)"> (Natural: +${formatPercentage(Math.max(0, b.baseline), 2)})</span></div></li>`;
     }).join('');
 
+    let comparisonHTML = '';
+    if (comparison) {
+        const delta = deltaCell(result.expectedSuccess * 100, comparison.result.expectedSuccess * 100, { format: diff => diff.toFixed(1) + '%' });
+        comparisonHTML = `<div style="${s.sub}">Deck B: ${formatPercentage(comparison.result.expectedSuccess)} <span class="${delta.class}">(${delta.value})</span></div>`;
+    }
+
     const breakdownHTML = sharedData.breakdown.map(m => `<div style="display:flex;justify-content:space-between;padding:4px 0;font-size:0.9em"><span style="color:var(--text-secondary)">${m.label}</span><span style="color:var(--text-light)">${formatPercentage(m.cumulative)}</span></div>`).join('');
 
-    summaryEl.innerHTML = `<div style="display:grid;grid-template-columns:1fr 1fr;gap:16px;margin-bottom:24px"><div style="${s.card};background:linear-gradient(135deg,rgba(192,132,252,0.1) 0%,rgba(10,10,18,0) 100%);border:1px solid rgba(192,132,252,0.2)"><div style="${s.label}">Expected Success</div><div style="${s.big};color:#c084fc">${formatPercentage(result.expectedSuccess)}</div><div style="${s.sub}">Win rate with optimal play</div></div><div style="${s.card};background:rgba(34,197,94,0.05);border:1px solid rgba(34,197,94,0.2)"><div style="${s.label}">Confidence Check</div><div style="${s.big};color:#4ade80">${formatPercentage(confidenceConsistency)}</div><div style="${s.sub}">of kept hands meet >${formatPercentage(config.confidenceThreshold)} reqs</div></div></div><div style="background:var(--panel-bg-alt);border-radius:8px;padding:16px;margin-bottom:20px"><div style="margin-bottom:12px;color:var(--text-secondary);font-size:0.95em">This strategy suggests mulliganing <strong>${formatNumber(result.avgMulligans, 2)}</strong> times on average.</div><details><summary style="cursor:pointer;color:var(--text-dim);font-size:0.85em">View Strategy Details</summary><div style="margin-top:12px;padding-top:12px;border-top:1px solid var(--border-color)">${breakdownHTML}</div></details></div><div style="background:rgba(255,255,255,0.02);border:1px solid var(--border-color);border-radius:8px;padding:16px"><h3 style="margin:0 0 16px 0;font-size:0.95em;color:var(--text-light);text-transform:uppercase;letter-spacing:0.5px">💡 Marginal Value Analysis</h3><ul style="margin:0;padding:0;list-style:none">${marginalsHTML}</ul></div>`;
+    summaryEl.innerHTML = `<div style="display:grid;grid-template-columns:1fr 1fr;gap:16px;margin-bottom:24px"><div style="${s.card};background:linear-gradient(135deg,rgba(192,132,252,0.1) 0%,rgba(10,10,18,0) 100%);border:1px solid rgba(192,132,252,0.2)"><div style="${s.label}">Expected Success</div><div style="${s.big};color:#c084fc">${formatPercentage(result.expectedSuccess)}</div><div style="${s.sub}">Win rate with optimal play</div>${comparisonHTML}</div><div style="${s.card};background:rgba(34,197,94,0.05);border:1px solid rgba(34,197,94,0.2)"><div style="${s.label}">Confidence Check</div><div style="${s.big};color:#4ade80">${formatPercentage(confidenceConsistency)}</div><div style="${s.sub}">of kept hands meet >${formatPercentage(config.confidenceThreshold)} reqs</div></div></div><div style="background:var(--panel-bg-alt);border-radius:8px;padding:16px;margin-bottom:20px"><div style="margin-bottom:12px;color:var(--text-secondary);font-size:0.95em">This strategy suggests mulliganing <strong>${formatNumber(result.avgMulligans, 2)}</strong> times on average.</div><details><summary style="cursor:pointer;color:var(--text-dim);font-size:0.85em">View Strategy Details</summary><div style="margin-top:12px;padding-top:12px;border-top:1px solid var(--border-color)">${breakdownHTML}</div></details></div><div style="background:rgba(255,255,255,0.02);border:1px solid var(--border-color);border-radius:8px;padding:16px"><h3 style="margin:0 0 16px 0;font-size:0.95em;color:var(--text-light);text-transform:uppercase;letter-spacing:0.5px">💡 Marginal Value Analysis</h3><ul style="margin:0;padding:0;list-style:none">${marginalsHTML}</ul></div>`;
 }
 
 /**
@@ -679,16 +642,12 @@ function calculateTurnProbabilities(config) {
         const cardsSeen = turn === 0 ? 7 : 7 + (config.onThePlay ? Math.max(0, turn - 1) : turn);
 
         // Individual type probabilities
-        const typeProbabilities = config.types.map(type => {
-            let prob = 0;
-            for (let drawn = type.required; drawn <= Math.min(type.count, cardsSeen); drawn++) {
-                prob += multiTypeProb(config.deckSize, [type.count], cardsSeen, [drawn]);
-            }
-            return prob;
-        });
+        const typeProbabilities = config.types.map(type =>
+            drawTypeMin(config.deckSize, type.count, cardsSeen, type.required)
+        );
 
-        // Combined probability using cumulative function
-        const combinedProb = multiTypeProbCumulative(
+        // Combined probability across all types
+        const combinedProb = drawMultiTypeMin(
             config.deckSize,
             config.types.map(t => t.count),
             cardsSeen,
@@ -703,20 +662,30 @@ function calculateTurnProbabilities(config) {
 
 /**
  * Update visualization charts
+ * @param {Object|null} comparison - Comparison deck (B) { config, sharedData }, drawn dashed
  */
-function updateChart(config, sharedData) {
+function updateChart(config, sharedData, comparison = null) {
     // Mulligan Success Chart
     if (document.getElementById('mull-chart')) {
         const labels = sharedData.breakdown.map(m => m.label.includes('Opening') ? 'Opening' : `Mull ${m.label.match(/\d+/)?.[0] || ''}`);
 
+        const datasets = [
+            { type: 'bar', label: 'Single attempt', data: sharedData.breakdown.map(m => m.keepProbability * 100), backgroundColor: 'rgba(220, 38, 38, 0.8)', borderColor: '#dc2626', borderWidth: 1, order: 2 },
+            { label: 'Cumulative', data: sharedData.breakdown.map(m => m.cumulative * 100), type: 'line', borderColor: '#c084fc', backgroundColor: 'rgba(192, 132, 252, 0.15)', fill: true, tension: 0.4, pointRadius: 5, pointBackgroundColor: '#c084fc', pointBorderColor: '#fff', pointBorderWidth: 2, order: 1 }
+        ];
+        if (comparison) {
+            const { breakdown } = comparison.sharedData;
+            datasets.push(
+                createComparisonDataset(datasets[0], breakdown.map(m => m.keepProbability * 100)),
+                createComparisonDataset(datasets[1], breakdown.map(m => m.cumulative * 100))
+            );
+        }
+
         chart = createOrUpdateChart(chart, 'mull-chart', {
             type: 'bar',
             data: {
                 labels,
-                datasets: [
-                    { label: 'Single attempt', data: sharedData.breakdown.map(m => m.keepProbability * 100), backgroundColor: 'rgba(220, 38, 38, 0.8)', borderColor: '#dc2626', borderWidth: 1, order: 2 },
-                    { label: 'Cumulative', data: sharedData.breakdown.map(m => m.cumulative * 100), type: 'line', borderColor: '#c084fc', backgroundColor: 'rgba(192, 132, 252, 0.15)', fill: true, tension: 0.4, pointRadius: 5, pointBackgroundColor: '#c084fc', pointBorderColor: '#fff', pointBorderWidth: 2, order: 1 }
-                ]
+                datasets
             },
             options: getChartOptions('Mulligan')
         });
@@ -745,6 +714,11 @@ function updateChart(config, sharedData) {
             { label: 'Confidence Threshold', data: sharedData.turnData.map(() => config.confidenceThreshold * 100), borderColor: '#22c55e', borderWidth: 2, borderDash: [2, 2], pointRadius: 0, fill: false, order: 0 },
             { label: 'Combined (ALL)', data: sharedData.turnData.map(d => d.combinedProb * 100), borderColor: '#c084fc', backgroundColor: 'rgba(192, 132, 252, 0.15)', borderWidth: 3, fill: true, tension: 0.3, pointRadius: 5, pointBackgroundColor: '#c084fc', pointBorderColor: '#fff', pointBorderWidth: 2 }
         ];
+        if (comparison) {
+            // Only the combined curve is overlaid; per-type curves would double the legend
+            const turnData = calculateTurnProbabilities(comparison.config);
+            datasets.push(createComparisonDataset(datasets[datasets.length - 1], turnData.map(d => d.combinedProb * 100)));
+        }
 
         turnChart = createOrUpdateChart(turnChart, 'mull-turn-chart', {
             type: 'line',
@@ -754,6 +728,29 @@ function updateChart(config, sharedData) {
     }
 }
 
+/**
+ * Run the same card type requirements against the comparison deck (B)
+ * @param {Object} config - Current (A) configuration
+ * @returns {Object|null} - { config, result, sharedData }, or null without a usable comparison deck
+ */
+function calculateComparison(config) {
+    const deck = DeckConfig.getComparisonDeck();
+    if (!deck) return null;
+
+    // B must be big enough to hold the typed cards
+    const typedCards = config.types.reduce((sum, type) => sum + type.count, 0);
+    if (getDeckConfig(deck).deckSize < typedCards) return null;
+
+    const { config: comparisonConfig, result } = calculate(deck);
+    if (!result) return null;
+
+    return {
+        config: comparisonConfig,
+        result,
+        sharedData: { breakdown: calculateMulliganBreakdown(result.strategy, comparisonConfig.freeMulligan, result.bestKeepProb) }
+    };
+}
+
 /**
  * Update all UI elements
  */
@@ -774,9 +771,11 @@ export function updateUI() {
         turnData: null  // Lazy computed on first use
     };
 
-    updateChart(config, sharedData);
+    const comparison = calculateComparison(config);
+
+    updateChart(config, sharedData, comparison);
     updateStrategyTable(config, result, sharedData);
-    updateSummary(config, result, sharedData);
+    updateSummary(config, result, sharedData, comparison);
 }
 
 /**
@@ -850,10 +849,35 @@ export function init() {
         if (checkbox) checkbox.addEventListener('change', () => updateUI());
     });
 
-    // Listen for deck configuration changes
+    // Listen for deck configuration changes (tag counts and tag options may have changed)
     DeckConfig.onDeckUpdate(() => {
+        renderCardTypes();
         updateUI();
     });
 
+    // Card type rows aren't inputs with ids, so they're saved separately
+    registerPersistentState('mulligan.cardTypes', {
+        get: () => cardTypes.map(type => ({ ...type })),
+        // Share links restore this too, so only accept well-formed rows within the inputs' ranges
+        set: types => {
+            if (!Array.isArray(types)) return;
+            const valid = types.filter(type => type && typeof type === 'object');
+            if (valid.length === 0) return;
+
+            const clamp = (value, min, max, fallback) => Math.min(max, Math.max(min, parseInt(value) || fallback));
+            cardTypes = valid.map((type, i) => ({
+                id: i + 1,
+                name: typeof type.name === 'string' ? type.name.slice(0, 60) : `Type ${i + 1}`,
+                count: clamp(type.count, 0, 250, 0),
+                required: clamp(type.required, 0, 7, 0),
+                byTurn: clamp(type.byTurn, 1, 10, 1),
+                tag: typeof type.tag === 'string' && type.tag.trim() ? type.tag.trim() : null
+            }));
+            nextTypeId = cardTypes.length + 1;
+            renderCardTypes();
+            updateUI();
+        }
+    });
+
     updateUI();
 }
\ No newline at end of file
@@ -1,17 +1,21 @@
 /**
  * Portent of Calamity Calculator
- * Simulates card type diversity for Portent of Calamity spell
+ * Computes the exact card type diversity for Portent of Calamity spell
  */
 
-import { createCache, partialShuffle, formatNumber, formatPercentage, debounce } from '../utils/simulation.js';
-import { renderMultiColumnTable } from '../utils/tableUtils.js';
-import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import {
+    createCache, formatNumber, formatPercentage, debounce,
+    createRng, nextSampleSeed
+} from '../utils/simulation.js';
+import { portentOfCalamity, sampleScenario } from '../utils/scenarioEngine.js';
+import { drawMaskUnion, popcount } from '../utils/hypergeometric.js';
+import { renderMultiColumnTable, deltaCell } from '../utils/tableUtils.js';
+import { createOrUpdateChart, createComparisonDataset } from '../utils/chartHelpers.js';
 import { bindInputSync } from '../utils/ui.js';
 import * as DeckConfig from '../utils/deckConfig.js';
-import { renderDistributionChart } from '../utils/sampleSimulator.js';
+import { renderDistributionChart, renderSeedInfo } from '../utils/sampleSimulator.js';
 
 const CONFIG = {
-    ITERATIONS: 25000,
     X_RANGE_BEFORE: 3,
     X_RANGE_AFTER: 4,
     FREE_SPELL_THRESHOLD: 4
@@ -38,38 +42,24 @@ const COLORS = {
     land: '#92867d'
 };
 
-let simulationCache = createCache(50);
-let lastDeckHash = '';
+let resultCache = createCache(50);
 let chart = null;
 
 /**
- * Run Monte Carlo simulation for Portent of Calamity
- * @param {number} deckSize - Total cards in library
+ * Count the deck's cards per type bitmask
  * @param {Object} typeCounts - Card counts by type
- * @param {number} x - X value (cards to reveal)
- * @param {Object} cardData - Imported card data (for accurate simulation)
- * @returns {Object} - Simulation results
+ * @param {Object} cardData - Imported card data (for dual-typed cards)
+ * @returns {Array<number>} - Card count per mask (index = mask, length 2^types)
  */
-function simulatePortent(deckSize, typeCounts, x, cardData) {
-    const cacheKey = `${deckSize}-${x}`;
-    const cached = simulationCache.get(cacheKey);
-    if (cached) return cached;
-
+function buildMaskCounts(typeCounts, cardData) {
     // IMPORTANT: Include ALL types (including land!) - Portent cares about ALL card types
     const types = Object.keys(typeCounts).filter(t => typeCounts[t] > 0);
-    const typeToIndex = {};
-    types.forEach((type, idx) => { typeToIndex[type] = idx; });
-    const numTypes = types.length;
-
-    // Build deck array where each card is represented as a bitmask of its types
-    // This handles dual-typed cards correctly (e.g., Artifact Creature has both bits set)
-    const deck = [];
+    const maskCounts = new Array(1 << types.length).fill(0);
 
     if (cardData && cardData.cardsByName && Object.keys(cardData.cardsByName).length > 0) {
-        // Use actual card data for accurate simulation (INCLUDING LANDS!)
+        // Use actual card data so dual-typed cards (e.g., Artifact Creature) set both bits
         Object.values(cardData.cardsByName).forEach(card => {
             if (card.type_line) {
-                // Determine which types this card has
                 let typeMask = 0;
                 const cardTypes = card.type_line.toLowerCase();
 
@@ -79,67 +69,82 @@ function simulatePortent(deckSize, typeCounts, x, cardData) {
                     }
                 });
 
-                // Add this card (with its type mask) to the deck
-                for (let i = 0; i < card.count; i++) {
-                    deck.push(typeMask);
-                }
+                maskCounts[typeMask] += card.count;
             }
         });
     } else {
         // Fallback: assume each card is single-typed (for manual entry)
         // This includes lands too!
         types.forEach((type, typeIdx) => {
-            const count = typeCounts[type];
-            const typeMask = 1 << typeIdx;
-            for (let i = 0; i < count; i++) {
-                deck.push(typeMask);
-            }
+            maskCounts[1 << typeIdx] += typeCounts[type];
         });
     }
 
-    const typeCountDist = new Uint32Array(numTypes + 1);
-    let totalCardsToHand = 0;
-    const drawCount = Math.min(x, deckSize);
-
-    // Run simulations
-    for (let iter = 0; iter < CONFIG.ITERATIONS; iter++) {
-        // Partial Fisher-Yates shuffle
-        partialShuffle(deck, drawCount, deckSize);
-
-        // Count unique types from revealed cards
-        let seenTypesMask = 0;
-        for (let i = 0; i < drawCount; i++) {
-            seenTypesMask |= deck[i];
-        }
+    return maskCounts;
+}
 
-        // Count bits set in mask (number of unique types)
-        let uniqueTypes = 0;
-        for (let i = 0; i < numTypes; i++) {
-            if (seenTypesMask & (1 << i)) {
-                uniqueTypes++;
-            }
-        }
+/**
+ * Exact Portent of Calamity distribution for one X
+ * Revealing X cards is a multivariate hypergeometric over the mask groups, so the
+ * number of distinct types exiled follows from the distribution of the revealed masks' union.
+ * @param {Array<number>} maskCounts - Card count per type mask
+ * @param {number} x - X value (cards to reveal)
+ * @returns {Object} - { typeDist, expectedCardsToHand }
+ */
+function computePortent(maskCounts, x) {
+    const cacheKey = `${x}-${maskCounts.join(',')}`;
+    const cached = resultCache.get(cacheKey);
+    if (cached) return cached;
 
-        typeCountDist[uniqueTypes]++;
-        totalCardsToHand += uniqueTypes >= CONFIG.FREE_SPELL_THRESHOLD ? uniqueTypes - 1 : uniqueTypes;
-    }
+    const numTypes = Math.log2(maskCounts.length);
+    const unionDist = drawMaskUnion(maskCounts, x);
+    const typeDist = new Array(numTypes + 1).fill(0);
+    unionDist.forEach((p, mask) => {
+        typeDist[popcount(mask)] += p;
+    });
 
-    const result = {
-        typeDist: Array.from(typeCountDist).map(c => c / CONFIG.ITERATIONS),
-        expectedCardsToHand: totalCardsToHand / CONFIG.ITERATIONS
-    };
+    // One card per type goes to hand, minus the one cast for free at the threshold
+    const expectedCardsToHand = typeDist.reduce(
+        (sum, p, types) => sum + p * (types >= CONFIG.FREE_SPELL_THRESHOLD ? types - 1 : types), 0
+    );
 
-    simulationCache.set(cacheKey, result);
+    const result = { typeDist, expectedCardsToHand };
+    resultCache.set(cacheKey, result);
     return result;
 }
 
+/**
+ * Build per-X results from exact distributions
+ * @param {Object} dists - Map of X -> { typeDist, expectedCardsToHand }
+ * @returns {Object} - Map of X -> results row
+ */
+function buildResults(dists) {
+    const results = {};
+
+    Object.entries(dists).forEach(([x, dist]) => {
+        const typeDist = dist.typeDist;
+
+        results[x] = {
+            expectedCards: dist.expectedCardsToHand,
+            prob4Plus: typeDist.slice(CONFIG.FREE_SPELL_THRESHOLD).reduce((a, b) => a + b, 0),
+            probExact4: typeDist[CONFIG.FREE_SPELL_THRESHOLD] || 0,
+            prob5Plus: typeDist.slice(CONFIG.FREE_SPELL_THRESHOLD + 1).reduce((a, b) => a + b, 0),
+            expectedTypes: typeDist.reduce((sum, p, i) => sum + p * i, 0),
+            typeDist: typeDist
+        };
+    });
+
+    return results;
+}
+
 /**
  * Get current deck configuration from shared config
+ * @param {Object} deck - Deck state to use instead of the current deck (e.g. the A/B comparison deck)
  * @returns {Object} - Deck configuration
  */
-export function getDeckConfig() {
-    const config = DeckConfig.getDeckConfig();
-    const cardData = DeckConfig.getImportedCardData();
+export function getDeckConfig(deck = null) {
+    const config = deck || DeckConfig.getDeckConfig();
+    const cardData = DeckConfig.getImportedCardData(config);
 
     const types = {
         creature: config.creatures,
@@ -153,17 +158,10 @@ export function getDeckConfig() {
     };
 
     // Use getDeckSize helper (handles actualCardCount properly)
-    const deckSize = DeckConfig.getDeckSize(true);
-
-    // Clear cache if deck changed
-    const newHash = JSON.stringify(types);
-    if (newHash !== lastDeckHash) {
-        simulationCache.clear();
-        lastDeckHash = newHash;
-    }
+    const deckSize = DeckConfig.getDeckSize(true, config);
 
     const xSlider = document.getElementById('portent-xSlider');
-    if (xSlider) {
+    if (xSlider && !deck) {
         xSlider.max = Math.min(deckSize, 30);
     }
 
@@ -177,73 +175,102 @@ export function getDeckConfig() {
 
 /**
  * Calculate probabilities for current deck configuration
+ * @param {Object} deck - Deck state to use instead of the current deck
  * @returns {Object} - Calculation results
  */
-export function calculate() {
-    const config = getDeckConfig();
+export function calculate(deck = null) {
+    const config = getDeckConfig(deck);
 
     if (config.deckSize === 0) {
         return { config, results: {} };
     }
 
-    const results = {};
     const minX = Math.max(1, config.x - CONFIG.X_RANGE_BEFORE);
     const maxX = Math.min(config.x + CONFIG.X_RANGE_AFTER, config.deckSize);
 
-    for (let testX = minX; testX <= maxX; testX++) {
-        const sim = simulatePortent(config.deckSize, config.types, testX, config.cardData);
-        const typeDist = sim.typeDist;
+    return { config, results: computeRange(config, minX, maxX) };
+}
 
-        results[testX] = {
-            expectedCards: sim.expectedCardsToHand,
-            prob4Plus: typeDist.slice(CONFIG.FREE_SPELL_THRESHOLD).reduce((a, b) => a + b, 0),
-            probExact4: typeDist[CONFIG.FREE_SPELL_THRESHOLD] || 0,
-            prob5Plus: typeDist.slice(CONFIG.FREE_SPELL_THRESHOLD + 1).reduce((a, b) => a + b, 0),
-            expectedTypes: typeDist.reduce((sum, p, i) => sum + p * i, 0),
-            typeDist: typeDist
-        };
+/**
+ * Compute results for a range of X values
+ * @param {Object} config - Deck configuration
+ * @param {number} minX - First X
+ * @param {number} maxX - Last X (capped at the deck size)
+ * @returns {Object} - Map of X -> results row
+ */
+function computeRange(config, minX, maxX) {
+    const maskCounts = buildMaskCounts(config.types, config.cardData);
+    const dists = {};
+    for (let testX = minX; testX <= Math.min(maxX, config.deckSize); testX++) {
+        dists[testX] = computePortent(maskCounts, testX);
     }
 
-    return { config, results };
+    return buildResults(dists);
+}
+
+/**
+ * Calculate the comparison deck (B) over the current deck's X range
+ * @param {Object} results - Current deck results (keys are the X values shown)
+ * @returns {Object|null} - Map of X -> results row, or null without a comparison deck
+ */
+function calculateComparison(results) {
+    const deck = DeckConfig.getComparisonDeck();
+    if (!deck) return null;
+
+    const config = getDeckConfig(deck);
+    if (config.deckSize === 0) return {};
+
+    const xValues = Object.keys(results).map(Number);
+    return computeRange(config, Math.min(...xValues), Math.max(...xValues));
 }
 
 /**
  * Update chart visualization
  * @param {Object} config - Deck configuration
  * @param {Object} results - Calculation results
+ * @param {Object|null} comparison - Comparison deck (B) results by X, drawn dashed
  */
-function updateChart(config, results) {
+function updateChart(config, results, comparison) {
     const xValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     const pointRadii = xValues.map(x => x === config.x ? 8 : 4);
 
+    const datasets = [
+        {
+            label: 'P(Free Spell) %',
+            data: xValues.map(x => results[x].prob4Plus * 100),
+            borderColor: COLORS.primary,
+            backgroundColor: COLORS.primaryDim,
+            fill: false,
+            tension: 0.3,
+            pointRadius: pointRadii,
+            pointBackgroundColor: xValues.map(x => x === config.x ? COLORS.white : COLORS.primary),
+            yAxisID: 'yProb'
+        },
+        {
+            label: 'Types Exiled',
+            data: xValues.map(x => results[x].expectedTypes),
+            borderColor: COLORS.danger,
+            backgroundColor: COLORS.dangerDim,
+            fill: false,
+            tension: 0.3,
+            pointRadius: pointRadii,
+            pointBackgroundColor: xValues.map(x => x === config.x ? COLORS.white : COLORS.danger),
+            yAxisID: 'yTypes'
+        }
+    ];
+
+    if (comparison) {
+        datasets.push(
+            createComparisonDataset(datasets[0], xValues.map(x => comparison[x] ? comparison[x].prob4Plus * 100 : null)),
+            createComparisonDataset(datasets[1], xValues.map(x => comparison[x] ? comparison[x].expectedTypes : null))
+        );
+    }
+
     chart = createOrUpdateChart(chart, 'portent-combinedChart', {
         type: 'line',
         data: {
             labels: xValues.map(x => 'X=' + x),
-            datasets: [
-                {
-                    label: 'P(Free Spell) %',
-                    data: xValues.map(x => results[x].prob4Plus * 100),
-                    borderColor: COLORS.primary,
-                    backgroundColor: COLORS.primaryDim,
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: pointRadii,
-                    pointBackgroundColor: xValues.map(x => x === config.x ? COLORS.white : COLORS.primary),
-                    yAxisID: 'yProb'
-                },
-                {
-                    label: 'Types Exiled',
-                    data: xValues.map(x => results[x].expectedTypes),
-                    borderColor: COLORS.danger,
-                    backgroundColor: COLORS.dangerDim,
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: pointRadii,
-                    pointBackgroundColor: xValues.map(x => x === config.x ? COLORS.white : COLORS.danger),
-                    yAxisID: 'yTypes'
-                }
-            ]
+            datasets
         },
         options: {
             scales: {
@@ -254,7 +281,12 @@ function updateChart(config, results) {
             plugins: {
                 tooltip: {
                     callbacks: {
-                        label: ctx => ctx.datasetIndex === 0 ? `Free spell: ${ctx.parsed.y.toFixed(1)}%` : `Types exiled: ${ctx.parsed.y.toFixed(2)}`
+                        label: ctx => {
+                            const deck = ctx.dataset.comparison ? ' (B)' : '';
+                            return ctx.dataset.yAxisID === 'yProb'
+                                ? `Free spell${deck}: ${ctx.parsed.y.toFixed(1)}%`
+                                : `Types exiled${deck}: ${ctx.parsed.y.toFixed(2)}`;
+                        }
                     }
                 }
             }
@@ -266,13 +298,15 @@ function updateChart(config, results) {
  * Update comparison table
  * @param {Object} config - Deck configuration
  * @param {Object} results - Calculation results
+ * @param {Object|null} comparison - Comparison deck (B) results by X
  */
-function updateTable(config, results) {
+function updateTable(config, results, comparison) {
     const xValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     const currentResult = results[config.x];
 
     const headers = ['X', 'P(Free Spell)', 'Δ Prob', 'Types Exiled', 'Δ Types'];
-    
+    if (comparison) headers.push('P(Free Spell) vs B', 'Types vs B');
+
     const rows = xValues.map(x => {
         const r = results[x];
         const deltaProb = (r.prob4Plus - currentResult.prob4Plus) * 100;
@@ -287,7 +321,11 @@ function updateTable(config, results) {
                 formatPercentage(r.prob4Plus),
                 { value: isBaseline ? '-' : (deltaProb >= 0 ? '+' : '') + deltaProb.toFixed(1) + '%', class: probClass },
                 formatNumber(r.expectedTypes, 2),
-                { value: isBaseline ? '-' : (deltaTypes >= 0 ? '+' : '') + formatNumber(deltaTypes, 2), class: typesClass }
+                { value: isBaseline ? '-' : (deltaTypes >= 0 ? '+' : '') + formatNumber(deltaTypes, 2), class: typesClass },
+                ...(comparison ? [
+                    deltaCell(r.prob4Plus * 100, comparison[x] && comparison[x].prob4Plus * 100, { format: diff => diff.toFixed(1) + '%' }),
+                    deltaCell(r.expectedTypes, comparison[x] && comparison[x].expectedTypes, { format: diff => formatNumber(diff, 2), higherIsBetter: false })
+                ] : [])
             ],
             class: isBaseline ? 'current' : ''
         };
@@ -374,22 +412,18 @@ export function runSampleReveals() {
         }
     });
 
+    const seed = nextSampleSeed();
+    const samples = sampleScenario(portentOfCalamity(config.x), deck, numSims, createRng(seed));
+
     // Run simulations
     let revealsHTML = '';
     let freeSpellCount = 0;
     const typeDistribution = new Array(9).fill(0); // Track 0-8 types
     let totalTypesExiled = 0;
 
-    for (let i = 0; i < numSims; i++) {
-        // Fisher-Yates shuffle
-        const shuffled = [...deck];
-        for (let j = shuffled.length - 1; j > 0; j--) {
-            const k = Math.floor(Math.random() * (j + 1));
-            [shuffled[j], shuffled[k]] = [shuffled[k], shuffled[j]];
-        }
-
-        // Reveal X cards (same as Portent would reveal)
-        const revealed = shuffled.slice(0, config.x);
+    samples.forEach((outcome, i) => {
+        // Every revealed card is exiled
+        const revealed = outcome.hits;
 
         // Analyze revealed cards - count unique types
         const typesRevealed = new Set();
@@ -423,7 +457,7 @@ export function runSampleReveals() {
         revealsHTML += sortedTypes.map(type => `<span style="color: ${COLORS[type] || COLORS.primary}; font-weight: 600;">${type}</span>`).join(', ');
 
         revealsHTML += '</div></div>';
-    }
+    });
 
     // Calculate average types exiled
     const avgTypesExiled = (totalTypesExiled / numSims).toFixed(2);
@@ -442,7 +476,9 @@ export function runSampleReveals() {
     distributionHTML += `<div style="margin-top: var(--spacing-md); text-align: center;">`;
     distributionHTML += `<strong>Sample Result:</strong> ${freeSpellCount}/${numSims} reveals = ${((freeSpellCount / numSims) * 100).toFixed(1)}% chance of free spell<br>`;
     distributionHTML += `<strong>Average types exiled:</strong> ${avgTypesExiled}`;
-    distributionHTML += '</div></div>';
+    distributionHTML += '</div>';
+    distributionHTML += renderSeedInfo(seed);
+    distributionHTML += '</div>';
 
     // Make reveals collapsible
     const revealsSectionHTML = `
@@ -471,9 +507,10 @@ export function updateUI() {
         return;
     }
 
-    updateChart(config, results);
+    const comparison = calculateComparison(results);
+    updateChart(config, results, comparison);
     updateStats(config, results);
-    updateTable(config, results);
+    updateTable(config, results, comparison);
 
     // Draw initial sample reveals if we have card data
     if (config.cardData && config.cardData.cardsByName && Object.keys(config.cardData.cardsByName).length > 0) {
@@ -1,25 +1,46 @@
 /**
  * Rashmi, Eternities Crafter Calculator
  * Calculates probability of getting a free spell when casting with Rashmi
+ *
+ * Card text: "Whenever you cast your first spell each turn, reveal the top card of
+ * your library. If it's a nonland card with mana value less than that spell's, you
+ * may cast it without paying its mana cost. If you don't cast the revealed card,
+ * put it into your hand."
  */
 
-import { createCache, formatNumber, formatPercentage, debounce } from '../utils/simulation.js';
-import { renderMultiColumnTable } from '../utils/tableUtils.js';
-import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import {
+    createCache, formatNumber, formatPercentage, debounce,
+    createRng, getSimulationSeed, nextSampleSeed,
+    meanStandardError, formatMargin
+} from '../utils/simulation.js';
+import { runSimulationJob, cancelSimulation } from '../utils/simulationService.js';
+import { renderMultiColumnTable, deltaCell } from '../utils/tableUtils.js';
+import { createOrUpdateChart, createComparisonDataset } from '../utils/chartHelpers.js';
 import { bindInputSync } from '../utils/ui.js';
 import * as DeckConfig from '../utils/deckConfig.js';
+import { rashmi, sampleScenario } from '../utils/scenarioEngine.js';
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge, renderDistributionChart,
-    createCollapsibleSection
+    buildDeckFromCardData, renderCardBadge, renderDistributionChart,
+    createCollapsibleSection, renderSeedInfo
 } from '../utils/sampleSimulator.js';
 
 const CONFIG = {
     CMC_RANGE_BEFORE: 2,
-    CMC_RANGE_AFTER: 3
+    CMC_RANGE_AFTER: 3,
+    DEFAULT_TURNS: 5,
+    TARGET_ERROR: 0.05,     // standard error of free mana per game
+    TIME_BUDGET_MS: 1500,
+    MIN_ITERATIONS: 10000,
+    MAX_ITERATIONS: 200000
 };
 
+let simulationCache = createCache(50);
 let lastDeckHash = '';
+// The comparison deck (B) gets its own cache so A and B don't evict each other
+let comparisonCache = createCache(50);
+let lastComparisonHash = '';
 let chart = null;
+let turnsChart = null;
 let cmcDistribution = {};
 let xSpellsList = [];
 let excludeXSpells = false;
@@ -35,6 +56,29 @@ function isXSpell(manaCost) {
     return /\{X\}/i.test(manaCost);
 }
 
+/**
+ * Build the library Rashmi reveals from
+ * The spell that triggers Rashmi is on the stack, not in the library, so one nonland
+ * card at the cast mana value is removed for each turn (each turn casts a different
+ * copy). If the deck has none, the spell is assumed to come from outside the library.
+ * @param {Array<Object>} deck - Deck from buildDeckFromCardData
+ * @param {number} castCmc - Mana value of the spell being cast
+ * @param {number} turns - Number of triggers
+ * @returns {Array<Object>} - Library cards, flagged with isX
+ */
+function buildLibrary(deck, castCmc, turns = 1) {
+    let toRemove = turns;
+    return deck
+        .filter(card => {
+            if (toRemove > 0 && !card.types.includes('land') && card.cmc === castCmc) {
+                toRemove--;
+                return false;
+            }
+            return true;
+        })
+        .map(card => ({ ...card, isX: isXSpell(card.mana_cost) }));
+}
+
 /**
  * Run sample Rashmi reveals
  */
@@ -51,51 +95,31 @@ export function runSampleReveals() {
     const countInput = document.getElementById('rashmi-sample-count');
     const numSims = Math.max(1, parseInt(countInput?.value) || 10);
 
-    // Build deck
-    const deck = buildDeckFromCardData(cardData);
-    
-    // Note: Rashmi triggers on the first spell you cast each turn.
-    // The reveal comes from the top of the library.
-    // We assume the deck is the library (minus the card being cast, technically, but for large N simulation we can just shuffle the whole deck).
-    // If we want to be precise, we should remove one instance of a card with `config.castCmc` from the deck, but we don't know WHICH card was cast.
-    // For now, shuffling the full deck is a sufficient approximation.
+    // The spell being cast is on the stack, so it can't be revealed
+    const library = buildLibrary(buildDeckFromCardData(cardData), config.castCmc);
+    if (library.length === 0) {
+        document.getElementById('rashmi-reveals-display').innerHTML = '<p style="color: var(--text-dim);">Your library is empty</p>';
+        return;
+    }
+
+    const seed = nextSampleSeed();
+    const samples = sampleScenario(rashmi(config.castCmc, config.excludeXSpells), library, numSims, createRng(seed));
 
     let revealsHTML = '';
     let hitCount = 0;
     let totalFreeCMC = 0;
-    const hitDistribution = new Array(2).fill(0); // 0 = Whiff, 1 = Hit
 
-    for (let i = 0; i < numSims; i++) {
-        const shuffled = shuffleDeck([...deck]);
-        const revealedCard = shuffled[0]; // Top card
-
-        // Determine if it's a hit
+    samples.forEach((outcome, i) => {
+        const { card: revealedCard, hit: isFree } = outcome.steps[0].revealed[0];
         const cardCmc = revealedCard.cmc || 0;
-        const isX = isXSpell(revealedCard.mana_cost);
-        // Rashmi specifies "nonland card", so lands are always a whiff (draw only)
+        const isX = revealedCard.isX;
+        // Rashmi specifies "nonland card", so lands always go to hand
         const isLand = revealedCard.types.includes('land');
-        
-        let isFree = false;
-        let isXHit = false;
-
-        // Check Rashmi conditions: Nonland AND CMC < Cast CMC
-        if (!isLand && cardCmc < config.castCmc) {
-            if (isX) {
-                if (!config.excludeXSpells) {
-                    isFree = true;
-                    isXHit = true; // Mark as X spell hit (X=0)
-                }
-            } else {
-                isFree = true;
-            }
-        }
+        const isXHit = isFree && isX; // X spell cast with X=0
 
         if (isFree) {
             hitCount++;
-            hitDistribution[1]++;
             totalFreeCMC += cardCmc;
-        } else {
-            hitDistribution[0]++;
         }
 
         // HTML
@@ -116,11 +140,11 @@ export function runSampleReveals() {
             } else if (isX && config.excludeXSpells) {
                 reason = `(X Spell excluded)`;
             }
-            revealsHTML += `<span style="margin-left: 8px; color: #ef4444;">Draw card ${reason}</span>`;
+            revealsHTML += `<span style="margin-left: 8px; color: #ef4444;">Put into hand ${reason}</span>`;
         }
         
         revealsHTML += '</div></div>';
-    }
+    });
 
     // Chart
     let distributionHTML = '<div style="margin-top: var(--spacing-md); padding: var(--spacing-md); background: var(--panel-bg-alt); border-radius: var(--radius-md);">';
@@ -132,12 +156,12 @@ export function runSampleReveals() {
     
     distributionHTML += `<div style="display: flex; height: 24px; border-radius: 4px; overflow: hidden; margin: 12px 0;">
         <div style="width: ${hitPct}%; background: #22c55e;" title="Free Spell (${hitPct}%)"></div>
-        <div style="width: ${missPct}%; background: #ef4444;" title="Draw Only (${missPct}%)"></div>
+        <div style="width: ${missPct}%; background: #ef4444;" title="Card to Hand (${missPct}%)"></div>
     </div>`;
     
     distributionHTML += `<div style="display: flex; justify-content: space-between; font-size: 0.9em;">
         <span style="color: #22c55e;">Free Spell: ${hitPct}%</span>
-        <span style="color: #ef4444;">Draw Only: ${missPct}%</span>
+        <span style="color: #ef4444;">Card to Hand: ${missPct}%</span>
     </div>`;
 
     if (hitCount > 0) {
@@ -146,6 +170,7 @@ export function runSampleReveals() {
         </div>`;
     }
 
+    distributionHTML += renderSeedInfo(seed);
     distributionHTML += '</div>';
 
     const revealsSectionHTML = createCollapsibleSection(
@@ -159,16 +184,18 @@ export function runSampleReveals() {
 
 /**
  * Calculate CMC distribution from deck
+ * X spells stay in the distribution either way - excluding them only stops them
+ * being cast for free, they still get revealed and put into hand.
  * @param {Object} cardData - Card data from deck import
- * @param {boolean} excludeXSpells - Whether to exclude X spells
- * @returns {Object} - CMC counts and X spell info
+ * @returns {Object} - CMC counts, X spell counts by CMC and X spell info
  */
-function calculateCMCDistribution(cardData, excludeXSpells = false) {
+function calculateCMCDistribution(cardData) {
     const cmcCounts = {};
+    const xCounts = {};
     const xSpells = [];
 
     if (!cardData || !cardData.cardsByName) {
-        return { cmcCounts, xSpells };
+        return { cmcCounts, xCounts, xSpells };
     }
 
     // Count non-land cards by CMC
@@ -186,30 +213,39 @@ function calculateCMCDistribution(cardData, excludeXSpells = false) {
                     cmc: cmc,
                     manaCost: card.mana_cost
                 });
+                xCounts[cmc] = (xCounts[cmc] || 0) + card.count;
             }
 
-            // Only count if not excluding X spells, or if it's not an X spell
-            if (!excludeXSpells || !isXCard) {
-                cmcCounts[cmc] = (cmcCounts[cmc] || 0) + card.count;
-            }
+            cmcCounts[cmc] = (cmcCounts[cmc] || 0) + card.count;
         }
     });
 
-    return { cmcCounts, xSpells };
+    return { cmcCounts, xCounts, xSpells };
 }
 
 /**
- * Calculate probability of free spell for a given CMC
- * @param {number} deckSize - Total cards in library
- * @param {Object} cmcCounts - Cards by CMC
+ * Calculate the outcome of a single Rashmi trigger for a given CMC
+ * The spell being cast is removed from the library first (when the deck has a
+ * nonland card at that CMC). A revealed card that isn't cast goes to hand, so every
+ * trigger is worth one card: either a free spell or a card drawn.
+ * @param {number} deckSize - Total cards in deck
+ * @param {Object} cmcCounts - Nonland cards by CMC
+ * @param {Object} xCounts - X spells by CMC
  * @param {number} castCmc - CMC of spell being cast
+ * @param {boolean} excludeXSpells - Whether X spells can be cast for free
  * @returns {Object} - Probabilities and expected value
  */
-function calculateRashmiProbability(deckSize, cmcCounts, castCmc) {
-    if (deckSize === 0 || castCmc === 0) {
+function calculateRashmiProbability(deckSize, cmcCounts, xCounts, castCmc, excludeXSpells) {
+    const castFromLibrary = (cmcCounts[castCmc] || 0) > 0;
+    const librarySize = deckSize - (castFromLibrary ? 1 : 0);
+
+    if (librarySize <= 0 || castCmc === 0) {
         return {
+            librarySize: Math.max(0, librarySize),
+            castFromLibrary,
             probFreeSpell: 0,
-            probWhiff: 0,
+            probDraw: 0,
+            expectedFreeMana: 0,
             expectedCmc: 0,
             cmcDistribution: {}
         };
@@ -217,39 +253,87 @@ function calculateRashmiProbability(deckSize, cmcCounts, castCmc) {
 
     const cmcProbs = {};
     let probFreeSpell = 0;
-    let expectedCmc = 0;
+    let expectedFreeMana = 0;
 
     // For each possible CMC, calculate probability of revealing it
     Object.entries(cmcCounts).forEach(([cmc, count]) => {
         const cmcNum = parseInt(cmc);
-        const prob = count / deckSize;
-        cmcProbs[cmcNum] = prob;
+        const inLibrary = count - (castFromLibrary && cmcNum === castCmc ? 1 : 0);
+        cmcProbs[cmcNum] = inLibrary / librarySize;
 
         // Can cast for free if revealed CMC < cast CMC
         if (cmcNum < castCmc) {
+            const castable = inLibrary - (excludeXSpells ? (xCounts[cmcNum] || 0) : 0);
+            const prob = castable / librarySize;
             probFreeSpell += prob;
-            expectedCmc += prob * cmcNum;
+            expectedFreeMana += prob * cmcNum;
         }
     });
 
-    // Probability of whiffing (lands or CMC >= cast CMC)
-    const probWhiff = 1 - probFreeSpell;
-
     return {
+        librarySize,
+        castFromLibrary,
         probFreeSpell,
-        probWhiff,
-        expectedCmc: probFreeSpell > 0 ? expectedCmc / probFreeSpell : 0,
+        // Lands, expensive spells and excluded X spells all go to hand
+        probDraw: 1 - probFreeSpell,
+        expectedFreeMana,
+        expectedCmc: probFreeSpell > 0 ? expectedFreeMana / probFreeSpell : 0,
         cmcDistribution: cmcProbs
     };
 }
 
+/**
+ * Standard error of the free mana generated per game
+ * @param {Object} acc - Accumulator from the 'rashmi' kernel
+ * @returns {number}
+ */
+function freeManaStandardError(acc) {
+    return meanStandardError(acc.totalFreeMana, acc.totalFreeManaSq, acc.iterations);
+}
+
+/**
+ * Turn a rashmi kernel accumulator into per-game stats
+ * @param {Object} acc - Accumulator from the 'rashmi' kernel
+ * @returns {Object} - Averages, margins and per-turn series
+ */
+function summarizeTurns(acc) {
+    const { iterations } = acc;
+    const avgFreeSpells = acc.totalFreeSpells / iterations;
+    const avgCardsToHand = acc.totalCardsToHand / iterations;
+
+    // P(at least k free spells), from the exact-count distribution
+    const freeSpellDistribution = acc.freeSpellDistribution.map(count => count / iterations);
+    const atLeast = [];
+    let tail = 0;
+    for (let k = freeSpellDistribution.length - 1; k >= 0; k--) {
+        tail += freeSpellDistribution[k];
+        atLeast[k] = tail;
+    }
+
+    return {
+        iterations,
+        avgFreeMana: acc.totalFreeMana / iterations,
+        avgFreeManaError: freeManaStandardError(acc),
+        avgFreeSpells,
+        avgFreeSpellsError: meanStandardError(acc.totalFreeSpells, acc.totalFreeSpellsSq, iterations),
+        avgCardsToHand,
+        avgCardsToHandError: meanStandardError(acc.totalCardsToHand, acc.totalCardsToHandSq, iterations),
+        avgCards: avgFreeSpells + avgCardsToHand,
+        freeManaByTurn: acc.freeManaByTurn.map(sum => sum / iterations),
+        cardsToHandByTurn: acc.cardsToHandByTurn.map(sum => sum / iterations),
+        freeSpellDistribution,
+        atLeast
+    };
+}
+
 /**
  * Get current deck configuration
+ * @param {Object} deck - Deck state to use instead of the current deck (e.g. the A/B comparison deck)
  * @returns {Object} - Deck configuration
  */
-export function getDeckConfig() {
-    const config = DeckConfig.getDeckConfig();
-    const cardData = DeckConfig.getImportedCardData();
+export function getDeckConfig(deck = null) {
+    const config = deck || DeckConfig.getDeckConfig();
+    const cardData = DeckConfig.getImportedCardData(config);
 
     // Get exclude X spells checkbox state
     const excludeCheckbox = document.getElementById('rashmi-exclude-x');
@@ -258,42 +342,55 @@ export function getDeckConfig() {
     }
 
     // Calculate CMC distribution from imported cards
-    const distribution = calculateCMCDistribution(cardData, excludeXSpells);
-    cmcDistribution = distribution.cmcCounts;
-    xSpellsList = distribution.xSpells;
+    const distribution = calculateCMCDistribution(cardData);
+    const cmcCounts = distribution.cmcCounts;
+    if (!deck) {
+        cmcDistribution = cmcCounts;
+        xSpellsList = distribution.xSpells;
+    }
 
     // Count total non-land cards
-    const nonLandCards = Object.values(cmcDistribution).reduce((sum, count) => sum + count, 0);
+    const nonLandCards = Object.values(cmcCounts).reduce((sum, count) => sum + count, 0);
     const deckSize = nonLandCards + config.lands;
 
     // Clear cache if deck changed
-    const newHash = JSON.stringify(cmcDistribution);
-    if (newHash !== lastDeckHash) {
+    const newHash = `${deckSize}-${JSON.stringify(cmcCounts)}-${JSON.stringify(distribution.xCounts)}`;
+    if (deck) {
+        if (newHash !== lastComparisonHash) {
+            comparisonCache.clear();
+            lastComparisonHash = newHash;
+        }
+    } else if (newHash !== lastDeckHash) {
+        simulationCache.clear();
         lastDeckHash = newHash;
     }
 
     const cmcSlider = document.getElementById('rashmi-cmcSlider');
-    if (cmcSlider && Object.keys(cmcDistribution).length > 0) {
-        const maxCmc = Math.max(...Object.keys(cmcDistribution).map(Number));
+    if (cmcSlider && !deck && Object.keys(cmcCounts).length > 0) {
+        const maxCmc = Math.max(...Object.keys(cmcCounts).map(Number));
         cmcSlider.max = Math.min(maxCmc, 15);
     }
 
     return {
         deckSize,
         castCmc: parseInt(document.getElementById('rashmi-cmcValue').value) || 3,
-        cmcDistribution,
-        xSpells: xSpellsList,
+        turns: Math.max(1, parseInt(document.getElementById('rashmi-turnsValue')?.value) || CONFIG.DEFAULT_TURNS),
+        cmcDistribution: cmcCounts,
+        xCounts: distribution.xCounts,
+        xSpells: distribution.xSpells,
         excludeXSpells,
-        hasImportedData: cardData && cardData.cardsByName && Object.keys(cardData.cardsByName).length > 0
+        hasImportedData: cardData && cardData.cardsByName && Object.keys(cardData.cardsByName).length > 0,
+        seed: getSimulationSeed()
     };
 }
 
 /**
  * Calculate probabilities for current deck configuration
+ * @param {Object} deck - Deck state to use instead of the current deck
  * @returns {Object} - Calculation results
  */
-export function calculate() {
-    const config = getDeckConfig();
+export function calculate(deck = null) {
+    const config = getDeckConfig(deck);
 
     if (config.deckSize === 0 || !config.hasImportedData) {
         return { config, results: {} };
@@ -304,50 +401,107 @@ export function calculate() {
     const maxCmc = Math.min(config.castCmc + CONFIG.CMC_RANGE_AFTER, 15);
 
     for (let testCmc = minCmc; testCmc <= maxCmc; testCmc++) {
-        results[testCmc] = calculateRashmiProbability(config.deckSize, config.cmcDistribution, testCmc);
+        results[testCmc] = calculateRashmiProbability(
+            config.deckSize, config.cmcDistribution, config.xCounts, testCmc, config.excludeXSpells
+        );
     }
 
     return { config, results };
 }
 
+/**
+ * Simulate Rashmi triggers over a number of turns (one trigger per turn)
+ * Runs on the worker pool; a newer call cancels this one.
+ * @param {Function} onPartial - Optional callback with partial { config, result } while running
+ * @param {Object} deck - Deck state to use instead of the current deck (runs as its own job)
+ * @returns {Promise<Object|null>} - { config, result }, or null if superseded or nothing to simulate
+ */
+export async function simulateTurns(onPartial, deck = null) {
+    const config = getDeckConfig(deck);
+    if (!config.hasImportedData || config.deckSize === 0) return null;
+
+    const group = deck ? 'rashmi-b' : 'rashmi';
+    const cache = deck ? comparisonCache : simulationCache;
+    const cacheKey = `${config.castCmc}-${config.turns}-${config.excludeXSpells}-${config.seed}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+        cancelSimulation(group);
+        return { config, result: cached };
+    }
+
+    const cardData = { cardsByName: DeckConfig.getImportedCardData(deck || DeckConfig.getDeckConfig()).cardsByName };
+    const library = buildLibrary(buildDeckFromCardData(cardData), config.castCmc, config.turns)
+        .map(({ types, cmc, isX }) => ({ types, cmc, isX }));
+
+    const outcomes = await runSimulationJob(group, {
+        game: {
+            kernel: 'rashmi',
+            params: { deck: library, castCmc: config.castCmc, turns: config.turns, excludeXSpells: config.excludeXSpells },
+            seed: config.seed,
+            standardError: freeManaStandardError,
+            targetError: CONFIG.TARGET_ERROR,
+            timeBudget: CONFIG.TIME_BUDGET_MS,
+            minIterations: CONFIG.MIN_ITERATIONS,
+            maxIterations: CONFIG.MAX_ITERATIONS
+        }
+    }, {
+        onProgress: onPartial && (partials => onPartial({ config, result: summarizeTurns(partials.game) }))
+    });
+    if (!outcomes) return null;
+
+    const result = summarizeTurns(outcomes.game.acc);
+    cache.set(cacheKey, result);
+    return { config, result };
+}
+
 /**
  * Update chart visualization
  * @param {Object} config - Deck configuration
  * @param {Object} results - Calculation results
+ * @param {Object|null} comparison - Comparison deck (B) results by CMC, drawn dashed
  */
-function updateChart(config, results) {
+function updateChart(config, results, comparison) {
     const cmcValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     const probFreeSpellData = cmcValues.map(cmc => results[cmc].probFreeSpell * 100);
     const expectedCmcData = cmcValues.map(cmc => results[cmc].expectedCmc);
 
+    const datasets = [
+        {
+            label: 'P(Free Spell) %',
+            data: probFreeSpellData,
+            borderColor: '#22c55e',
+            backgroundColor: 'rgba(34, 197, 94, 0.1)',
+            fill: false,
+            tension: 0.3,
+            pointRadius: cmcValues.map(cmc => cmc === config.castCmc ? 8 : 4),
+            pointBackgroundColor: cmcValues.map(cmc => cmc === config.castCmc ? '#fff' : '#22c55e'),
+            yAxisID: 'yProb'
+        },
+        {
+            label: 'Expected Free CMC',
+            data: expectedCmcData,
+            borderColor: '#3b82f6',
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            fill: false,
+            tension: 0.3,
+            pointRadius: cmcValues.map(cmc => cmc === config.castCmc ? 8 : 4),
+            pointBackgroundColor: cmcValues.map(cmc => cmc === config.castCmc ? '#fff' : '#3b82f6'),
+            yAxisID: 'yCmc'
+        }
+    ];
+
+    if (comparison) {
+        datasets.push(
+            createComparisonDataset(datasets[0], cmcValues.map(cmc => comparison[cmc] ? comparison[cmc].probFreeSpell * 100 : null)),
+            createComparisonDataset(datasets[1], cmcValues.map(cmc => comparison[cmc] ? comparison[cmc].expectedCmc : null))
+        );
+    }
+
     chart = createOrUpdateChart(chart, 'rashmi-chart', {
         type: 'line',
         data: {
             labels: cmcValues.map(cmc => 'CMC ' + cmc),
-            datasets: [
-                {
-                    label: 'P(Free Spell) %',
-                    data: probFreeSpellData,
-                    borderColor: '#22c55e',
-                    backgroundColor: 'rgba(34, 197, 94, 0.1)',
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: cmcValues.map(cmc => cmc === config.castCmc ? 8 : 4),
-                    pointBackgroundColor: cmcValues.map(cmc => cmc === config.castCmc ? '#fff' : '#22c55e'),
-                    yAxisID: 'yProb'
-                },
-                {
-                    label: 'Expected Free CMC',
-                    data: expectedCmcData,
-                    borderColor: '#3b82f6',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: cmcValues.map(cmc => cmc === config.castCmc ? 8 : 4),
-                    pointBackgroundColor: cmcValues.map(cmc => cmc === config.castCmc ? '#fff' : '#3b82f6'),
-                    yAxisID: 'yCmc'
-                }
-            ]
+            datasets
         },
         options: {
             scales: {
@@ -377,11 +531,13 @@ function updateChart(config, results) {
  * Update comparison table
  * @param {Object} config - Deck configuration
  * @param {Object} results - Calculation results
+ * @param {Object|null} comparison - Comparison deck (B) results by CMC
  */
-function updateTable(config, results) {
+function updateTable(config, results, comparison) {
     const cmcValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     
-    const headers = ['Cast CMC', 'P(Free Spell)', 'P(Whiff)', 'Avg Free CMC', 'Value Ratio'];
+    const headers = ['Cast CMC', 'P(Free Spell)', 'P(Card to Hand)', 'Avg Free CMC', 'Exp. Free Mana', 'Value Ratio'];
+    if (comparison) headers.push('P(Free Spell) vs B', 'Free Mana vs B');
     
     const rows = cmcValues.map(cmc => {
         const r = results[cmc];
@@ -392,9 +548,14 @@ function updateTable(config, results) {
             cells: [
                 cmc,
                 formatPercentage(r.probFreeSpell),
-                formatPercentage(r.probWhiff),
+                formatPercentage(r.probDraw),
                 formatNumber(r.expectedCmc),
-                { value: formatNumber(valueRatio, 3), class: ratioClass }
+                formatNumber(r.expectedFreeMana),
+                { value: formatNumber(valueRatio, 3), class: ratioClass },
+                ...(comparison ? [
+                    deltaCell(r.probFreeSpell * 100, comparison[cmc] && comparison[cmc].probFreeSpell * 100, { format: diff => diff.toFixed(1) + '%' }),
+                    deltaCell(r.expectedFreeMana, comparison[cmc] && comparison[cmc].expectedFreeMana, { format: diff => formatNumber(diff) })
+                ] : [])
             ],
             class: cmc === config.castCmc ? 'current' : ''
         };
@@ -421,7 +582,7 @@ function updateCMCBreakdown(config) {
             const manaCostDisplay = s.manaCost ? ` ${s.manaCost}` : '';
             return `${s.count}× ${s.name}${manaCostDisplay}`;
         }).join(', ');
-        const statusText = config.excludeXSpells ? 'excluded from calculation' : `counted at their base CMC`;
+        const statusText = config.excludeXSpells ? 'never cast for free, always put into hand' : `counted at their base CMC`;
 
         breakdownHTML += `
             <div style="margin-bottom: var(--spacing-md); padding: var(--spacing-md); background: rgba(6, 182, 212, 0.1); border: 1px solid rgba(6, 182, 212, 0.3); border-radius: var(--radius-md);">
@@ -471,6 +632,136 @@ function updateCMCBreakdown(config) {
     document.getElementById('rashmi-breakdown').innerHTML = breakdownHTML;
 }
 
+/**
+ * Update the multi-turn chart and stats
+ * @param {Object} config - Deck configuration
+ * @param {Object} result - Summary from summarizeTurns
+ * @param {Object|null} comparisonResult - Comparison deck (B) summary, drawn dashed
+ */
+function updateTurns(config, result, comparisonResult = null) {
+    const turnLabels = result.freeManaByTurn.map((_, i) => `Turn ${i + 1}`);
+
+    const datasets = [
+        {
+            label: 'Total Free Mana',
+            data: result.freeManaByTurn,
+            borderColor: '#22c55e',
+            backgroundColor: 'rgba(34, 197, 94, 0.1)',
+            fill: false,
+            tension: 0.3,
+            yAxisID: 'yMana'
+        },
+        {
+            label: 'Total Cards to Hand',
+            data: result.cardsToHandByTurn,
+            borderColor: '#3b82f6',
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            fill: false,
+            tension: 0.3,
+            yAxisID: 'yCards'
+        }
+    ];
+
+    if (comparisonResult) {
+        datasets.push(
+            createComparisonDataset(datasets[0], comparisonResult.freeManaByTurn),
+            createComparisonDataset(datasets[1], comparisonResult.cardsToHandByTurn)
+        );
+    }
+
+    turnsChart = createOrUpdateChart(turnsChart, 'rashmi-turnsChart', {
+        type: 'line',
+        data: {
+            labels: turnLabels,
+            datasets
+        },
+        options: {
+            scales: {
+                yMana: {
+                    type: 'linear',
+                    position: 'left',
+                    beginAtZero: true,
+                    title: { display: true, text: 'Free Mana', color: '#22c55e' },
+                    grid: { color: 'rgba(139, 0, 0, 0.2)' },
+                    ticks: { color: '#22c55e' }
+                },
+                yCards: {
+                    type: 'linear',
+                    position: 'right',
+                    beginAtZero: true,
+                    title: { display: true, text: 'Cards to Hand', color: '#3b82f6' },
+                    grid: { drawOnChartArea: false },
+                    ticks: { color: '#3b82f6' }
+                }
+            }
+        }
+    });
+
+    const statsPanel = document.getElementById('rashmi-turnStats');
+    if (!statsPanel) return;
+
+    const atLeastRows = result.atLeast
+        .map((p, k) => ({ p, k }))
+        .filter(({ k }) => k > 0)
+        .map(({ p, k }) => `
+            <tr>
+                <td>${k}+</td>
+                <td>${formatPercentage(result.freeSpellDistribution[k])}</td>
+                <td>${formatPercentage(p)}</td>
+            </tr>
+        `).join('');
+
+    statsPanel.innerHTML = `
+        <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin: 16px 0;">
+            <div class="stat-card" style="background: var(--panel-bg-alt); padding: 12px; border-radius: 8px; text-align: center;">
+                <div style="color: var(--text-dim); font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.5px;">Free Mana</div>
+                <div style="font-size: 1.8em; font-weight: bold; color: #22c55e; line-height: 1.2;">${formatNumber(result.avgFreeMana, 1)}</div>
+                <div style="color: var(--text-secondary); font-size: 0.8em;">over ${config.turns} turns <span class="ci-margin">${formatMargin(result.avgFreeManaError, v => formatNumber(v, 1))}</span></div>
+            </div>
+            <div class="stat-card" style="background: var(--panel-bg-alt); padding: 12px; border-radius: 8px; text-align: center;">
+                <div style="color: var(--text-dim); font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.5px;">Free Spells</div>
+                <div style="font-size: 1.8em; font-weight: bold; color: var(--text-light); line-height: 1.2;">${formatNumber(result.avgFreeSpells, 2)}</div>
+                <div style="color: var(--text-secondary); font-size: 0.8em;">cast per game <span class="ci-margin">${formatMargin(result.avgFreeSpellsError)}</span></div>
+            </div>
+            <div class="stat-card" style="background: var(--panel-bg-alt); padding: 12px; border-radius: 8px; text-align: center;">
+                <div style="color: var(--text-dim); font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.5px;">Cards to Hand</div>
+                <div style="font-size: 1.8em; font-weight: bold; color: #3b82f6; line-height: 1.2;">${formatNumber(result.avgCardsToHand, 2)}</div>
+                <div style="color: var(--text-secondary); font-size: 0.8em;">drawn per game <span class="ci-margin">${formatMargin(result.avgCardsToHandError)}</span></div>
+            </div>
+        </div>
+
+        <div style="padding: 12px; background: var(--panel-bg-alt); border-left: 3px solid var(--accent); border-radius: 4px; color: var(--text-secondary); font-size: 0.9em;">
+            Casting a ${config.castCmc}-CMC spell each turn, Rashmi nets <strong style="color: var(--text-light);">${formatNumber(result.avgCards, 1)} cards</strong>
+            over ${config.turns} turns: ${formatNumber(result.avgFreeSpells, 1)} cast for free and ${formatNumber(result.avgCardsToHand, 1)} put into hand.
+        </div>
+
+        <details style="margin-top: 12px; color: var(--text-dim); font-size: 0.85em;">
+            <summary style="cursor: pointer; user-select: none;">📊 Free spells per game (${result.iterations.toLocaleString()} simulated games)</summary>
+            <div class="table-wrapper" style="margin-top: 8px;">
+                <table class="comparison-table">
+                    <tr><th>Free Spells</th><th>Exactly</th><th>At Least</th></tr>
+                    ${atLeastRows}
+                </table>
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Run the multi-turn simulation and render it, streaming partial results
+ */
+async function updateTurnSimulation() {
+    // The comparison deck (B) simulates alongside A; partial updates only show A
+    const comparisonDeck = DeckConfig.getComparisonDeck();
+    const comparisonRun = comparisonDeck ? simulateTurns(null, comparisonDeck) : Promise.resolve(null);
+
+    const output = await simulateTurns(partial => updateTurns(partial.config, partial.result));
+    const comparisonOutput = await comparisonRun;
+    if (!output) return; // Superseded, or nothing to simulate
+
+    updateTurns(output.config, output.result, comparisonOutput ? comparisonOutput.result : null);
+}
+
 /**
  * Update all UI elements
  */
@@ -489,6 +780,12 @@ export function updateUI() {
             chart.destroy();
             chart = null;
         }
+        if (turnsChart) {
+            turnsChart.destroy();
+            turnsChart = null;
+        }
+        cancelSimulation('rashmi');
+        cancelSimulation('rashmi-b');
         document.getElementById('rashmi-comparisonTable').innerHTML = '';
         return;
     }
@@ -503,9 +800,13 @@ export function updateUI() {
         return;
     }
 
-    updateChart(config, results);
-    updateTable(config, results);
+    const comparisonDeck = DeckConfig.getComparisonDeck();
+    const comparison = comparisonDeck ? calculate(comparisonDeck).results : null;
+
+    updateChart(config, results, comparison);
+    updateTable(config, results, comparison);
     updateCMCBreakdown(config);
+    updateTurnSimulation();
 
     // Run sample reveals if container exists
     if (document.getElementById('rashmi-reveals-display') && config.hasImportedData) {
@@ -535,6 +836,16 @@ export function init() {
 
 
 
+    // Bind turns slider and input
+
+    bindInputSync('rashmi-turnsSlider', 'rashmi-turnsValue', () => {
+
+        debouncedUpdate();
+
+    });
+
+
+
     const excludeCheckbox = document.getElementById('rashmi-exclude-x');
 
     if (excludeCheckbox) {
@@ -1,75 +1,75 @@
 /**
  * Primal Surge Calculator
- * Simulates permanents played with Primal Surge
+ * Computes the exact distribution of permanents played with Primal Surge
  */
 
-import { formatNumber, formatPercentage, createCache, debounce } from '../utils/simulation.js';
+import {
+    formatNumber, formatPercentage, createCache, debounce,
+    createRng, nextSampleSeed
+} from '../utils/simulation.js';
+import {
+    negativeHypergeometric, negativeHypergeometricMean
+} from '../utils/hypergeometric.js';
 import { renderMultiColumnTable } from '../utils/tableUtils.js';
 import { createOrUpdateChart } from '../utils/chartHelpers.js';
 import * as DeckConfig from '../utils/deckConfig.js';
+import { primalSurge, sampleScenario } from '../utils/scenarioEngine.js';
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge, renderDistributionChart,
-    createCollapsibleSection, extractCardTypes
+    buildDeckFromCardData, renderCardBadge, renderDistributionChart,
+    createCollapsibleSection, extractCardTypes, renderSeedInfo
 } from '../utils/sampleSimulator.js';
 
 const CONFIG = {
-    ITERATIONS: 15000
+    MAX_CHART_NONPERMS: 20,
+    PERCENTILES: [10, 25, 50, 75, 90]
 };
 
-let simulationCache = createCache(50);
-let lastDeckHash = '';
+let resultCache = createCache(50);
 let chart = null;
+let distChart = null;
 
 /**
- * Simulate Primal Surge
+ * Exact Primal Surge distribution
+ * The permanents played before the first non-permanent follow a negative
+ * hypergeometric distribution (stop after one non-permanent).
  * @param {number} deckSize - Total cards in library
  * @param {number} nonPermanents - Number of non-permanent cards
- * @param {number} permanents - Number of permanent cards
- * @returns {Object} - Simulation results
+ * @returns {Object} - { pmf, expectedPermanents, percentOfDeck, percentiles, entireLibrary }
  */
-export function simulatePrimalSurge(deckSize, nonPermanents, permanents) {
-    // Check cache first
+export function computePrimalSurge(deckSize, nonPermanents) {
     const cacheKey = `${deckSize}-${nonPermanents}`;
-    const cached = simulationCache.get(cacheKey);
+    const cached = resultCache.get(cacheKey);
     if (cached) return cached;
 
-    let totalPermanents = 0;
-
-    // Build deck: 0 = permanent, 1 = non-permanent
-    const deck = new Uint8Array(deckSize);
-    for (let i = 0; i < nonPermanents; i++) {
-        deck[i] = 1;
+    const permanents = deckSize - nonPermanents;
+    const pmf = [];
+    for (let k = 0; k <= permanents; k++) {
+        pmf.push(negativeHypergeometric(deckSize, nonPermanents, 1, k));
     }
-    // Rest are permanents (default 0)
-
-    for (let iter = 0; iter < CONFIG.ITERATIONS; iter++) {
-        // Shuffle using Fisher-Yates
-        for (let i = deckSize - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            const temp = deck[i];
-            deck[i] = deck[j];
-            deck[j] = temp;
-        }
 
-        // Count permanents until we hit a non-permanent
-        let count = 0;
-        for (let i = 0; i < deckSize; i++) {
-            if (deck[i] === 1) {
-                break; // Hit a non-permanent
-            }
-            count++;
+    // Smallest count whose cumulative probability reaches each percentile
+    const percentiles = {};
+    let cumulative = 0;
+    let k = 0;
+    CONFIG.PERCENTILES.forEach(pct => {
+        while (k < permanents && cumulative + pmf[k] < pct / 100 - 1e-12) {
+            cumulative += pmf[k];
+            k++;
         }
+        percentiles[pct] = k;
+    });
 
-        totalPermanents += count;
-    }
-
+    const expectedPermanents = negativeHypergeometricMean(deckSize, nonPermanents, 1);
     const result = {
-        expectedPermanents: totalPermanents / CONFIG.ITERATIONS,
-        percentOfDeck: (totalPermanents / CONFIG.ITERATIONS / deckSize) * 100
+        pmf,
+        expectedPermanents,
+        percentOfDeck: deckSize > 0 ? (expectedPermanents / deckSize) * 100 : 0,
+        percentiles,
+        // Every non-permanent sits below every permanent: 1 / C(deckSize, nonPermanents)
+        entireLibrary: pmf[permanents] || 0
     };
 
-    // Cache the result
-    simulationCache.set(cacheKey, result);
+    resultCache.set(cacheKey, result);
     return result;
 }
 
@@ -117,13 +117,6 @@ export function getDeckConfig() {
                        (config.cmc6 || 0) * 7;
     }
 
-    // Clear cache if deck changed
-    const newHash = `${deckSize}-${nonPermanents}-${permanents}-${lands}-${totalPermCMC}`;
-    if (newHash !== lastDeckHash) {
-        simulationCache.clear();
-        lastDeckHash = newHash;
-    }
-
     return { deckSize, nonPermanents, permanents, cardData, lands, totalPermCMC };
 }
 
@@ -138,7 +131,7 @@ export function calculate() {
         return { config, result: null };
     }
 
-    const result = simulatePrimalSurge(config.deckSize, config.nonPermanents, config.permanents);
+    const result = computePrimalSurge(config.deckSize, config.nonPermanents);
 
     return { config, result };
 }
@@ -156,12 +149,12 @@ function updateChart(config, result) {
     const avgMVPerPerm = config.permanents > 0 ? config.totalPermCMC / config.permanents : 0;
 
     // Show results for different numbers of non-permanents
-    const maxNonPerm = Math.min(20, Math.floor(config.deckSize * 0.3));
+    const maxNonPerm = Math.min(CONFIG.MAX_CHART_NONPERMS, Math.floor(config.deckSize * 0.3));
     for (let i = 0; i <= maxNonPerm; i++) {
-        const sim = simulatePrimalSurge(config.deckSize, i, config.deckSize - i);
+        const expected = negativeHypergeometricMean(config.deckSize, i, 1);
         nonPermRange.push(i);
-        expectedPermsData.push(sim.expectedPermanents);
-        expectedMVData.push(sim.expectedPermanents * avgMVPerPerm);
+        expectedPermsData.push(expected);
+        expectedMVData.push(expected * avgMVPerPerm);
     }
 
     chart = createOrUpdateChart(chart, 'surge-chart', {
@@ -220,6 +213,59 @@ function updateChart(config, result) {
     });
 }
 
+/**
+ * Update distribution chart (probability of each permanent count)
+ * @param {Object} config - Deck configuration
+ * @param {Object} result - Calculation result
+ */
+function updateDistributionChart(config, result) {
+    // Trim the long tail of negligible probabilities
+    let last = result.pmf.length - 1;
+    while (last > result.percentiles[90] && result.pmf[last] < 0.001) {
+        last--;
+    }
+    const counts = result.pmf.slice(0, last + 1).map((_, k) => k);
+
+    distChart = createOrUpdateChart(distChart, 'surge-distChart', {
+        type: 'bar',
+        data: {
+            labels: counts.map(String),
+            datasets: [
+                {
+                    label: 'Probability',
+                    data: counts.map(k => result.pmf[k] * 100),
+                    backgroundColor: counts.map(k => k === result.percentiles[50] ? '#fff' : 'rgba(74, 222, 128, 0.6)'),
+                    borderColor: '#4ade80',
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Probability %', color: '#4ade80' },
+                    grid: { color: 'rgba(34, 197, 94, 0.2)' },
+                    ticks: { color: '#4ade80' }
+                },
+                x: {
+                    title: { display: true, text: 'Permanents Played', color: '#a09090' },
+                    grid: { display: false },
+                    ticks: { color: '#a09090' }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        title: items => `${items[0].label} permanents`,
+                        label: ctx => `${ctx.parsed.y.toFixed(2)}%`
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Update stats table
  * @param {Object} config - Deck configuration
@@ -236,9 +282,12 @@ function updateTable(config, result) {
         ['Permanents', config.permanents],
         ['Non-Permanents', config.nonPermanents],
         { cells: ['Expected Permanents Played', formatNumber(result.expectedPermanents)], class: 'current' },
+        ['Median Permanents', result.percentiles[50]],
+        ['10th–90th Percentile', `${result.percentiles[10]}–${result.percentiles[90]}`],
+        ['25th–75th Percentile', `${result.percentiles[25]}–${result.percentiles[75]}`],
         { cells: ['Avg Lands Put In', formatNumber(avgLands, 1)], class: 'current' },
         { cells: ['Avg Mana Value Put In', formatNumber(avgCMC, 1)], class: 'current' },
-        ['P(Play Entire Deck)', config.nonPermanents === 0 ? '100%' : formatPercentage(1 / config.deckSize, 2)]
+        ['P(Play Entire Deck)', formatPercentage(result.entireLibrary, result.entireLibrary < 0.0001 ? 6 : 2)]
     ];
 
     renderMultiColumnTable('surge-statsTable', headers, rows);
@@ -252,11 +301,9 @@ function updateTable(config, result) {
 function updateComparison(config, result) {
     // Import wave simulator to compare
     import('./wave.js').then(waveModule => {
-        const waveResult = waveModule.simulateGenesisWave(config.deckSize, {
-            cmc0: 0, cmc2: 0, cmc3: 0, cmc4: 0, cmc5: 0, cmc6: 0,
-            lands: config.permanents,
-            nonperm: config.nonPermanents
-        }, 7);
+        // Use Genesis Wave's own CMC breakdown so only permanents with MV <= 7 count
+        const { distribution, lands } = waveModule.getDeckConfig();
+        const waveResult = waveModule.computeGenesisWave(config.deckSize, distribution, 7, lands);
 
         if (waveResult) {
             const surgeBetter = result.expectedPermanents > waveResult.expectedPermanents;
@@ -310,6 +357,9 @@ export function runSampleReveals() {
     // Build deck array with full card objects
     const deck = buildDeckFromCardData(cardData);
 
+    const seed = nextSampleSeed();
+    const samples = sampleScenario(primalSurge(), deck, numSims, createRng(seed));
+
     // Run simulations
     let revealsHTML = '';
     let totalPermanents = 0;
@@ -317,30 +367,12 @@ export function runSampleReveals() {
     let totalLands = 0;
     const permanentDistribution = new Array(deck.length + 1).fill(0);
 
-    for (let i = 0; i < numSims; i++) {
-        // Shuffle deck
-        const shuffled = shuffleDeck([...deck]);
-
-        // Simulate Primal Surge - count permanents until hit non-permanent
-        const revealedCards = [];
-        let permanentCount = 0;
-        let runManaValue = 0;
-        let runLands = 0;
-
-        for (let j = 0; j < shuffled.length; j++) {
-            const card = shuffled[j];
-            const isNonPermanent = card.types.includes('instant') || card.types.includes('sorcery');
-
-            revealedCards.push({...card, isNonPermanent});
-
-            if (isNonPermanent) {
-                break; // Stop at first non-permanent
-            }
-            
-            permanentCount++;
-            if (card.cmc) runManaValue += card.cmc;
-            if (card.types.includes('land')) runLands++;
-        }
+    samples.forEach((outcome, i) => {
+        // Permanents hit until the first non-permanent (which stops the reveal)
+        const revealedCards = outcome.steps[0].revealed.map(({ card, hit }) => ({ ...card, isNonPermanent: !hit }));
+        const permanentCount = outcome.hits.length;
+        const runManaValue = outcome.hits.reduce((sum, card) => sum + (card.cmc || 0), 0);
+        const runLands = outcome.hits.filter(card => card.types.includes('land')).length;
 
         totalPermanents += permanentCount;
         totalManaValue += runManaValue;
@@ -368,7 +400,7 @@ export function runSampleReveals() {
         }
 
         revealsHTML += '</div></div>';
-    }
+    });
 
     // Calculate averages
     const avgPermanents = (totalPermanents / numSims).toFixed(2);
@@ -387,7 +419,9 @@ export function runSampleReveals() {
 
     distributionHTML += `<div style="margin-top: var(--spacing-md); text-align: center;">`;
     distributionHTML += `<strong>Averages:</strong> ${avgPermanents} permanents, ${avgLands} lands, ${avgMana} total CMC`;
-    distributionHTML += '</div></div>';
+    distributionHTML += '</div>';
+    distributionHTML += renderSeedInfo(seed);
+    distributionHTML += '</div>';
 
     // Make reveals collapsible
     const revealsSectionHTML = createCollapsibleSection(
@@ -407,11 +441,15 @@ export function updateUI() {
 
     if (config.deckSize === 0 || !result) {
         if (chart) chart.destroy();
+        if (distChart) distChart.destroy();
+        chart = null;
+        distChart = null;
         document.getElementById('surge-statsTable').innerHTML = '';
         return;
     }
 
     updateChart(config, result);
+    updateDistributionChart(config, result);
     updateTable(config, result);
     updateComparison(config, result);
 
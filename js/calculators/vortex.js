@@ -6,14 +6,20 @@
  * discover X, where X is that spell's mana value."
  */
 
-import { createCache, formatNumber, debounce } from '../utils/simulation.js';
-import { renderMultiColumnTable } from '../utils/tableUtils.js';
-import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import {
+    createCache, formatNumber, debounce,
+    createRng, getSimulationSeed, nextSampleSeed,
+    meanStandardError, proportionStandardError, formatMargin, Z_95
+} from '../utils/simulation.js';
+import { runSimulationJob } from '../utils/simulationService.js';
+import { renderMultiColumnTable, deltaCell } from '../utils/tableUtils.js';
+import { createOrUpdateChart, createErrorBandDatasets, createComparisonDataset } from '../utils/chartHelpers.js';
 import { bindInputSync } from '../utils/ui.js';
 import * as DeckConfig from '../utils/deckConfig.js';
+import { discover, sampleScenario } from '../utils/scenarioEngine.js';
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge, renderDistributionChart,
-    createCollapsibleSection
+    buildDeckFromCardData, renderCardBadge, renderDistributionChart,
+    createCollapsibleSection, renderSeedInfo
 } from '../utils/sampleSimulator.js';
 
 /**
@@ -34,12 +40,18 @@ function isCreaturePower5Plus(powerStr, treatStarAs5Plus) {
 }
 
 const CONFIG = {
-    ITERATIONS: 20000,
+    TARGET_ERROR: 0.02,     // standard error of avg free mana
+    TIME_BUDGET_MS: 1500,
+    MIN_ITERATIONS: 10000,
+    MAX_ITERATIONS: 200000,
     CMC_RANGE: [3, 4, 5, 6, 7, 8, 9, 10] // Test different CMCs for creatures cast
 };
 
 let simulationCache = createCache(50);
 let lastDeckHash = '';
+// The comparison deck (B) gets its own cache so A and B don't evict each other
+let comparisonCache = createCache(50);
+let lastComparisonHash = '';
 let chart = null;
 
 /**
@@ -67,96 +79,61 @@ export function runSampleReveals() {
     // The current `simulateDiscoverForCMC` logic handles this by filtering `cardDetails`.
     // Here, let's just use the full deck for the "library" state, assuming the cast spell is already on the stack.
 
+    // Flag the creatures that re-trigger Vortex
+    const treatStarAs5Plus = document.getElementById('vortex-star-power')?.checked || false;
+    const library = deck.map(card => ({
+        ...card,
+        isPower5Plus: card.types.includes('creature') && isCreaturePower5Plus(card.power, treatStarAs5Plus)
+    }));
+
+    const seed = nextSampleSeed();
+    const samples = sampleScenario(discover(config.creatureCMC), library, numSims, createRng(seed));
+
     let revealsHTML = '';
     let totalFreeMana = 0;
     let totalSpells = 0;
     const spellsCastDist = new Array(10).fill(0); // Track chains 0-9+
 
-    for (let i = 0; i < numSims; i++) {
-        const shuffled = shuffleDeck([...deck]);
-        let currentDiscoverCMC = config.creatureCMC;
-        let deckIndex = 0;
-        let chainCount = 0;
-        let chainMana = 0;
+    samples.forEach((outcome, i) => {
+        const chainCount = outcome.hits.length;
+        const chainMana = outcome.hits.reduce((sum, card) => sum + card.cmc, 0);
         let revealStepsHTML = '';
         let openDivs = 0;
-        
-        // Chain loop
-        while (chainCount < 10 && deckIndex < shuffled.length) {
-            // Reveal cards until hit
-            const revealedCards = [];
-            let hitCard = null;
-
-            for (; deckIndex < shuffled.length; deckIndex++) {
-                const card = shuffled[deckIndex];
-                
-                // Determine if land (CMC 0 and type land)
-                // Note: buildDeckFromCardData sets CMC 0 for lands. 
-                // We need to be careful about CMC 0 artifacts (Crypt) vs Lands.
-                // card.types array helps.
-                const isLand = card.types.includes('land');
-                
-                if (isLand) {
-                    revealedCards.push({ ...card, status: 'skipped' }); // Lands skipped by discover
-                    continue;
-                }
 
-                // Non-land. Check CMC.
-                if (card.cmc <= currentDiscoverCMC) {
-                    hitCard = card;
-                    deckIndex++; // Consume this card
-                    break;
-                } else {
-                    revealedCards.push({ ...card, status: 'skipped' }); // Too high CMC
-                }
-            }
+        outcome.steps.forEach(step => {
+            const hitCard = step.hits[0];
 
             // Render this step
             revealStepsHTML += `<div style="margin-top: 8px; border-left: 2px solid var(--accent); padding-left: 8px;">`;
             openDivs++;
 
-            revealStepsHTML += `<div style="font-size: 0.85em; color: var(--text-dim); margin-bottom: 4px;">Discover ${currentDiscoverCMC}:</div>`;
+            revealStepsHTML += `<div style="font-size: 0.85em; color: var(--text-dim); margin-bottom: 4px;">${step.scenario.name}:</div>`;
             revealStepsHTML += `<div>`;
-            
-            // Show skipped cards (limit to first few and last few if too many?)
-            revealedCards.forEach(c => {
+
+            // Lands and cards that cost too much are skipped
+            step.revealed.filter(r => !r.hit).forEach(({ card: c }) => {
                  revealStepsHTML += `<span class="reveal-card dimmed" style="opacity: 0.5; transform: scale(0.9);" title="${c.name} (Skipped)">${c.name}</span>`;
             });
 
             if (hitCard) {
-                // Determine if it chains
-                const treatStarAs5Plus = document.getElementById('vortex-star-power')?.checked || false;
-                const isCreature = hitCard.types.includes('creature');
-                const isPower5Plus = isCreature && isCreaturePower5Plus(hitCard.power, treatStarAs5Plus);
-
-                const chainClass = isPower5Plus ? 'chain-trigger' : '';
-                const chainIcon = isPower5Plus ? ' ⚡' : '';
-                
+                const isPower5Plus = hitCard.isPower5Plus;
+
                 revealStepsHTML += renderCardBadge(hitCard);
                 revealStepsHTML += `<span style="margin-left: 8px; color: ${isPower5Plus ? '#c084fc' : '#22c55e'}; font-weight: bold;">
                     ${isPower5Plus ? 'CAST & CHAIN!' : 'CAST'}
                 </span>`;
-
-                chainCount++;
-                chainMana += hitCard.cmc;
-                
                 revealStepsHTML += `</div>`; // Close content div
 
                 if (isPower5Plus) {
-                    currentDiscoverCMC = hitCard.cmc;
                     // Prepare for next nested step
                     revealStepsHTML += `<div style="margin-left: 16px; border-left: 1px dashed rgba(255,255,255,0.1);">`;
                     openDivs++;
-                } else {
-                    break; // End of chain
                 }
-
             } else {
                 revealStepsHTML += `<span style="color: #ef4444;">Exiled rest of deck (Whiff)</span>`;
                 revealStepsHTML += `</div>`; // Close content div
-                break;
             }
-        }
+        });
 
         // Close all open divs
         for (let k = 0; k < openDivs; k++) {
@@ -173,7 +150,7 @@ export function runSampleReveals() {
         revealsHTML += `<div><strong>Reveal ${i + 1}:</strong> ${chainCount} spell${chainCount !== 1 ? 's' : ''} (${chainMana} mana)</div>`;
         revealsHTML += revealStepsHTML;
         revealsHTML += `</div>`;
-    }
+    });
 
     // Distribution Chart
     let distributionHTML = '<div style="margin-top: var(--spacing-md); padding: var(--spacing-md); background: var(--panel-bg-alt); border-radius: var(--radius-md);">';
@@ -188,7 +165,9 @@ export function runSampleReveals() {
 
     distributionHTML += `<div style="margin-top: var(--spacing-md); text-align: center;">`;
     distributionHTML += `<strong>Average:</strong> ${(totalSpells / numSims).toFixed(2)} spells, ${(totalFreeMana / numSims).toFixed(1)} mana per trigger`;
-    distributionHTML += '</div></div>';
+    distributionHTML += '</div>';
+    distributionHTML += renderSeedInfo(seed);
+    distributionHTML += '</div>';
 
     const revealsSectionHTML = createCollapsibleSection(
         `Show/Hide Individual Reveals (${numSims} simulations)`,
@@ -200,80 +179,18 @@ export function runSampleReveals() {
 }
 
 /**
- * Simulate a full discover chain using actual card data
- * Returns object with total free mana and spells cast
- *
- * @param {Array} deck - Deck array with card objects {cmc, isPower5Plus}
- * @param {number} discoverCMC - CMC to discover for (X value)
- * @param {number} offset - Starting position in deck (for chained discovers)
- * @param {number} depth - Recursion depth to prevent infinite loops
- */
-function simulateDiscoverChain(deck, discoverCMC, offset = 0, depth = 0) {
-    // Prevent infinite loops
-    if (depth > 10 || offset >= deck.length) {
-        return { totalMana: 0, spellsCast: 0, cardsExiled: 0 };
-    }
-
-    // Only shuffle on first call (depth 0)
-    if (depth === 0) {
-        // Fisher-Yates shuffle
-        for (let i = deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [deck[i], deck[j]] = [deck[j], deck[i]];
-        }
-    }
-
-    // Reveal cards starting from offset until we find one with CMC <= discoverCMC
-    for (let i = offset; i < deck.length; i++) {
-        const card = deck[i];
-
-        // Skip lands (cmc = -1)
-        if (card.cmc < 0) continue;
-
-        // Check if this card can be discovered
-        if (card.cmc <= discoverCMC) {
-            // Found a spell! Cast it for free
-            let totalMana = card.cmc;
-            let spellsCast = 1;
-            let cardsExiled = i - offset + 1;
-
-            // Check if this card can chain (is it a power 5+ creature?)
-            if (card.isPower5Plus) {
-                // This triggers Vortex again! Discover with new CMC
-                const chainResult = simulateDiscoverChain(deck, card.cmc, i + 1, depth + 1);
-                totalMana += chainResult.totalMana;
-                spellsCast += chainResult.spellsCast;
-                cardsExiled += chainResult.cardsExiled;
-            }
-
-            return { totalMana, spellsCast, cardsExiled };
-        }
-    }
-
-    // No spell found - exiled all remaining cards
-    return { totalMana: 0, spellsCast: 0, cardsExiled: deck.length - offset };
-}
-
-/**
- * Simulate discover for a given creature CMC using actual card data
- * Returns detailed stats about the discover trigger
+ * Build the library for a discover trigger, minus the creature being cast
  * @param {Array} cardDetails - Full card details array
- * @param {number} creatureCMC - CMC of the creature being cast
  * @param {number} lands - Number of lands in deck
  * @param {Object} castCreature - The creature being cast (to exclude from pool)
- * @param {boolean} treatStarAs5Plus - Flag for dynamic power creatures
+ * @returns {Array} - Deck array with card objects {types, cmc, isPower5Plus}
  */
-function simulateDiscoverForCMC(cardDetails, creatureCMC, lands, castCreature = null, treatStarAs5Plus = false) {
-    const cacheKey = `${creatureCMC}-${cardDetails.length}-${lands}-${castCreature ? castCreature.name : 'none'}-${treatStarAs5Plus}`;
-    const cached = simulationCache.get(cacheKey);
-    if (cached) return cached;
-
-    // Build deck with actual card data
+function buildDiscoverDeck(cardDetails, lands, castCreature) {
     const baseDeck = [];
 
     // Add lands (not discoverable)
     for (let i = 0; i < lands; i++) {
-        baseDeck.push({ cmc: -1, isPower5Plus: false });
+        baseDeck.push({ types: ['land'], cmc: 0, isPower5Plus: false });
     }
 
     // Add all non-land cards from cardDetails
@@ -290,39 +207,33 @@ function simulateDiscoverForCMC(cardDetails, creatureCMC, lands, castCreature =
         }
 
         baseDeck.push({
+            types: [],
             cmc: card.cmc,
-            isPower5Plus: card.isPower5Plus,
-            name: card.name
+            isPower5Plus: card.isPower5Plus
         });
     });
 
-    // Run simulations
-    let totalFreeMana = 0;
-    let totalSpellsCast = 0;
-    let totalSpellCMC = 0;
-    let successfulDiscoveries = 0;
-    let multiDiscoverCount = 0;
-
-    for (let iter = 0; iter < CONFIG.ITERATIONS; iter++) {
-        // Create a copy of the deck for this iteration
-        const deck = [...baseDeck];
-        const result = simulateDiscoverChain(deck, creatureCMC);
-
-        if (result.spellsCast > 0) {
-            successfulDiscoveries++;
-            totalSpellsCast += result.spellsCast;
-            totalFreeMana += result.totalMana;
-            totalSpellCMC += result.totalMana / result.spellsCast;
-
-            if (result.spellsCast > 1) {
-                multiDiscoverCount++;
-            }
-        }
-    }
+    return baseDeck;
+}
+
+/**
+ * Standard error of avg free mana - the convergence target for Vortex jobs
+ * @param {Object} acc - Accumulator from the 'discover' kernel
+ * @returns {number}
+ */
+function freeManaStandardError(acc) {
+    return meanStandardError(acc.totalFreeMana, acc.totalFreeManaSq, acc.iterations);
+}
 
-    const avgSpellsPerTrigger = totalSpellsCast / CONFIG.ITERATIONS;
-    const avgSpellCMC = successfulDiscoveries > 0 ? totalSpellCMC / successfulDiscoveries : 0;
-    const avgFreeMana = totalFreeMana / CONFIG.ITERATIONS;
+/**
+ * Turn a discover kernel accumulator into detailed stats for one creature CMC
+ * @param {Object} acc - Accumulator from the 'discover' kernel
+ * @param {Array} cardDetails - Full card details array
+ * @param {number} creatureCMC - CMC of the creature being cast
+ * @param {Object} castCreature - The creature being cast (to exclude from pool)
+ */
+function summarizeDiscover(acc, cardDetails, creatureCMC, castCreature) {
+    const { iterations, successfulDiscoveries } = acc;
 
     // Count castable cards and power 5+ in range (excluding the cast creature if applicable)
     let discoverableCards = cardDetails.filter(c => c.cmc <= creatureCMC);
@@ -342,29 +253,29 @@ function simulateDiscoverForCMC(cardDetails, creatureCMC, lands, castCreature =
         }
     }
 
-    const castableCards = discoverableCards.length;
-    const power5PlusInRange = discoverableCards.filter(c => c.isPower5Plus).length;
-
-    const result = {
-        avgSpellCMC: avgSpellCMC,
-        avgFreeMana: avgFreeMana,
-        avgSpellsPerTrigger: avgSpellsPerTrigger,
-        multiDiscoverRate: multiDiscoverCount / CONFIG.ITERATIONS,
-        successfulDiscoveries: successfulDiscoveries, // Export for hit rate calc
-        castableCards: castableCards,
-        power5PlusInRange: power5PlusInRange,
+    return {
+        avgSpellCMC: successfulDiscoveries > 0 ? acc.totalSpellCMC / successfulDiscoveries : 0,
+        avgFreeMana: acc.totalFreeMana / iterations,
+        avgFreeManaError: freeManaStandardError(acc),
+        avgSpellsPerTrigger: acc.totalSpellsCast / iterations,
+        avgSpellsPerTriggerError: meanStandardError(acc.totalSpellsCast, acc.totalSpellsCastSq, iterations),
+        multiDiscoverRate: acc.multiDiscoverCount / iterations,
+        hitRate: successfulDiscoveries / iterations,
+        hitRateError: proportionStandardError(successfulDiscoveries / iterations, iterations),
+        successfulDiscoveries: successfulDiscoveries,
+        iterations: iterations,
+        castableCards: discoverableCards.length,
+        power5PlusInRange: discoverableCards.filter(c => c.isPower5Plus).length,
         discoverableCards: discoverableCards // Include the actual card list
     };
-
-    simulationCache.set(cacheKey, result);
-    return result;
 }
 
 /**
  * Get current deck configuration with card details
+ * @param {Object} deck - Deck state to use instead of the current deck (e.g. the A/B comparison deck)
  */
-export function getDeckConfig() {
-    const config = DeckConfig.getDeckConfig();
+export function getDeckConfig(deck = null) {
+    const config = deck || DeckConfig.getDeckConfig();
     const treatStarAs5Plus = document.getElementById('vortex-star-power')?.checked || false;
 
     // Check if we have card details (new format) or need to fall back to old format
@@ -372,7 +283,7 @@ export function getDeckConfig() {
     let cardDetails = config.cardDetails || [];
     
     // Debug: Check a few cards for power property
-    if (cardDetails.length > 0) {
+    if (cardDetails.length > 0 && !deck) {
         console.log('Vortex Card Details Sample:', cardDetails.slice(0, 3).map(c => ({ name: c.name, power: c.power, isP5: c.isPower5Plus })));
     }
 
@@ -390,7 +301,12 @@ export function getDeckConfig() {
     // Clear cache if deck changed
     // Include checkbox state in hash
     const newHash = JSON.stringify(cardDetails) + lands + treatStarAs5Plus;
-    if (newHash !== lastDeckHash) {
+    if (deck) {
+        if (newHash !== lastComparisonHash) {
+            comparisonCache.clear();
+            lastComparisonHash = newHash;
+        }
+    } else if (newHash !== lastDeckHash) {
         simulationCache.clear();
         lastDeckHash = newHash;
     }
@@ -401,9 +317,16 @@ export function getDeckConfig() {
     // Find power 5+ creatures at this CMC (these could be the creature being cast)
     const power5PlusAtCMC = cardDetails.filter(c => c.cmc === creatureCMC && c.isPower5Plus);
 
+    // Power 5+ creature commanders are cast from the command zone, so casting one
+    // doesn't take a card out of the library
+    const commanderCreatures = DeckConfig.getCommanders(config).filter(c =>
+        (c.type_line || '').toLowerCase().includes('creature') && isCreaturePower5Plus(c.power, treatStarAs5Plus)
+    );
+    const castCommander = commanderCreatures.find(c => c.cmc === creatureCMC) || null;
+
     // If there's exactly one power 5+ creature at this CMC, use it as the cast creature
     // Otherwise, we'll simulate as if we're casting a generic power 5+ creature at this CMC
-    const castCreature = power5PlusAtCMC.length > 0 ? power5PlusAtCMC[0] : null;
+    const castCreature = castCommander ? null : (power5PlusAtCMC.length > 0 ? power5PlusAtCMC[0] : null);
 
     return {
         cardDetails,
@@ -411,35 +334,81 @@ export function getDeckConfig() {
         creaturesPower5Plus,
         creatureCMC,
         castCreature,
+        castCommander,
+        commanderCreatures,
         power5PlusAtCMC, // All power 5+ creatures at this CMC
         deckSize: cardDetails.length + lands,
-        treatStarAs5Plus
+        treatStarAs5Plus,
+        seed: getSimulationSeed()
     };
 }
 
 /**
  * Calculate results for different creature CMCs
+ * Simulations run on the worker pool; a newer call cancels this one.
+ * @param {Function} onPartial - Optional callback with partial { config, results } while running
+ * @param {Object} deck - Deck state to use instead of the current deck (runs as its own job)
+ * @returns {Promise<Object|null>} - Calculation results, or null if superseded
  */
-export function calculate() {
-    const config = getDeckConfig();
+export async function calculate(onPartial, deck = null) {
+    const config = getDeckConfig(deck);
+    const cache = deck ? comparisonCache : simulationCache;
 
-    if (config.deckSize === 0 || config.creaturesPower5Plus === 0 || config.cardDetails.length === 0) {
+    const hasTriggers = config.creaturesPower5Plus > 0 || config.commanderCreatures.length > 0;
+    if (config.deckSize === 0 || !hasTriggers || config.cardDetails.length === 0) {
         return { config, results: {} };
     }
 
-    const results = {};
+    // Find if there's a power 5+ creature at each CMC to exclude from the pool
+    // (a commander at that CMC is cast from the command zone instead)
+    const castCreatures = {};
+    CONFIG.CMC_RANGE.forEach(cmc => {
+        const commander = config.commanderCreatures.find(c => c.cmc === cmc);
+        castCreatures[cmc] = commander ? null : (config.cardDetails.find(c => c.cmc === cmc && c.isPower5Plus) || null);
+    });
 
-    // Calculate for each CMC in range
+    const cacheKeyFor = (cmc) => {
+        const castCreature = castCreatures[cmc];
+        return `${cmc}-${config.cardDetails.length}-${config.lands}-${castCreature ? castCreature.name : 'none'}-${config.treatStarAs5Plus}-${config.seed}`;
+    };
+
+    const results = {};
+    const tasks = {};
     CONFIG.CMC_RANGE.forEach(cmc => {
-        // Find if there's a power 5+ creature at this CMC to exclude from the pool
-        const power5PlusAtThisCMC = config.cardDetails.filter(c => c.cmc === cmc && c.isPower5Plus);
-        const creatureToExclude = power5PlusAtThisCMC.length > 0 ? power5PlusAtThisCMC[0] : null;
-
-        const stats = simulateDiscoverForCMC(config.cardDetails, cmc, config.lands, creatureToExclude, config.treatStarAs5Plus);
-        results[cmc] = {
-            creatureCMC: cmc,
-            ...stats
-        };
+        const cached = cache.get(cacheKeyFor(cmc));
+        if (cached) {
+            results[cmc] = cached;
+        } else {
+            tasks[cmc] = {
+                kernel: 'discover',
+                params: { deck: buildDiscoverDeck(config.cardDetails, config.lands, castCreatures[cmc]), discoverCMC: cmc },
+                seed: config.seed,
+                standardError: freeManaStandardError,
+                targetError: CONFIG.TARGET_ERROR,
+                timeBudget: CONFIG.TIME_BUDGET_MS,
+                minIterations: CONFIG.MIN_ITERATIONS,
+                maxIterations: CONFIG.MAX_ITERATIONS
+            };
+        }
+    });
+
+    const toResult = (cmc, acc) => ({
+        creatureCMC: Number(cmc),
+        ...summarizeDiscover(acc, config.cardDetails, Number(cmc), castCreatures[cmc])
+    });
+
+    const outcomes = await runSimulationJob(deck ? 'vortex-b' : 'vortex', tasks, {
+        onProgress: onPartial && (partials => {
+            const partialResults = { ...results };
+            Object.entries(partials).forEach(([cmc, acc]) => { partialResults[cmc] = toResult(cmc, acc); });
+            onPartial({ config, results: partialResults });
+        })
+    });
+    if (!outcomes) return null;
+
+    Object.entries(outcomes).forEach(([cmc, { acc }]) => {
+        results[cmc] = toResult(cmc, acc);
+        cache.set(cacheKeyFor(cmc), results[cmc]);
     });
 
     return { config, results };
@@ -447,52 +416,65 @@ export function calculate() {
 
 /**
  * Update chart visualization
+ * @param {Object|null} comparison - Comparison deck (B) results by CMC; only free mana is overlaid
  */
-function updateChart(config, results) {
+function updateChart(config, results, comparison = null) {
     const cmcValues = CONFIG.CMC_RANGE;
     const freeManaData = cmcValues.map(cmc => results[cmc]?.avgFreeMana || 0);
     const avgSpellCMCData = cmcValues.map(cmc => results[cmc]?.avgSpellCMC || 0);
     const avgSpellsCastData = cmcValues.map(cmc => results[cmc]?.avgSpellsPerTrigger || 0);
 
+    const datasets = [
+        {
+            label: 'Avg Free Mana Value',
+            data: freeManaData,
+            borderColor: '#f97316',
+            backgroundColor: 'rgba(249, 115, 22, 0.1)',
+            fill: false,
+            tension: 0.3,
+            pointRadius: cmcValues.map(cmc => cmc === config.creatureCMC ? 8 : 4),
+            pointBackgroundColor: cmcValues.map(cmc => cmc === config.creatureCMC ? '#fff' : '#f97316'),
+            yAxisID: 'yMana'
+        },
+        {
+            label: 'Avg Spell CMC Found',
+            data: avgSpellCMCData,
+            borderColor: '#22c55e',
+            backgroundColor: 'rgba(34, 197, 94, 0.1)',
+            fill: false,
+            tension: 0.3,
+            pointRadius: cmcValues.map(cmc => cmc === config.creatureCMC ? 8 : 4),
+            pointBackgroundColor: cmcValues.map(cmc => cmc === config.creatureCMC ? '#fff' : '#22c55e'),
+            yAxisID: 'yMana'
+        },
+        {
+            label: 'Avg Spells Cast',
+            data: avgSpellsCastData,
+            borderColor: '#c084fc',
+            backgroundColor: 'rgba(192, 132, 252, 0.1)',
+            fill: false,
+            tension: 0.3,
+            pointRadius: cmcValues.map(cmc => cmc === config.creatureCMC ? 8 : 4),
+            pointBackgroundColor: cmcValues.map(cmc => cmc === config.creatureCMC ? '#fff' : '#c084fc'),
+            yAxisID: 'ySpells'
+        },
+        ...createErrorBandDatasets(
+            freeManaData,
+            cmcValues.map(cmc => results[cmc] ? Z_95 * results[cmc].avgFreeManaError : 0),
+            'rgba(249, 115, 22, 0.2)',
+            'yMana'
+        )
+    ];
+
+    if (comparison) {
+        datasets.push(createComparisonDataset(datasets[0], cmcValues.map(cmc => comparison[cmc]?.avgFreeMana ?? null)));
+    }
+
     chart = createOrUpdateChart(chart, 'vortex-chart', {
         type: 'line',
         data: {
             labels: cmcValues.map(cmc => `${cmc} CMC`),
-            datasets: [
-                {
-                    label: 'Avg Free Mana Value',
-                    data: freeManaData,
-                    borderColor: '#f97316',
-                    backgroundColor: 'rgba(249, 115, 22, 0.1)',
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: cmcValues.map(cmc => cmc === config.creatureCMC ? 8 : 4),
-                    pointBackgroundColor: cmcValues.map(cmc => cmc === config.creatureCMC ? '#fff' : '#f97316'),
-                    yAxisID: 'yMana'
-                },
-                {
-                    label: 'Avg Spell CMC Found',
-                    data: avgSpellCMCData,
-                    borderColor: '#22c55e',
-                    backgroundColor: 'rgba(34, 197, 94, 0.1)',
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: cmcValues.map(cmc => cmc === config.creatureCMC ? 8 : 4),
-                    pointBackgroundColor: cmcValues.map(cmc => cmc === config.creatureCMC ? '#fff' : '#22c55e'),
-                    yAxisID: 'yMana'
-                },
-                {
-                    label: 'Avg Spells Cast',
-                    data: avgSpellsCastData,
-                    borderColor: '#c084fc',
-                    backgroundColor: 'rgba(192, 132, 252, 0.1)',
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: cmcValues.map(cmc => cmc === config.creatureCMC ? 8 : 4),
-                    pointBackgroundColor: cmcValues.map(cmc => cmc === config.creatureCMC ? '#fff' : '#c084fc'),
-                    yAxisID: 'ySpells'
-                }
-            ]
+            datasets
         },
         options: {
             scales: {
@@ -524,10 +506,12 @@ function updateChart(config, results) {
 
 /**
  * Update comparison table
+ * @param {Object|null} comparison - Comparison deck (B) results by CMC
  */
-function updateTable(config, results) {
+function updateTable(config, results, comparison = null) {
     const cmcValues = CONFIG.CMC_RANGE;
     const headers = ['Creature CMC', 'Castable Cards', 'Avg Spell CMC', 'Avg Free Mana'];
+    if (comparison) headers.push('Free Mana vs B');
 
     const rows = [];
     cmcValues.forEach((cmc) => {
@@ -539,7 +523,13 @@ function updateTable(config, results) {
                 cmc,
                 r.castableCards,
                 formatNumber(r.avgSpellCMC, 2),
-                formatNumber(r.avgFreeMana, 2)
+                { value: formatNumber(r.avgFreeMana, 2), margin: formatMargin(r.avgFreeManaError) },
+                ...(comparison ? [
+                    deltaCell(r.avgFreeMana, comparison[cmc]?.avgFreeMana, {
+                        format: diff => formatNumber(diff, 2),
+                        epsilon: Z_95 * Math.hypot(r.avgFreeManaError || 0, comparison[cmc]?.avgFreeManaError || 0)
+                    })
+                ] : [])
             ],
             class: cmc === config.creatureCMC ? 'current' : ''
         });
@@ -558,7 +548,7 @@ function updateStats(config, results) {
     if (statsPanel && currentResult) {
         const totalNonLands = config.cardDetails.length;
         const castablePercent = totalNonLands > 0 ? (currentResult.castableCards / totalNonLands) * 100 : 0;
-        const hitRate = currentResult.successfulDiscoveries / CONFIG.ITERATIONS;
+        const hitRate = currentResult.hitRate;
 
         // Build detailed breakdown with actual card names
         const discoverableCards = currentResult.discoverableCards || [];
@@ -618,7 +608,11 @@ function updateStats(config, results) {
             : 0;
 
         // Check if we're excluding a creature from the pool
-        const excludedCreatureNote = config.power5PlusAtCMC && config.power5PlusAtCMC.length > 0
+        const excludedCreatureNote = config.castCommander
+            ? `<div style="margin-bottom: 12px; padding: 8px; background: rgba(192, 132, 252, 0.1); border-left: 3px solid #c084fc; border-radius: 4px; font-size: 0.9em;">
+                👑 Casting commander <strong>${config.castCommander.name}</strong> from the command zone - discover pool unchanged
+               </div>`
+            : config.power5PlusAtCMC && config.power5PlusAtCMC.length > 0
             ? `<div style="margin-bottom: 12px; padding: 8px; background: rgba(192, 132, 252, 0.1); border-left: 3px solid #c084fc; border-radius: 4px; font-size: 0.9em;">
                 ⚡ Casting <strong>${config.power5PlusAtCMC[0].name}</strong> - excluded from discover pool
                </div>`
@@ -632,12 +626,12 @@ function updateStats(config, results) {
                  <div class="stat-card" style="background: var(--panel-bg-alt); padding: 12px; border-radius: 8px; text-align: center;">
                     <div style="color: var(--text-dim); font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.5px;">Avg Spells</div>
                     <div style="font-size: 1.8em; font-weight: bold; color: var(--text-light); line-height: 1.2;">${formatNumber(currentResult.avgSpellsPerTrigger, 2)}</div>
-                    <div style="color: var(--text-secondary); font-size: 0.8em;">per trigger</div>
+                    <div style="color: var(--text-secondary); font-size: 0.8em;">per trigger <span class="ci-margin">${formatMargin(currentResult.avgSpellsPerTriggerError)}</span></div>
                 </div>
                  <div class="stat-card" style="background: var(--panel-bg-alt); padding: 12px; border-radius: 8px; text-align: center;">
                     <div style="color: var(--text-dim); font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.5px;">Avg Mana</div>
                     <div style="font-size: 1.8em; font-weight: bold; color: #f97316; line-height: 1.2;">${formatNumber(currentResult.avgFreeMana, 1)}</div>
-                    <div style="color: var(--text-secondary); font-size: 0.8em;">value per trigger</div>
+                    <div style="color: var(--text-secondary); font-size: 0.8em;">value per trigger <span class="ci-margin">${formatMargin(currentResult.avgFreeManaError, v => formatNumber(v, 1))}</span></div>
                 </div>
                  <div class="stat-card" style="background: var(--panel-bg-alt); padding: 12px; border-radius: 8px; text-align: center; border: 1px solid rgba(34, 197, 94, 0.2);">
                     <div style="color: var(--text-dim); font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.5px;">Chain Probability</div>
@@ -657,7 +651,7 @@ function updateStats(config, results) {
                 </div>
                  <div style="display: flex; justify-content: space-between;" title="Probability of finding ANY valid card (not whiffing)">
                      <span style="color: var(--text-dim);">Hit Probability</span>
-                     <strong>${formatNumber(hitRate * 100, 1)}%</strong>
+                     <strong>${formatNumber(hitRate * 100, 1)}% <span class="ci-margin">${formatMargin(currentResult.hitRateError, v => formatNumber(v * 100, 1) + '%')}</span></strong>
                 </div>
             </div>
 
@@ -682,8 +676,21 @@ function updateStats(config, results) {
 /**
  * Update all UI elements
  */
-export function updateUI() {
-    const { config, results } = calculate();
+export async function updateUI() {
+    // The comparison deck (B) simulates alongside A; partial updates only show A
+    const comparisonDeck = DeckConfig.getComparisonDeck();
+    const comparisonRun = comparisonDeck ? calculate(null, comparisonDeck) : Promise.resolve(null);
+
+    const output = await calculate(partial => {
+        updateChart(partial.config, partial.results);
+        updateTable(partial.config, partial.results);
+        updateStats(partial.config, partial.results);
+    });
+    const comparisonOutput = await comparisonRun;
+    if (!output || (comparisonDeck && !comparisonOutput)) return; // Superseded by a newer update
+
+    const { config, results } = output;
+    const comparison = comparisonOutput ? comparisonOutput.results : null;
 
     console.log('Vortex updateUI called:', {
         deckSize: config.deckSize,
@@ -702,7 +709,7 @@ export function updateUI() {
         }
     }
 
-    if (config.cardDetails.length === 0 || config.creaturesPower5Plus === 0 || Object.keys(results).length === 0) {
+    if (config.cardDetails.length === 0 || (config.creaturesPower5Plus === 0 && config.commanderCreatures.length === 0) || Object.keys(results).length === 0) {
         if (chart) chart.destroy();
         document.getElementById('vortex-comparisonTable').innerHTML = '<tr><td colspan="5">Configure your deck with creatures (power 5+) to see results</td></tr>';
         const statsPanel = document.getElementById('vortex-stats');
@@ -712,8 +719,8 @@ export function updateUI() {
         return;
     }
 
-    updateChart(config, results);
-    updateTable(config, results);
+    updateChart(config, results, comparison);
+    updateTable(config, results, comparison);
     updateStats(config, results);
 
     // Call sample reveals if container exists and we have data
@@ -1,29 +1,33 @@
 /**
  * Genesis Wave Calculator
- * Simulates permanents played with Genesis Wave for X
+ * Computes the exact distribution of permanents played with Genesis Wave for X
  */
 
-import { createCache, partialShuffle, formatNumber, formatPercentage, debounce } from '../utils/simulation.js';
-import { renderMultiColumnTable } from '../utils/tableUtils.js';
-import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import {
+    createCache, formatNumber, formatPercentage, debounce,
+    createRng, nextSampleSeed
+} from '../utils/simulation.js';
+import { drawType } from '../utils/hypergeometric.js';
+import { renderMultiColumnTable, deltaCell } from '../utils/tableUtils.js';
+import { createOrUpdateChart, createComparisonDataset } from '../utils/chartHelpers.js';
 import { bindInputSync } from '../utils/ui.js';
 import * as DeckConfig from '../utils/deckConfig.js';
 
 
+import { genesisWave, isPermanent, sampleScenario } from '../utils/scenarioEngine.js';
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge, renderDistributionChart,
-    createCollapsibleSection, extractCardTypes
+    buildDeckFromCardData, renderCardBadge, renderDistributionChart,
+    createCollapsibleSection, extractCardTypes, renderSeedInfo
 } from '../utils/sampleSimulator.js';
 
 const CONFIG = {
-    ITERATIONS: 20000,
     X_RANGE_BEFORE: 4,
     X_RANGE_AFTER: 4
 };
 
-let simulationCache = createCache(50);
-let lastDeckHash = '';
+let resultCache = createCache(50);
 let chart = null;
+let distChart = null;
 
 /**
  * Create a hash for the distribution object
@@ -42,80 +46,79 @@ function hashDistribution(dist) {
 }
 
 /**
- * Simulate Genesis Wave
+ * Exact Genesis Wave distribution for one X
+ * Every permanent with MV <= X is a hit, so the hits among the X revealed cards
+ * are a plain hypergeometric draw.
  * @param {number} deckSize - Total cards in library
  * @param {Object} distribution - Map of CMC (or 'nonperm') to count
  * @param {number} x - X value (cards to reveal)
- * @returns {Object} - Simulation results
+ * @param {number} lands - Lands in library (counted in the CMC 0 bucket)
+ * @returns {Object} - { pmf, atLeast, expectedPermanents, expectedManaValue, expectedLands, expectedNonlandPermanents }
  */
-export function simulateGenesisWave(deckSize, distribution, x) {
-    const cacheKey = `${deckSize}-${x}-${hashDistribution(distribution)}`;
-    const cached = simulationCache.get(cacheKey);
+export function computeGenesisWave(deckSize, distribution, x, lands = 0) {
+    const cacheKey = `${deckSize}-${x}-${lands}-${hashDistribution(distribution)}`;
+    const cached = resultCache.get(cacheKey);
     if (cached) return cached;
 
-    // Build deck: each card stores its CMC (0-20), or 255 for non-permanent
-    const deck = new Uint8Array(deckSize);
-    let idx = 0;
-
-    // Populate deck from distribution
+    let hits = 0;
+    let hitManaValue = 0;
     for (const [key, count] of Object.entries(distribution)) {
-        const val = key === 'nonperm' ? 255 : parseInt(key);
-        // Safety check for valid count
-        const safeCount = Math.max(0, count || 0);
-        
-        for (let i = 0; i < safeCount; i++) {
-            if (idx < deckSize) {
-                deck[idx++] = val;
-            }
+        if (key === 'nonperm') continue;
+        const cmc = parseInt(key);
+        if (cmc <= x) {
+            hits += Math.max(0, count || 0);
+            hitManaValue += cmc * Math.max(0, count || 0);
         }
     }
+    // Counts beyond the library size can't be revealed
+    hits = Math.min(hits, deckSize);
 
-    // IMPORTANT: If deckSize > total counts, fill remainder with 255 (Miss)
-    // This prevents "phantom lands" (0s) from appearing if counts are incomplete
-    while (idx < deckSize) {
-        deck[idx++] = 255;
+    const revealed = Math.min(x, deckSize);
+    const pmf = [];
+    for (let k = 0; k <= Math.min(revealed, hits); k++) {
+        pmf.push(drawType(deckSize, hits, revealed, k));
     }
 
-    let totalPermanentsPlayed = 0;
-    const drawCount = Math.min(x, deckSize);
-
-    for (let iter = 0; iter < CONFIG.ITERATIONS; iter++) {
-        // Partial Fisher-Yates
-        partialShuffle(deck, drawCount, deckSize);
-
-        // Count permanents with CMC <= X
-        let count = 0;
-        for (let i = 0; i < drawCount; i++) {
-            const cmc = deck[i];
-            if (cmc !== 255 && cmc <= x) {
-                count++;
-            }
-        }
-
-        totalPermanentsPlayed += count;
+    // atLeast[k] = P(>= k permanents)
+    const atLeast = new Array(pmf.length).fill(0);
+    let tail = 0;
+    for (let k = pmf.length - 1; k >= 0; k--) {
+        tail += pmf[k];
+        atLeast[k] = Math.min(1, tail);
     }
 
+    const revealRate = deckSize > 0 ? revealed / deckSize : 0;
+    const expectedLands = revealRate * Math.min(lands, hits);
+    const expectedPermanents = revealRate * hits;
+
     const result = {
-        expectedPermanents: totalPermanentsPlayed / CONFIG.ITERATIONS
+        pmf,
+        atLeast,
+        expectedPermanents,
+        expectedManaValue: revealRate * hitManaValue,
+        expectedLands,
+        expectedNonlandPermanents: expectedPermanents - expectedLands
     };
 
-    simulationCache.set(cacheKey, result);
+    resultCache.set(cacheKey, result);
     return result;
 }
 
 /**
  * Get current deck configuration from shared config
+ * @param {Object} deck - Deck state to use instead of the current deck (e.g. the A/B comparison deck)
  * @returns {Object} - Deck configuration
  */
-export function getDeckConfig() {
-    const config = DeckConfig.getDeckConfig();
-    const cardData = DeckConfig.getImportedCardData();
+export function getDeckConfig(deck = null) {
+    const config = deck || DeckConfig.getDeckConfig();
+    const cardData = DeckConfig.getImportedCardData(config);
 
     // Use shared getDeckSize function to properly handle dual-typed cards
-    const deckSize = DeckConfig.getDeckSize(true);
+    const deckSize = DeckConfig.getDeckSize(true, config);
 
     // Distribution map: CMC (number) -> count, plus 'nonperm' -> count
     let distribution = {};
+    let lands = 0;
     
     // Also keep simple counts for stats display if needed (derived from distribution later if necessary)
     // But for simulation, we use 'distribution'
@@ -148,6 +151,9 @@ export function getDeckConfig() {
                 // It is a permanent (Land, Creature, etc.)
                 const cmc = card.cmc !== undefined ? Math.floor(card.cmc) : 0;
                 distribution[cmc] = (distribution[cmc] || 0) + card.count;
+                if (cmc === 0 && typeLine.includes('land')) {
+                    lands += card.count;
+                }
             }
         });
         
@@ -181,17 +187,11 @@ export function getDeckConfig() {
         
         // If CMC buckets are all empty but types are not, maybe fall back to types? 
         // But the default values for CMC buckets are set in deckConfig.js.
-    }
-
-    // Clear cache if deck changed
-    const newHash = hashDistribution(distribution);
-    if (newHash !== lastDeckHash) {
-        simulationCache.clear();
-        lastDeckHash = newHash;
+        lands = config.lands;
     }
 
     const xSlider = document.getElementById('wave-xSlider');
-    if (xSlider) {
+    if (xSlider && !deck) {
         xSlider.max = Math.min(deckSize, 30);
     }
 
@@ -213,6 +213,7 @@ export function getDeckConfig() {
         deckSize,
         x: parseInt(document.getElementById('wave-xValue').value) || 10,
         distribution,
+        lands,
         cmcCounts, // For backward compatibility with updateStats
         totalPerms,
         cardData
@@ -221,25 +222,23 @@ export function getDeckConfig() {
 
 /**
  * Calculate results for current deck configuration
+ * @param {Object} deck - Deck state to use instead of the current deck
  * @returns {Object} - Calculation results
  */
-export function calculate() {
-    const config = getDeckConfig();
+export function calculate(deck = null) {
+    const config = getDeckConfig(deck);
 
     if (config.deckSize === 0) {
         return { config, results: {} };
     }
 
-    const results = {};
     const minX = Math.max(1, config.x - CONFIG.X_RANGE_BEFORE);
     const maxX = Math.min(config.x + CONFIG.X_RANGE_AFTER, config.deckSize);
 
+    const results = {};
     for (let testX = minX; testX <= maxX; testX++) {
-        // Pass distribution instead of cmcCounts
-        const sim = simulateGenesisWave(config.deckSize, config.distribution, testX);
-
         results[testX] = {
-            expectedPermanents: sim.expectedPermanents,
+            ...computeGenesisWave(config.deckSize, config.distribution, testX, config.lands),
             cardsRevealed: testX
         };
     }
@@ -251,40 +250,49 @@ export function calculate() {
  * Update chart visualization
  * @param {Object} config - Deck configuration
  * @param {Object} results - Calculation results
+ * @param {Object|null} comparison - Comparison deck (B) results by X, drawn dashed
  */
-function updateChart(config, results) {
+function updateChart(config, results, comparison) {
     const xValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     const expectedPermsData = xValues.map(x => results[x].expectedPermanents);
     const cardsRevealedData = xValues.map(x => results[x].cardsRevealed);
 
+    const datasets = [
+        {
+            label: 'Expected Permanents',
+            data: expectedPermsData,
+            borderColor: '#38bdf8',
+            backgroundColor: 'rgba(56, 189, 248, 0.1)',
+            fill: false,
+            tension: 0.3,
+            pointRadius: xValues.map(x => x === config.x ? 8 : 4),
+            pointBackgroundColor: xValues.map(x => x === config.x ? '#fff' : '#38bdf8'),
+            yAxisID: 'y'
+        },
+        {
+            label: 'Cards Revealed',
+            data: cardsRevealedData,
+            borderColor: '#22c55e',
+            backgroundColor: 'rgba(34, 197, 94, 0.1)',
+            fill: false,
+            tension: 0.3,
+            pointRadius: xValues.map(x => x === config.x ? 8 : 4),
+            pointBackgroundColor: xValues.map(x => x === config.x ? '#fff' : '#22c55e'),
+            yAxisID: 'y'
+        }
+    ];
+
+    // Cards revealed is the same for both decks, so only permanents are overlaid
+    if (comparison) {
+        datasets.push(createComparisonDataset(datasets[0],
+            xValues.map(x => comparison[x] ? comparison[x].expectedPermanents : null)));
+    }
+
     chart = createOrUpdateChart(chart, 'wave-chart', {
         type: 'line',
         data: {
             labels: xValues.map(x => 'X=' + x),
-            datasets: [
-                {
-                    label: 'Expected Permanents',
-                    data: expectedPermsData,
-                    borderColor: '#38bdf8',
-                    backgroundColor: 'rgba(56, 189, 248, 0.1)',
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: xValues.map(x => x === config.x ? 8 : 4),
-                    pointBackgroundColor: xValues.map(x => x === config.x ? '#fff' : '#38bdf8'),
-                    yAxisID: 'y'
-                },
-                {
-                    label: 'Cards Revealed',
-                    data: cardsRevealedData,
-                    borderColor: '#22c55e',
-                    backgroundColor: 'rgba(34, 197, 94, 0.1)',
-                    fill: false,
-                    tension: 0.3,
-                    pointRadius: xValues.map(x => x === config.x ? 8 : 4),
-                    pointBackgroundColor: xValues.map(x => x === config.x ? '#fff' : '#22c55e'),
-                    yAxisID: 'y'
-                }
-            ]
+            datasets
         },
         options: {
             scales: {
@@ -307,11 +315,90 @@ function updateChart(config, results) {
                 tooltip: {
                     callbacks: {
                         label: ctx => {
-                            if (ctx.datasetIndex === 0) {
-                                return `Permanents played: ${ctx.parsed.y.toFixed(2)}`;
-                            } else {
+                            if (ctx.datasetIndex === 1) {
                                 return `Cards revealed: ${ctx.parsed.y}`;
                             }
+                            return `Permanents played${ctx.dataset.comparison ? ' (B)' : ''}: ${ctx.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Update distribution chart (permanents played at the chosen X)
+ * @param {Object} config - Deck configuration
+ * @param {Object} results - Calculation results
+ * @param {Object|null} comparison - Comparison deck (B) results by X
+ */
+function updateDistributionChart(config, results, comparison) {
+    const currentResult = results[config.x];
+    if (!currentResult) return;
+
+    const comparisonResult = comparison && comparison[config.x];
+    const length = Math.max(currentResult.pmf.length, comparisonResult ? comparisonResult.pmf.length : 0);
+    const counts = Array.from({ length }, (_, k) => k);
+
+    const datasets = [
+        {
+            type: 'bar',
+            label: 'P(exactly k)',
+            data: counts.map(k => (currentResult.pmf[k] || 0) * 100),
+            backgroundColor: 'rgba(56, 189, 248, 0.6)',
+            borderColor: '#38bdf8',
+            borderWidth: 1
+        },
+        {
+            type: 'line',
+            label: 'P(at least k)',
+            data: counts.map(k => (currentResult.atLeast[k] || 0) * 100),
+            borderColor: '#22c55e',
+            backgroundColor: 'rgba(34, 197, 94, 0.1)',
+            fill: false,
+            tension: 0.3,
+            pointRadius: 3
+        }
+    ];
+
+    if (comparisonResult) {
+        datasets.push(
+            createComparisonDataset(datasets[0], counts.map(k => (comparisonResult.pmf[k] || 0) * 100)),
+            createComparisonDataset(datasets[1], counts.map(k => (comparisonResult.atLeast[k] || 0) * 100))
+        );
+    }
+
+    distChart = createOrUpdateChart(distChart, 'wave-distChart', {
+        type: 'bar',
+        data: {
+            labels: counts.map(String),
+            datasets
+        },
+        options: {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    max: 100,
+                    title: { display: true, text: 'Probability %', color: '#38bdf8' },
+                    grid: { color: 'rgba(14, 165, 233, 0.2)' },
+                    ticks: { color: '#38bdf8' }
+                },
+                x: {
+                    title: { display: true, text: `Permanents Played (X=${config.x})`, color: '#a09090' },
+                    grid: { display: false },
+                    ticks: { color: '#a09090' }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        title: items => `${items[0].label} permanents`,
+                        label: ctx => {
+                            const deck = ctx.dataset.comparison ? ' (B)' : '';
+                            return ctx.dataset.type === 'bar'
+                                ? `Exactly${deck}: ${ctx.parsed.y.toFixed(2)}%`
+                                : `At least${deck}: ${ctx.parsed.y.toFixed(2)}%`;
                         }
                     }
                 }
@@ -324,12 +411,14 @@ function updateChart(config, results) {
  * Update comparison table
  * @param {Object} config - Deck configuration
  * @param {Object} results - Calculation results
+ * @param {Object|null} comparison - Comparison deck (B) results by X
  */
-function updateTable(config, results) {
+function updateTable(config, results, comparison) {
     const xValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     const currentResult = results[config.x];
 
-    const headers = ['X', 'Cards Revealed', 'Expected Perms', 'Δ Perms', 'Efficiency'];
+    const headers = ['X', 'Cards Revealed', 'Expected Perms', 'Δ Perms', 'Expected MV', 'Efficiency'];
+    if (comparison) headers.push('Perms vs B');
     
     const rows = xValues.map(x => {
         const r = results[x];
@@ -344,7 +433,11 @@ function updateTable(config, results) {
                 r.cardsRevealed,
                 formatNumber(r.expectedPermanents),
                 { value: isBaseline ? '-' : (deltaPerms >= 0 ? '+' : '') + formatNumber(deltaPerms), class: deltaClass },
-                formatNumber(efficiency, 1) + '%'
+                formatNumber(r.expectedManaValue, 1),
+                formatNumber(efficiency, 1) + '%',
+                ...(comparison ? [
+                    deltaCell(r.expectedPermanents, comparison[x] && comparison[x].expectedPermanents, { format: diff => formatNumber(diff) })
+                ] : [])
             ],
             class: isBaseline ? 'current' : ''
         };
@@ -369,6 +462,7 @@ function updateStats(config, results) {
         // Calculate total permanents (non-permanents are instants + sorceries)
         const totalPerms = config.deckSize - config.cmcCounts.nonperm;
         const permPercent = (totalPerms / config.deckSize) * 100;
+        const roundedUp = Math.ceil(currentResult.expectedPermanents);
 
         // Create interpretation message
         let interpretation = '';
@@ -405,12 +499,23 @@ function updateStats(config, results) {
                     <div style="font-size: 1.5em; font-weight: bold; color: #f59e0b;">${totalPerms}</div>
                     <div style="color: var(--text-secondary); font-size: 0.85em;">${formatNumber(permPercent, 0)}% permanents</div>
                 </div>
+                <div class="stat-card" style="background: var(--panel-bg-alt); padding: 12px; border-radius: 8px;">
+                    <div style="color: var(--text-dim); font-size: 0.9em; margin-bottom: 4px;">Mana Value Cheated In</div>
+                    <div style="font-size: 1.5em; font-weight: bold; color: #c084fc;">${formatNumber(currentResult.expectedManaValue, 1)}</div>
+                    <div style="color: var(--text-secondary); font-size: 0.85em;">expected total MV</div>
+                </div>
+                <div class="stat-card" style="background: var(--panel-bg-alt); padding: 12px; border-radius: 8px;">
+                    <div style="color: var(--text-dim); font-size: 0.9em; margin-bottom: 4px;">Lands / Nonland Permanents</div>
+                    <div style="font-size: 1.5em; font-weight: bold; color: var(--text-light);">${formatNumber(currentResult.expectedLands, 1)} / ${formatNumber(currentResult.expectedNonlandPermanents, 1)}</div>
+                    <div style="color: var(--text-secondary); font-size: 0.85em;">expected per cast</div>
+                </div>
             </div>
 
             <div style="margin-top: 16px; padding: 12px; background: var(--panel-bg-alt); border-left: 3px solid var(--accent); border-radius: 4px;">
                 <div style="margin-bottom: 8px;">${interpretation}</div>
                 <div style="color: var(--text-secondary); font-size: 0.9em;">
                     • Average ${formatNumber(currentResult.expectedPermanents, 1)} permanents per cast<br>
+                    • ${formatPercentage(currentResult.atLeast[roundedUp] || 0)} chance of at least ${roundedUp} permanents<br>
                     • Reveals ${currentResult.cardsRevealed} cards (${formatNumber((currentResult.cardsRevealed / config.deckSize) * 100, 1)}% of deck)
                 </div>
             </div>
@@ -428,19 +533,11 @@ function updateComparison(config, results) {
     const comparisonInsight = document.getElementById('wave-comparison-insight');
 
     if (config.x >= 7) {
-        // Import surge simulator to compare
+        // Import surge calculator to compare
         import('./surge.js').then(surgeModule => {
-            // Use pre-calculated totalPerms if available, otherwise sum buckets (legacy fallback)
-            const totalPermanents = config.totalPerms !== undefined 
-                ? config.totalPerms 
-                : (config.cmcCounts.lands + config.cmcCounts.cmc0 +
-                   config.cmcCounts.cmc2 + config.cmcCounts.cmc3 +
-                   config.cmcCounts.cmc4 + config.cmcCounts.cmc5 +
-                   config.cmcCounts.cmc6);
-                   
             const nonPermanents = config.cmcCounts.nonperm;
 
-            const surgeResult = surgeModule.simulatePrimalSurge(config.deckSize, nonPermanents, totalPermanents);
+            const surgeResult = surgeModule.computePrimalSurge(config.deckSize, nonPermanents);
             const waveResult = results[config.x];
 
             const waveBetter = waveResult.expectedPermanents > surgeResult.expectedPermanents;
@@ -491,41 +588,21 @@ export function runSampleReveals() {
     // Build deck array with full card objects
     const deck = buildDeckFromCardData(cardData);
 
+    const seed = nextSampleSeed();
+    const samples = sampleScenario(genesisWave(config.x), deck, numSims, createRng(seed));
+
     // Run simulations
     let revealsHTML = '';
     let totalPermanents = 0;
     const permanentDistribution = new Array(config.x + 1).fill(0);
 
-    for (let i = 0; i < numSims; i++) {
-        // Shuffle deck
-        const shuffled = shuffleDeck([...deck]);
-
-        // Reveal X cards
-        const revealed = shuffled.slice(0, config.x);
+    samples.forEach((outcome, i) => {
+        const revealed = outcome.steps[0].revealed;
 
-        // Count permanents (Genesis Wave: all permanents with CMC <= X go to battlefield)
-        const permanentsToBattlefield = [];
-        const permanentsToGraveyard = [];
-        const nonPermanents = [];
-
-        revealed.forEach(card => {
-            // A card is a permanent if it has any permanent type, regardless of other types (e.g. Adventures are permanents)
-            const hasPermanentType = card.types.some(t => 
-                ['creature', 'artifact', 'enchantment', 'planeswalker', 'battle', 'land'].includes(t)
-            );
-            
-            if (!hasPermanentType) {
-                nonPermanents.push(card);
-            } else {
-                // Check if CMC <= X (Genesis Wave only puts permanents with CMC <= X onto battlefield)
-                const cmc = card.cmc !== undefined ? card.cmc : 0;
-                if (cmc <= config.x) {
-                    permanentsToBattlefield.push(card);
-                } else {
-                    permanentsToGraveyard.push(card);
-                }
-            }
-        });
+        // Genesis Wave: all permanents with CMC <= X go to battlefield, the rest to the graveyard
+        const permanentsToBattlefield = outcome.hits;
+        const permanentsToGraveyard = revealed.filter(r => !r.hit && isPermanent(r.card)).map(r => r.card);
+        const nonPermanents = revealed.filter(r => !isPermanent(r.card)).map(r => r.card);
 
         const permanentCount = permanentsToBattlefield.length;
         totalPermanents += permanentCount;
@@ -536,12 +613,8 @@ export function runSampleReveals() {
         revealsHTML += `<div><strong>Reveal ${i + 1} (X=${config.x}):</strong></div>`;
         revealsHTML += '<div style="margin: 8px 0;">';
 
-        revealed.forEach(card => {
-            const hasPermanentType = card.types.some(t => 
-                ['creature', 'artifact', 'enchantment', 'planeswalker', 'battle', 'land'].includes(t)
-            );
+        revealed.forEach(({ card, hit }) => {
             const cmc = card.cmc !== undefined ? card.cmc : 0;
-            const toBattlefield = hasPermanentType && cmc <= config.x;
 
             // Color coding:
             // Green background = permanent with CMC <= X (goes to battlefield)
@@ -549,9 +622,9 @@ export function runSampleReveals() {
             // Blue background = non-permanent (goes to graveyard)
             let bgColor = '';
             let textColor = '#fff';
-            if (!hasPermanentType) {
+            if (!isPermanent(card)) {
                 bgColor = '#3b82f6'; // Blue for non-permanents
-            } else if (cmc <= config.x) {
+            } else if (hit) {
                 bgColor = '#22c55e'; // Green for playable permanents
                 textColor = '#000';
             } else {
@@ -574,7 +647,7 @@ export function runSampleReveals() {
         }
 
         revealsHTML += '</div></div>';
-    }
+    });
 
     // Calculate average permanents
     const avgPermanents = (totalPermanents / numSims).toFixed(2);
@@ -592,7 +665,9 @@ export function runSampleReveals() {
 
     distributionHTML += `<div style="margin-top: var(--spacing-md); text-align: center;">`;
     distributionHTML += `<strong>Average permanents:</strong> ${avgPermanents} out of ${config.x} revealed (${avgPercent}%)`;
-    distributionHTML += '</div></div>';
+    distributionHTML += '</div>';
+    distributionHTML += renderSeedInfo(seed);
+    distributionHTML += '</div>';
 
     // Make reveals collapsible
     const revealsSectionHTML = createCollapsibleSection(
@@ -612,13 +687,20 @@ export function updateUI() {
 
     if (config.deckSize === 0 || Object.keys(results).length === 0) {
         if (chart) chart.destroy();
+        if (distChart) distChart.destroy();
+        chart = null;
+        distChart = null;
         document.getElementById('wave-comparisonTable').innerHTML = '';
         return;
     }
 
-    updateChart(config, results);
+    const comparisonDeck = DeckConfig.getComparisonDeck();
+    const comparison = comparisonDeck ? calculate(comparisonDeck).results : null;
+
+    updateChart(config, results, comparison);
+    updateDistributionChart(config, results, comparison);
     updateStats(config, results);
-    updateTable(config, results);
+    updateTable(config, results, comparison);
     updateComparison(config, results);
 
     // Draw initial sample reveals if we have card data
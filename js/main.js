@@ -13,6 +13,10 @@ import * as Mulligan from './calculators/mulligan.js';
 import { debounce } from './utils/simulation.js';
 import * as Components from './utils/components.js';
 import * as DeckConfig from './utils/deckConfig.js';
+import { initDeckEditor } from './utils/deckEditor.js';
+import { initPersistence, collectInputs, applyInputs, collectState, applyState } from './utils/persistence.js';
+import { buildShareUrl, decodeShareState, readShareHash } from './utils/shareLink.js';
+import { escapeHtml } from './utils/ui.js';
 
 // Current active tab
 let currentTab = 'portent';
@@ -212,6 +216,84 @@ function initServiceWorker() {
     }
 }
 
+/**
+ * Open a share link from the URL hash: restore its deck, open its calculator
+ * and apply that calculator's inputs. The hash is removed afterwards so a
+ * reload keeps later edits instead of reapplying the link.
+ * @returns {Promise<void>}
+ */
+async function restoreShareLink() {
+    const encoded = readShareHash(window.location.hash);
+    if (!encoded) return;
+
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    let shared;
+    try {
+        shared = await decodeShareState(encoded);
+    } catch (error) {
+        console.warn('Could not open share link:', error);
+        DeckConfig.showImportStatus(`✗ Could not open share link: ${escapeHtml(error.message)}`, 'error');
+        return;
+    }
+
+    if (shared.tab && calculators[shared.tab]) {
+        switchTab(shared.tab);
+    }
+    applyInputs(shared.inputs);
+    applyState(shared.state);
+
+    if (shared.deck.counts) {
+        // Manual counts replace any imported card data
+        DeckConfig.updateDeck({
+            ...shared.deck.counts,
+            actualCardCount: null,
+            cardDetails: [],
+            cardsByName: {},
+            commanders: [],
+            boardCards: [],
+            importMetadata: null
+        });
+        DeckConfig.refreshDeckInputs();
+    } else {
+        // Failures are shown in the import status
+        await DeckConfig.importSharedDeck(shared.deck);
+    }
+}
+
+/**
+ * Initialize the share link button
+ */
+function initShareLink() {
+    const shareBtn = document.getElementById('share-link-btn');
+    const statusEl = document.getElementById('share-link-status');
+    if (!shareBtn || !statusEl) return;
+
+    shareBtn.addEventListener('click', async () => {
+        try {
+            const url = await buildShareUrl({
+                tab: currentTab,
+                deck: DeckConfig.getDeckConfig(),
+                inputs: collectInputs(document.getElementById(`${currentTab}-tab`)),
+                state: collectState(`${currentTab}.`)
+            });
+
+            try {
+                await navigator.clipboard.writeText(url);
+                statusEl.textContent = `✓ Link to ${calculators[currentTab].name} copied`;
+            } catch (error) {
+                // Clipboard access can be denied; show the link to copy by hand
+                statusEl.textContent = url;
+            }
+            statusEl.className = 'import-status success';
+        } catch (error) {
+            console.error('Share link error:', error);
+            statusEl.textContent = `✗ ${error.message}`;
+            statusEl.className = 'import-status error';
+        }
+    });
+}
+
 /**
  * Initialize UX enhancements
  */
@@ -233,6 +315,7 @@ function initUXEnhancements() {
 function init() {
     // Initialize shared deck configuration first
     DeckConfig.initDeckConfig();
+    initDeckEditor();
 
     // Initialize all components
     initTabNavigation();
@@ -245,10 +328,19 @@ function init() {
     initMulliganInputs();
     initServiceWorker();
     initUXEnhancements();
+    initShareLink();
 
     // Initial render
     Portent.updateUI();
 
+    // Bring back the deck and calculator settings from the last visit,
+    // then let a share link in the URL override them
+    initPersistence()
+        .catch(error => {
+            console.warn('Could not restore the last session:', error);
+        })
+        .then(restoreShareLink);
+
     // Add keyboard navigation
     document.addEventListener('keydown', (e) => {
         // Alt+1/2/3/4/5/6 to switch tabs
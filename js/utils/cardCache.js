@@ -0,0 +1,132 @@
+/**
+ * Persistent Card Cache
+ * Keeps cards fetched from the Scryfall API in IndexedDB between sessions.
+ * Entries are keyed by lowercased front-face name and indexed by Scryfall id;
+ * entries older than CARD_CACHE_TTL are stale and get re-fetched.
+ */
+
+import {
+    isIndexedDBAvailable, getRecord, getRecordByIndex, getAllRecords,
+    putRecords, clearStore
+} from './idb.js';
+
+const STORE = 'cardCache';
+
+// How long a cached card is trusted before it is fetched again
+export const CARD_CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Cache key for a card name (front face for multi-faced cards)
+ * @param {string} name - Card name, e.g. "Delver of Secrets // Insectile Aberration"
+ * @returns {string} - e.g. "delver of secrets"
+ */
+export function cardCacheKey(name) {
+    return name.split('//')[0].trim().toLowerCase();
+}
+
+/**
+ * Check whether a cache record has outlived the TTL
+ * @param {Object} record - Cache record
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function isStale(record, now = Date.now()) {
+    return now - record.cachedAt > CARD_CACHE_TTL;
+}
+
+/**
+ * Read a fresh cached card by name or Scryfall id
+ * @param {Object} lookup - { name, scryfallId }
+ * @returns {Promise<Object|null>} - Card, or null if missing, stale or IndexedDB is unavailable
+ */
+export async function getCachedCard({ name, scryfallId }) {
+    if (!isIndexedDBAvailable()) return null;
+
+    try {
+        const record = scryfallId
+            ? await getRecordByIndex(STORE, 'id', scryfallId)
+            : await getRecord(STORE, cardCacheKey(name));
+        return record && !isStale(record) ? record.card : null;
+    } catch (error) {
+        console.warn(`Card cache read failed for ${name || scryfallId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Store fetched cards (replacing older entries with the same name)
+ * @param {Array<Object>} cards - Scryfall card objects
+ * @returns {Promise<void>}
+ */
+export async function cacheCards(cards) {
+    if (!isIndexedDBAvailable() || cards.length === 0) return;
+
+    const cachedAt = Date.now();
+    const records = cards.map(card => ({ key: cardCacheKey(card.name), id: card.id, cachedAt, card }));
+
+    try {
+        await putRecords(STORE, records);
+    } catch (error) {
+        console.warn('Card cache write failed:', error);
+    }
+}
+
+/**
+ * Summarize the cache for the management UI
+ * @returns {Promise<Object>} - { count, staleCount, bytes, oldest }
+ */
+export async function getCardCacheStats() {
+    const stats = { count: 0, staleCount: 0, bytes: 0, oldest: null };
+    if (!isIndexedDBAvailable()) return stats;
+
+    const now = Date.now();
+    const records = await getAllRecords(STORE);
+    records.forEach(record => {
+        stats.count++;
+        if (isStale(record, now)) stats.staleCount++;
+        // Rough size: serialized length of the card (UTF-16 code units ~ bytes for ASCII JSON)
+        stats.bytes += JSON.stringify(record.card).length;
+        if (stats.oldest === null || record.cachedAt < stats.oldest) stats.oldest = record.cachedAt;
+    });
+
+    return stats;
+}
+
+/**
+ * List the names of every cached card (for name suggestions)
+ * @returns {Promise<Array<string>>}
+ */
+export async function getCachedCardNames() {
+    if (!isIndexedDBAvailable()) return [];
+
+    try {
+        const records = await getAllRecords(STORE);
+        return records.map(record => record.card.name);
+    } catch (error) {
+        console.warn('Card cache read failed:', error);
+        return [];
+    }
+}
+
+/**
+ * List the stale entries so they can be re-fetched
+ * @returns {Promise<Array<Object>>} - [{ name, scryfallId }]
+ */
+export async function getStaleCacheEntries() {
+    if (!isIndexedDBAvailable()) return [];
+
+    const now = Date.now();
+    const records = await getAllRecords(STORE);
+    return records
+        .filter(record => isStale(record, now))
+        .map(record => ({ name: record.card.name, scryfallId: record.id }));
+}
+
+/**
+ * Remove every cached card
+ * @returns {Promise<void>}
+ */
+export async function clearPersistentCardCache() {
+    if (!isIndexedDBAvailable()) return;
+    await clearStore(STORE);
+}
@@ -0,0 +1,308 @@
+/**
+ * Local Card Database
+ * Stores Scryfall's oracle-cards bulk data in IndexedDB so decklists can be
+ * resolved without the network. Lookups try an exact name, then the front face
+ * of a multi-faced card, then a fuzzy match.
+ */
+
+import {
+    isIndexedDBAvailable, getRecord, getRecordByIndex, getAllKeys,
+    putRecords, deleteRecord, clearStore
+} from './idb.js';
+
+const STORE = 'oracleCards';
+const META_KEY = 'oracle-cards';
+const BULK_DATA_ENDPOINT = 'https://api.scryfall.com/bulk-data/oracle-cards';
+
+// Layouts that never appear in a decklist (and whose names clash with real cards)
+const SKIPPED_LAYOUTS = ['art_series', 'token', 'double_faced_token', 'emblem', 'vanguard'];
+
+// Shortest query that may match as a prefix of a longer name
+const MIN_PREFIX_LENGTH = 5;
+
+// Cached primary keys for fuzzy matching (loaded on first fuzzy lookup)
+let keysPromise = null;
+// Cached bulk data info (undefined until first read)
+let bulkInfo;
+
+/**
+ * Normalize a card name for lookups
+ * Lowercases, strips accents and punctuation, and keeps " // " between faces.
+ * @param {string} name - Card name
+ * @returns {string} - e.g. "Lim-Dûl's Vault" -> "lim duls vault"
+ */
+export function normalizeCardName(name) {
+    return String(name)
+        .split('//')
+        .map(face => face
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/['\u2019]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim())
+        .filter(face => face.length > 0)
+        .join(' // ');
+}
+
+/**
+ * Levenshtein edit distance, giving up once it exceeds a bound
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop early past this distance
+ * @returns {number} - Distance, or maxDistance + 1 if it exceeds the bound
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Keep only the fields the calculators use
+ * @param {Object} card - Scryfall card object
+ * @returns {Object} - Trimmed card in Scryfall's shape
+ */
+function trimCard(card) {
+    const trimmed = {
+        name: card.name,
+        layout: card.layout,
+        type_line: card.type_line,
+        cmc: card.cmc,
+        mana_cost: card.mana_cost,
+        power: card.power,
+        color_identity: card.color_identity || []
+    };
+
+    if (card.card_faces) {
+        trimmed.card_faces = card.card_faces.map(face => ({
+            name: face.name,
+            type_line: face.type_line,
+            cmc: face.cmc,
+            mana_cost: face.mana_cost,
+            power: face.power
+        }));
+    }
+
+    return trimmed;
+}
+
+/**
+ * Get info about the stored bulk data
+ * @returns {Promise<Object|null>} - { count, updatedAt, source }, or null if none is stored
+ */
+export async function getBulkDataInfo() {
+    if (bulkInfo !== undefined) return bulkInfo;
+    if (!isIndexedDBAvailable()) return null;
+
+    try {
+        const record = await getRecord('meta', META_KEY);
+        bulkInfo = record ? { count: record.count, updatedAt: record.updatedAt, source: record.source } : null;
+    } catch (error) {
+        console.warn('Could not read local card database:', error);
+        bulkInfo = null;
+    }
+    return bulkInfo;
+}
+
+/**
+ * Store an array of Scryfall cards (replacing any previous bulk data)
+ * @param {Array<Object>} cards - Parsed oracle-cards JSON
+ * @param {Object} options - { source, updatedAt, onProgress(written, total) }
+ * @returns {Promise<Object>} - Bulk data info
+ */
+export async function storeBulkCards(cards, { source = 'file', updatedAt = new Date().toISOString(), onProgress } = {}) {
+    if (!Array.isArray(cards)) {
+        throw new Error('Bulk data must be a JSON array of Scryfall cards');
+    }
+
+    const records = new Map();
+    cards.forEach(card => {
+        if (!card || !card.name || !card.type_line || SKIPPED_LAYOUTS.includes(card.layout)) return;
+
+        const key = normalizeCardName(card.name);
+        if (!records.has(key)) {
+            records.set(key, { key, frontKey: key.split(' // ')[0], card: trimCard(card) });
+        }
+    });
+
+    if (records.size === 0) {
+        throw new Error('No cards found in bulk data');
+    }
+
+    await clearBulkData();
+    await putRecords(STORE, Array.from(records.values()), { onProgress });
+
+    const info = { count: records.size, updatedAt, source };
+    await putRecords('meta', [{ key: META_KEY, ...info }]);
+    bulkInfo = info;
+    return info;
+}
+
+/**
+ * Load an oracle-cards JSON file chosen by the user
+ * @param {File} file - Bulk data file
+ * @param {Function} onProgress - (written, total) while storing
+ * @returns {Promise<Object>} - Bulk data info
+ */
+export async function importBulkFile(file, onProgress) {
+    let cards;
+    try {
+        cards = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error('Bulk data file is not valid JSON');
+    }
+    return storeBulkCards(cards, { source: file.name, onProgress });
+}
+
+/**
+ * Download the latest oracle-cards bulk data from Scryfall
+ * @param {Function} onProgress - (written, total) while storing
+ * @returns {Promise<Object>} - Bulk data info
+ */
+export async function downloadBulkData(onProgress) {
+    const response = await fetch(BULK_DATA_ENDPOINT);
+    if (!response.ok) {
+        throw new Error(`Could not find Scryfall bulk data (HTTP ${response.status})`);
+    }
+    const { download_uri: downloadUri, updated_at: updatedAt } = await response.json();
+
+    const bulkResponse = await fetch(downloadUri);
+    if (!bulkResponse.ok) {
+        throw new Error(`Bulk data download failed (HTTP ${bulkResponse.status})`);
+    }
+    const cards = await bulkResponse.json();
+    return storeBulkCards(cards, { source: 'Scryfall', updatedAt, onProgress });
+}
+
+/**
+ * Delete the stored bulk data
+ * @returns {Promise<void>}
+ */
+export async function clearBulkData() {
+    await clearStore(STORE);
+    await deleteRecord('meta', META_KEY);
+    keysPromise = null;
+    bulkInfo = null;
+}
+
+/**
+ * Find the closest stored name to a query
+ * A unique-ish prefix wins first ("jace the mind" -> "jace the mind sculptor"),
+ * then the smallest edit distance within a length-scaled bound.
+ * @param {string} query - Normalized query
+ * @returns {Promise<string|null>} - Stored key, or null if nothing is close
+ */
+async function findFuzzyKey(query) {
+    if (!keysPromise) keysPromise = getAllKeys(STORE);
+    const keys = await keysPromise;
+
+    const prefixed = query.length >= MIN_PREFIX_LENGTH
+        ? keys.filter(key => key.startsWith(query))
+        : [];
+    if (prefixed.length > 0) {
+        return prefixed.reduce((best, key) => (key.length < best.length ? key : best));
+    }
+
+    const maxDistance = Math.max(2, Math.floor(query.length / 6));
+    let bestKey = null;
+    let bestDistance = maxDistance + 1;
+
+    for (const key of keys) {
+        const front = key.split(' // ')[0];
+        const distance = Math.min(
+            editDistance(query, key, bestDistance - 1),
+            front === key ? Infinity : editDistance(query, front, bestDistance - 1)
+        );
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            bestKey = key;
+            if (distance === 0) break;
+        }
+    }
+
+    return bestKey;
+}
+
+/**
+ * Rank stored names by edit distance to a query (for "did you mean" suggestions)
+ * Multi-faced cards also match on their front face.
+ * @param {string} name - Card name as written in the decklist
+ * @param {Object} options - { limit, maxDistance }
+ * @returns {Promise<Array<Object>>} - [{ name, distance }] closest first, empty if not loaded
+ */
+export async function suggestNames(name, { limit = 5, maxDistance = 3 } = {}) {
+    if (!(await getBulkDataInfo())) return [];
+
+    const query = normalizeCardName(name);
+    if (!query) return [];
+
+    try {
+        if (!keysPromise) keysPromise = getAllKeys(STORE);
+        const keys = await keysPromise;
+
+        const ranked = [];
+        for (const key of keys) {
+            const front = key.split(' // ')[0];
+            const distance = Math.min(
+                editDistance(query, key, maxDistance),
+                front === key ? Infinity : editDistance(query, front, maxDistance)
+            );
+            if (distance <= maxDistance) ranked.push({ key, distance });
+        }
+
+        ranked.sort((a, b) => a.distance - b.distance);
+        const records = await Promise.all(ranked.slice(0, limit).map(({ key }) => getRecord(STORE, key)));
+        return records
+            .map((record, i) => (record ? { name: record.card.name, distance: ranked[i].distance } : null))
+            .filter(Boolean);
+    } catch (error) {
+        console.warn(`Local suggestions failed for ${name}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Resolve a card name against the local database
+ * @param {string} name - Card name as written in the decklist
+ * @param {Object} options - { fuzzy } - set false for exact and front-face matches only
+ * @returns {Promise<Object|null>} - Card in Scryfall's shape, or null if not found or not loaded
+ */
+export async function findCard(name, { fuzzy = true } = {}) {
+    if (!(await getBulkDataInfo())) return null;
+
+    const query = normalizeCardName(name);
+    if (!query) return null;
+
+    try {
+        const exact = await getRecord(STORE, query);
+        if (exact) return exact.card;
+
+        // "Delver of Secrets" for "Delver of Secrets // Insectile Aberration" and vice versa
+        const front = await getRecordByIndex(STORE, 'frontKey', query.split(' // ')[0]);
+        if (front) return front.card;
+
+        if (!fuzzy) return null;
+
+        const fuzzyKey = await findFuzzyKey(query);
+        if (!fuzzyKey) return null;
+
+        const record = await getRecord(STORE, fuzzyKey);
+        return record ? record.card : null;
+    } catch (error) {
+        console.warn(`Local lookup failed for ${name}:`, error);
+        return null;
+    }
+}
@@ -30,7 +30,12 @@ export function createOrUpdateChart(chartInstance, canvasId, config) {
             ...config.options, // User options override defaults
             plugins: {
                 legend: { display: false },
-                ...config.options?.plugins
+                ...config.options?.plugins,
+                tooltip: {
+                    // Confidence bands are drawn, not listed
+                    filter: item => !item.dataset.errorBand,
+                    ...config.options?.plugins?.tooltip
+                }
             },
             scales: {
                 x: {
@@ -83,3 +88,63 @@ export function createOrUpdateChart(chartInstance, canvasId, config) {
         return chartInstance;
     }
 }
+
+/**
+ * Build the two datasets that shade a 95% confidence band around a series
+ * Append them after the series they belong to.
+ * @param {Array<number>} values - Series values
+ * @param {Array<number>} margins - 95% margin for each value (same units)
+ * @param {string} color - Band fill color (use a translucent rgba)
+ * @param {string} yAxisID - Axis of the series, if not the default
+ * @returns {Array<Object>} - [upper, lower] datasets
+ */
+export function createErrorBandDatasets(values, margins, color, yAxisID) {
+    const band = {
+        errorBand: true,
+        pointRadius: 0,
+        pointHitRadius: 0,
+        borderWidth: 0,
+        tension: 0.3,
+        ...(yAxisID ? { yAxisID } : {})
+    };
+
+    return [
+        {
+            ...band,
+            label: '95% CI upper',
+            data: values.map((v, i) => v + (margins[i] || 0)),
+            fill: false
+        },
+        {
+            ...band,
+            label: '95% CI lower',
+            data: values.map((v, i) => Math.max(0, v - (margins[i] || 0))),
+            backgroundColor: color,
+            fill: '-1'
+        }
+    ];
+}
+
+/**
+ * Build the comparison deck (B) copy of a series for A/B overlays
+ * Keeps the series' color and axis; lines are dashed and bars outlined so B
+ * reads as the reference. Append it after deck A's datasets.
+ * @param {Object} dataset - Deck A dataset
+ * @param {Array<number>} data - Deck B values
+ * @returns {Object} - Dataset labelled "<label> (B)"
+ */
+export function createComparisonDataset(dataset, data) {
+    const isBar = dataset.type === 'bar';
+    const color = dataset.borderColor || dataset.backgroundColor;
+
+    return {
+        ...dataset,
+        comparison: true,
+        label: `${dataset.label} (B)`,
+        data,
+        fill: false,
+        ...(isBar
+            ? { backgroundColor: 'transparent', borderColor: color, borderWidth: 2, borderDash: [4, 3] }
+            : { borderDash: [6, 4], pointRadius: 2, pointBackgroundColor: color, backgroundColor: 'transparent' })
+    };
+}
@@ -3,7 +3,16 @@
  * Centralizes deck configuration across all calculators
  */
 
-import { importDecklistBatch, importFromMoxfield } from './decklistImport.js';
+import {
+    importDecklistBatch, importDeckFile, importFromMoxfield, importDeckEntries, CSV_FIELDS,
+    clearCardCache, refreshStaleCards, suggestCardNames, addCardNameCorrection, buildDeckData
+} from './decklistImport.js';
+import { getSimulationSeed, isSeedPinned, setSimulationSeed, randomSeed } from './simulation.js';
+import { getBulkDataInfo, downloadBulkData, importBulkFile, clearBulkData } from './cardDatabase.js';
+import { getCardCacheStats } from './cardCache.js';
+import { isAbortError } from './scryfallScheduler.js';
+import { listSavedDecks, getSavedDeck, saveDeck, duplicateSavedDeck, deleteSavedDeck } from './deckStorage.js';
+import { escapeHtml } from './ui.js';
 
 // Global deck state (99-card Commander deck)
 let deckState = {
@@ -39,6 +48,19 @@ let deckState = {
     // Imported card data by name (for detailed lookups)
     cardsByName: {},
 
+    // Command zone cards - not part of the library
+    // [{ name, type_line, cmc, mana_cost, power, color_identity }]
+    commanders: [],
+
+    // Imported cards from every board, for "cut this for that" what-ifs
+    // [{ id, name, count, board: 'main' | 'sideboard' | 'maybeboard', included, cardData, tags, overrides? }]
+    // tags: card roles like "Ramp" (imported or set in the deck editor)
+    // overrides: { cmc, power } set in the deck editor
+    boardCards: [],
+
+    // Where the deck came from: { source, deckName, missingCards, ... } (null if not imported)
+    importMetadata: null,
+
     // Power 5+ creatures by CMC (for Vortex discover chains - deprecated, use cardDetails)
     power5PlusCMC3: 0,
     power5PlusCMC4: 0,
@@ -50,9 +72,16 @@ let deckState = {
     power5PlusCMC10: 0
 };
 
+// Second deck for A/B comparison: { name, deck } where deck is a deck state snapshot, or null.
+// The current deck (deckState) is A; calculators overlay B's results on their charts.
+let comparison = null;
+
 // Callbacks to notify calculators of changes
 const updateCallbacks = [];
 
+// Controller of the import in progress (starting an import cancels it)
+let importController = null;
+
 /**
  * Register a callback to be called when deck config changes
  * @param {Function} callback - Function to call on deck update
@@ -71,22 +100,264 @@ export function getDeckConfig() {
 
 /**
  * Get imported card data
+ * @param {Object} deck - Deck state (defaults to the current deck; pass getComparisonDeck() for B)
  * @returns {Object} - Imported card data including cardsByName
  */
-export function getImportedCardData() {
+export function getImportedCardData(deck = deckState) {
     return {
-        cardDetails: deckState.cardDetails,
-        cardsByName: deckState.cardsByName
+        cardDetails: deck.cardDetails,
+        cardsByName: deck.cardsByName,
+        commanders: deck.commanders
     };
 }
 
+/**
+ * Get the deck's commanders (partners and backgrounds included)
+ * @param {Object} deck - Deck state (defaults to the current deck)
+ * @returns {Array<Object>} - [{ name, type_line, cmc, mana_cost, power, color_identity }]
+ */
+export function getCommanders(deck = deckState) {
+    return deck.commanders;
+}
+
+/**
+ * Get the comparison deck (B)
+ * @returns {Object|null} - Deck state in the same shape as getDeckConfig, or null if none is set
+ */
+export function getComparisonDeck() {
+    return comparison ? { ...comparison.deck } : null;
+}
+
+/**
+ * Get the comparison deck's display name
+ * @returns {string|null}
+ */
+export function getComparisonName() {
+    return comparison ? comparison.name : null;
+}
+
+/**
+ * Set the comparison deck (B) and recalculate
+ * @param {Object} deck - Deck state snapshot (e.g. getDeckConfig() or a saved deck)
+ * @param {string} name - Shown in the deck panel
+ */
+export function setComparisonDeck(deck, name) {
+    comparison = { name: name || 'Deck B', deck: { ...deck } };
+    renderComparisonStatus();
+    notifyUpdates();
+}
+
+/**
+ * Remove the comparison deck
+ */
+export function clearComparisonDeck() {
+    if (!comparison) return;
+    comparison = null;
+    renderComparisonStatus();
+    notifyUpdates();
+}
+
+/**
+ * Swap the current deck (A) and the comparison deck (B)
+ */
+export function swapComparisonDeck() {
+    if (!comparison) return;
+    const previous = { name: deckState.importMetadata?.deckName || 'Previous deck', deck: getDeckConfig() };
+    const { deck } = comparison;
+    comparison = previous;
+    restoreDeck(deck);
+    renderComparisonStatus();
+}
+
+/**
+ * Get the combined color identity of the deck's commanders
+ * @returns {Array<string>} - Color letters in WUBRG order (empty for colorless or no commander)
+ */
+export function getColorIdentity() {
+    const colors = new Set(deckState.commanders.flatMap(commander => commander.color_identity));
+    return ['W', 'U', 'B', 'R', 'G'].filter(color => colors.has(color));
+}
+
+/**
+ * Get imported cards from every board with their in/out state
+ * @returns {Array<Object>} - [{ id, name, count, board, included, cardData, tags, overrides? }]
+ */
+export function getBoardCards() {
+    return deckState.boardCards;
+}
+
+/**
+ * Count the copies of each tag among the cards in the deck
+ * A card with several tags counts toward each of them.
+ * @param {Object} deck - Deck state (defaults to the current deck; pass getComparisonDeck() for B)
+ * @returns {Object} - Map of tag -> copies, in alphabetical order
+ */
+export function getTagCounts(deck = deckState) {
+    const counts = {};
+    (deck.boardCards || []).filter(card => card.included).forEach(card => {
+        (card.tags || []).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + card.count;
+        });
+    });
+
+    return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Set a card's tags and notify calculators (tag counts may have changed)
+ * @param {string} id - Board card id ("board:name")
+ * @param {Array<string>} tags - Tags; blanks and duplicates are dropped
+ */
+export function setBoardCardTags(id, tags) {
+    const cleaned = Array.from(new Set(tags.map(tag => String(tag).trim()).filter(Boolean)));
+    rebuildBoardCards(deckState.boardCards.map(card => (card.id === id ? { ...card, tags: cleaned } : card)));
+}
+
+/**
+ * Toggle an imported card in or out of the deck and recount
+ * @param {string} id - Board card id ("board:name")
+ */
+export function toggleBoardCard(id) {
+    const card = deckState.boardCards.find(boardCard => boardCard.id === id);
+    if (card) {
+        setBoardCardsIncluded({ [id]: !card.included });
+    }
+}
+
+/**
+ * Cut one card and bring in another in a single recount
+ * @param {string} outId - Board card id to take out
+ * @param {string} inId - Board card id to put in
+ */
+export function swapBoardCards(outId, inId) {
+    const ids = new Set(deckState.boardCards.map(card => card.id));
+    if (!ids.has(outId) || !ids.has(inId)) {
+        throw new Error(`Unknown board card: ${ids.has(outId) ? inId : outId}`);
+    }
+    setBoardCardsIncluded({ [outId]: false, [inId]: true });
+}
+
+/**
+ * Put the imported main deck back (undo all toggles and swaps)
+ */
+export function resetBoardCards() {
+    setBoardCardsIncluded(Object.fromEntries(
+        deckState.boardCards.map(card => [card.id, card.board === 'main'])
+    ));
+}
+
+/**
+ * Change which board cards are in the deck, then recount and notify calculators
+ * @param {Object} changes - Map of board card id -> included
+ */
+export function setBoardCardsIncluded(changes) {
+    rebuildBoardCards(deckState.boardCards.map(card =>
+        (card.id in changes ? { ...card, included: changes[card.id] } : card)));
+}
+
+/**
+ * Change how many copies of an imported card the list has (0 removes it)
+ * @param {string} id - Board card id ("board:name")
+ * @param {number} count - New quantity
+ */
+export function setBoardCardCount(id, count) {
+    const quantity = Math.max(0, parseInt(count) || 0);
+    if (quantity === 0) {
+        removeBoardCard(id);
+        return;
+    }
+    rebuildBoardCards(deckState.boardCards.map(card => (card.id === id ? { ...card, count: quantity } : card)));
+    renderDeckBoards();
+}
+
+/**
+ * Merge overrides into a board card
+ * @param {Object} card - Board card
+ * @param {Object} overrides - { cmc, power }; null or '' clears that override
+ * @returns {Object} - Updated card (without an overrides field if none are left)
+ */
+function mergeCardOverrides(card, overrides) {
+    const merged = { ...card.overrides, ...overrides };
+    Object.keys(merged).forEach(key => {
+        if (merged[key] === null || merged[key] === '') delete merged[key];
+    });
+    const updated = { ...card, overrides: merged };
+    if (Object.keys(merged).length === 0) delete updated.overrides;
+    return updated;
+}
+
+/**
+ * Override a card's mana value or power (e.g. for X spells and * creatures)
+ * @param {string} id - Board card id ("board:name")
+ * @param {Object} overrides - { cmc, power }; null or '' clears that override
+ */
+export function setBoardCardOverrides(id, overrides) {
+    rebuildBoardCards(deckState.boardCards.map(card => (card.id === id ? mergeCardOverrides(card, overrides) : card)));
+}
+
+/**
+ * Add copies of a card to the main deck
+ * Adds to the existing main deck entry if the card is already there.
+ * @param {Object} cardData - Card in Scryfall's shape (see lookupCard in decklistImport.js)
+ * @param {number} count - Copies to add
+ */
+export function addBoardCard(cardData, count = 1) {
+    const quantity = Math.max(1, parseInt(count) || 1);
+    const id = `main:${cardData.name}`;
+    const existing = deckState.boardCards.find(card => card.id === id);
+
+    rebuildBoardCards(existing
+        ? deckState.boardCards.map(card => (card.id === id ? { ...card, count: card.count + quantity, included: true } : card))
+        : [...deckState.boardCards, { id, name: cardData.name, count: quantity, board: 'main', included: true, cardData, tags: [] }]);
+    renderDeckBoards();
+}
+
+/**
+ * Remove an imported card from the list
+ * @param {string} id - Board card id ("board:name")
+ */
+export function removeBoardCard(id) {
+    rebuildBoardCards(deckState.boardCards.filter(card => card.id !== id));
+    renderDeckBoards();
+}
+
+/**
+ * Apply a board card's mana value and power overrides to its card data
+ * Multi-faced cards are overridden on the front face, which is the one counted.
+ * @param {Object} card - Board card
+ * @returns {Object} - Board card with overridden cardData
+ */
+function applyCardOverrides(card) {
+    if (!card.overrides) return card;
+
+    const cardData = { ...card.cardData, ...card.overrides };
+    if (Array.isArray(cardData.card_faces) && cardData.card_faces.length > 0) {
+        cardData.card_faces = cardData.card_faces.map((face, i) => (i === 0 ? { ...face, ...card.overrides } : face));
+    }
+    return { ...card, cardData };
+}
+
+/**
+ * Replace the board cards, rebuild the counted deck from the included ones and notify calculators
+ * @param {Array<Object>} boardCards - New board cards
+ */
+function rebuildBoardCards(boardCards) {
+    updateDeck({
+        ...buildDeckData(boardCards.filter(card => card.included).map(applyCardOverrides)),
+        boardCards
+    });
+    syncDeckInputs();
+    updateTotalDisplay();
+}
+
 /**
  * Get total deck size (excluding non-permanents for some calcs)
  * @param {boolean} includeNonPermanents - Whether to include instants/sorceries
+ * @param {Object} deck - Deck state (defaults to the current deck; pass getComparisonDeck() for B)
  * @returns {number} - Total deck size
  */
-export function getDeckSize(includeNonPermanents = true) {
-    const { creatures, instants, sorceries, artifacts, enchantments, planeswalkers, lands, battles, actualCardCount } = deckState;
+export function getDeckSize(includeNonPermanents = true, deck = deckState) {
+    const { creatures, instants, sorceries, artifacts, enchantments, planeswalkers, lands, battles, actualCardCount } = deck;
 
     // If actualCardCount is set (from import with dual-typed cards), use it
     if (actualCardCount !== null && actualCardCount !== undefined && includeNonPermanents) {
@@ -130,6 +401,9 @@ export function updateDeck(config) {
             // Handle arrays and objects (like cardDetails, cardsByName) directly without parsing
             if (Array.isArray(config[key]) || typeof config[key] === 'object' && config[key] !== null && !(config[key] instanceof Number)) {
                 deckState[key] = config[key];
+            } else if (config[key] === null) {
+                // Clears optional fields (actualCardCount, importMetadata)
+                deckState[key] = null;
             } else {
                 deckState[key] = Math.max(0, parseInt(config[key]) || 0);
             }
@@ -138,6 +412,102 @@ export function updateDeck(config) {
     notifyUpdates();
 }
 
+/**
+ * Replace the deck with an import result and refresh the deck inputs
+ * Main deck cards start in, sideboard and maybeboard cards out.
+ * @param {Object} result - Result of an import (type counts, card data, boardCards, importMetadata)
+ */
+function applyImportedDeck(result) {
+    const boardCards = (result.boardCards || []).map(card => ({
+        ...card,
+        id: `${card.board}:${card.name}`,
+        included: card.board === 'main',
+        tags: card.tags || []
+    }));
+
+    updateDeck({ ...result, boardCards });
+    refreshDeckInputs();
+}
+
+/**
+ * Import the card list from a share link, including its sideboard toggles and card overrides
+ * @param {Object} deck - { cards: [{ name, count, board, included, tags, overrides? }], commanders: [name] }
+ * @returns {Promise<void>}
+ */
+export async function importSharedDeck({ cards, commanders }) {
+    const signal = beginImport();
+    showImportStatus('Loading shared deck...', 'loading');
+
+    const onBoard = board => cards.filter(card => card.board === board).map(({ name, count, tags }) => ({ name, count, tags }));
+    let result;
+    try {
+        result = await importDeckEntries({
+            cards: onBoard('main'),
+            sideboard: onBoard('sideboard'),
+            maybeboard: onBoard('maybeboard'),
+            commanders: commanders.map(name => ({ name, count: 1 }))
+        }, { source: 'Share link' }, null, signal);
+    } catch (error) {
+        if (isAbortError(error)) return; // Superseded by a newer import
+        console.error('Shared deck import error:', error);
+        showImportStatus(`✗ Could not load the shared deck: ${escapeHtml(error.message)}`, 'error');
+        return;
+    }
+    if (signal.aborted) return;
+
+    applyImportedDeck(result);
+
+    // Sideboard toggles and overridden mana values and powers (X spells, * creatures)
+    // are applied together, so the calculators recompute once
+    const included = {};
+    const overrides = {};
+    cards.forEach(card => {
+        const id = `${card.board}:${card.name}`;
+        if (card.included !== (card.board === 'main')) included[id] = card.included;
+        if (card.overrides) overrides[id] = card.overrides;
+    });
+    if (Object.keys(included).length > 0 || Object.keys(overrides).length > 0) {
+        rebuildBoardCards(deckState.boardCards.map(card => {
+            const toggled = card.id in included ? { ...card, included: included[card.id] } : card;
+            return card.id in overrides ? mergeCardOverrides(toggled, overrides[card.id]) : toggled;
+        }));
+        renderDeckBoards();
+    }
+
+    showImportStatus(`✓ Loaded ${getDeckSize(true)} cards from a share link`, 'success');
+
+    const { missingCards } = result.importMetadata;
+    if (missingCards.length > 0) {
+        showImportDiagnostics(missingCards, null);
+    }
+}
+
+/**
+ * Replace the deck with a saved copy (from the last session or the saved-decks library)
+ * Fields the snapshot doesn't have keep their current values.
+ * @param {Object} snapshot - Deck state from getDeckConfig
+ */
+export function restoreDeck(snapshot) {
+    Object.keys(deckState).forEach(key => {
+        if (key in snapshot) {
+            deckState[key] = snapshot[key];
+        }
+    });
+
+    refreshDeckInputs();
+    notifyUpdates();
+}
+
+/**
+ * Show the current deck state in the deck panel (counts, total and boards)
+ * Call after changing the deck with updateDeck from outside the panel.
+ */
+export function refreshDeckInputs() {
+    syncDeckInputs();
+    updateTotalDisplay();
+    renderDeckBoards();
+}
+
 /**
  * Notify all registered callbacks of deck changes
  */
@@ -186,6 +556,43 @@ export function initDeckConfig() {
         }
     });
 
+    // Bind simulation seed controls
+    const seedInput = document.getElementById('sim-seed');
+    const seedPin = document.getElementById('sim-seed-pin');
+    const seedReroll = document.getElementById('sim-seed-reroll');
+
+    if (seedInput && seedPin) {
+        seedInput.value = getSimulationSeed();
+        seedPin.checked = isSeedPinned();
+
+        const applySeed = (seed) => {
+            setSimulationSeed(seed, seedPin.checked);
+            seedInput.value = getSimulationSeed();
+            notifyUpdates();
+        };
+
+        seedInput.addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value);
+            applySeed(isNaN(seed) ? getSimulationSeed() : seed);
+        });
+        seedPin.addEventListener('change', () => applySeed(getSimulationSeed()));
+        if (seedReroll) {
+            seedReroll.addEventListener('click', () => applySeed(randomSeed()));
+        }
+    }
+
+    initBulkDataControls();
+    initCardCacheControls();
+    initSavedDeckControls();
+    initComparisonControls();
+
+    // Signal of the text or file import that disabled the import button
+    let importBtnSignal = null;
+    // Signal of the URL import that disabled the URL import button
+    let moxfieldBtnSignal = null;
+    // Re-runs the last text or file import (after accepting a name fix)
+    let repeatLastImport = null;
+
     // Shared UI elements
     const importStatus = document.getElementById('import-status');
     const importProgress = document.getElementById('import-progress');
@@ -201,17 +608,7 @@ export function initDeckConfig() {
         console.log('Card details count:', typeCounts.cardDetails?.length || 0);
 
         // Update deck state and UI
-        updateDeck(typeCounts);
-
-        // Update input fields
-        typeFields.forEach(field => {
-            const input = document.getElementById(`deck-${field}`);
-            if (input) {
-                input.value = typeCounts[field] || 0;
-            }
-        });
-
-        updateTotalDisplay();
+        applyImportedDeck(typeCounts);
 
         // Use actualCardCount for accurate deck size (accounts for dual-typed cards)
         const totalCards = typeCounts.actualCardCount || 0;
@@ -219,16 +616,20 @@ export function initDeckConfig() {
         // Build status message with warnings
         const metadata = typeCounts.importMetadata;
         let statusMessage = `✓ Successfully imported ${totalCards} cards`;
-        if (metadata && metadata.source) statusMessage += ` from ${metadata.source}`;
-        if (metadata && metadata.deckName) statusMessage += ` (${metadata.deckName})`;
+        // Deck names and sources come from the deck site or file, so escape them
+        if (metadata && metadata.source) statusMessage += ` from ${escapeHtml(metadata.source)}`;
+        if (metadata && metadata.deckName) statusMessage += ` (${escapeHtml(metadata.deckName)})`;
         statusMessage += '!';
 
+        if (typeCounts.commanders && typeCounts.commanders.length > 0) {
+            const names = typeCounts.commanders.map(commander => commander.name).join(' + ');
+            const identity = getColorIdentity().join('') || 'C';
+            statusMessage += `<br><small>Commander: ${escapeHtml(names)} (${identity})</small>`;
+        }
+
         let warnings = [];
 
         if (metadata) {
-            if (metadata.hasSideboard) {
-                warnings.push(`Sideboard ignored (${metadata.sideboardCount} cards)`);
-            }
             if (metadata.missingCardCount > 0) {
                 warnings.push(`${metadata.missingCardCount} cards not found`);
             }
@@ -238,16 +639,14 @@ export function initDeckConfig() {
             statusMessage += `<br><small style="color: #f59e0b;">⚠ ${warnings.join(' • ')}</small>`;
         }
 
-        // Show detailed missing cards if any
+        showImportStatus(statusMessage, 'success');
+
+        // List missing cards with suggested fixes
         if (metadata && metadata.missingCards && metadata.missingCards.length > 0) {
-            const missingList = metadata.missingCards
-                .map(card => `${card.count}× ${card.name}`)
-                .join(', ');
-            console.warn('Missing cards:', missingList);
-            statusMessage += `<br><small style="color: var(--text-dim); font-size: 0.75em;">Missing: ${missingList}</small>`;
+            console.warn('Missing cards:', metadata.missingCards.map(card => `${card.count}× ${card.name}`).join(', '));
+            showImportDiagnostics(metadata.missingCards, repeatLastImport);
         }
-
-        showImportStatus(statusMessage, 'success');
+        updateCardCacheStatus();
 
         // Hide progress bar after a moment
         setTimeout(() => {
@@ -267,7 +666,7 @@ export function initDeckConfig() {
         }
     };
 
-    // --- Moxfield Import ---
+    // --- URL Import (Moxfield, Archidekt and other deck sites) ---
     const moxfieldBtn = document.getElementById('moxfield-import-btn');
     const moxfieldInput = document.getElementById('moxfield-input');
 
@@ -275,41 +674,50 @@ export function initDeckConfig() {
         const runMoxfieldImport = async () => {
             const url = moxfieldInput.value.trim();
             if (!url) {
-                showImportStatus('Please enter a Moxfield URL or Deck ID', 'error');
+                showImportStatus('Please enter a deck URL or Moxfield deck ID', 'error');
                 return;
             }
 
+            repeatLastImport = runMoxfieldImport;
+            const signal = beginImport();
+
             try {
                 moxfieldBtn.disabled = true;
+                moxfieldBtnSignal = signal;
                 if (importProgress) {
                     importProgress.classList.add('visible');
                     importProgressBar.style.width = '0%';
                 }
-                showImportStatus('Fetching from Moxfield...', 'loading');
+                showImportStatus('Fetching deck...', 'loading');
 
                 const typeCounts = await importFromMoxfield(url, (progress) => {
+                    if (signal.aborted) return;
                     const percentage = progress.percentage || 0;
                     if (importProgressBar) importProgressBar.style.width = `${percentage}%`;
                     showImportStatus(
                         `${progress.currentCard} (${percentage}%)`,
                         'loading'
                     );
-                });
+                }, { signal });
+                if (signal.aborted) return;
 
                 processImportResult(typeCounts);
 
             } catch (error) {
-                console.error('Moxfield import error:', error);
+                if (isAbortError(error)) return; // Superseded by a newer import
+                console.error('URL import error:', error);
                 showImportStatus(`Error: ${error.message}`, 'error');
                 if (importProgress) importProgress.classList.remove('visible');
             } finally {
-                moxfieldBtn.disabled = false;
+                // A newer URL import may have taken over the button meanwhile
+                if (moxfieldBtnSignal === signal) moxfieldBtn.disabled = false;
             }
         };
 
         moxfieldBtn.addEventListener('click', runMoxfieldImport);
         moxfieldInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') runMoxfieldImport();
+            // Enter skips the disabled button, so ignore it while a URL import is running
+            if (e.key === 'Enter' && !moxfieldBtn.disabled) runMoxfieldImport();
         });
     }
 
@@ -318,16 +726,13 @@ export function initDeckConfig() {
     const decklistInput = document.getElementById('decklist-input');
 
     if (importBtn && decklistInput) {
-        importBtn.addEventListener('click', async () => {
-            const decklistText = decklistInput.value.trim();
-
-            if (!decklistText) {
-                showImportStatus('Please paste a decklist first', 'error');
-                return;
-            }
+        const runTextImport = async (decklistText) => {
+            repeatLastImport = () => runTextImport(decklistText);
+            const signal = beginImport();
 
             try {
                 importBtn.disabled = true;
+                importBtnSignal = signal;
                 if (importProgress) {
                     importProgress.classList.add('visible');
                     importProgressBar.style.width = '0%';
@@ -335,37 +740,685 @@ export function initDeckConfig() {
                 showImportStatus('Analyzing decklist...', 'loading');
 
                 const typeCounts = await importDecklistBatch(decklistText, (progress) => {
+                    if (signal.aborted) return;
                     const percentage = progress.percentage || 0;
                     if (importProgressBar) importProgressBar.style.width = `${percentage}%`;
                     showImportStatus(
                         `Processing: ${percentage}% (${progress.processed}/${progress.total} cards)`,
                         'loading'
                     );
-                });
+                }, { signal });
+                if (signal.aborted) return;
 
                 processImportResult(typeCounts);
 
             } catch (error) {
+                if (isAbortError(error)) return; // Superseded by a newer import
                 console.error('Import error:', error);
                 showImportStatus(`Error: ${error.message}`, 'error');
                 if (importProgress) importProgress.classList.remove('visible');
             } finally {
-                importBtn.disabled = false;
+                // A file import may have taken over the button meanwhile
+                if (importBtnSignal === signal) importBtn.disabled = false;
+            }
+        };
+
+        importBtn.addEventListener('click', () => {
+            const decklistText = decklistInput.value.trim();
+
+            if (!decklistText) {
+                showImportStatus('Please paste a decklist first', 'error');
+                return;
             }
+
+            runTextImport(decklistText);
         });
     } else {
         console.warn('Import button elements not found - import feature disabled');
     }
 
+    // --- File Import (MTGO .dek, Cockatrice .cod, text) ---
+    const fileInput = document.getElementById('deck-file-input');
+    const dropZone = document.getElementById('deck-drop-zone');
+
+    const runFileImport = async (file) => {
+        repeatLastImport = () => runFileImport(file);
+        const signal = beginImport();
+
+        try {
+            if (importBtn) importBtn.disabled = true;
+            importBtnSignal = signal;
+            if (importProgress) {
+                importProgress.classList.add('visible');
+                importProgressBar.style.width = '0%';
+            }
+            showImportStatus(`Reading ${escapeHtml(file.name)}...`, 'loading');
+
+            const typeCounts = await importDeckFile(file, (progress) => {
+                if (signal.aborted) return;
+                const percentage = progress.percentage || 0;
+                if (importProgressBar) importProgressBar.style.width = `${percentage}%`;
+                showImportStatus(
+                    `Processing: ${percentage}% (${progress.processed}/${progress.total} cards)`,
+                    'loading'
+                );
+            }, { resolveCsvMapping: showCsvMappingDialog, signal });
+            if (signal.aborted) return;
+
+            if (!typeCounts) {
+                showImportStatus('Import cancelled', 'error');
+                if (importProgress) importProgress.classList.remove('visible');
+                return;
+            }
+
+            processImportResult(typeCounts);
+
+        } catch (error) {
+            if (isAbortError(error)) return; // Superseded by a newer import
+            console.error('File import error:', error);
+            showImportStatus(`Error: ${error.message}`, 'error');
+            if (importProgress) importProgress.classList.remove('visible');
+        } finally {
+            // A text import may have taken over the button meanwhile
+            if (importBtn && importBtnSignal === signal) importBtn.disabled = false;
+        }
+    };
+
+    if (fileInput) {
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (file) runFileImport(file);
+            fileInput.value = ''; // Allow re-importing the same file
+        });
+
+        // The picker button is a <label>, so give it keyboard activation
+        const fileButton = document.querySelector('label[for="deck-file-input"]');
+        if (fileButton) {
+            fileButton.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    fileInput.click();
+                }
+            });
+        }
+    }
+
+    if (dropZone) {
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', (e) => {
+            if (!dropZone.contains(e.relatedTarget)) dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', (e) => {
+            const file = e.dataTransfer?.files?.[0];
+            dropZone.classList.remove('drag-over');
+            // Let plain text drops into the textarea behave normally
+            if (!file) return;
+            e.preventDefault();
+            runFileImport(file);
+        });
+    }
+
     updateTotalDisplay();
 }
 
+/**
+ * Bind the offline card data (Scryfall bulk data) controls
+ */
+function initBulkDataControls() {
+    const downloadBtn = document.getElementById('bulk-download-btn');
+    const fileInput = document.getElementById('bulk-file-input');
+    const clearBtn = document.getElementById('bulk-clear-btn');
+    const statusEl = document.getElementById('bulk-status');
+    if (!downloadBtn || !fileInput || !clearBtn || !statusEl) return;
+
+    const setStatus = (message, type = '') => {
+        statusEl.innerHTML = message;
+        statusEl.className = `import-status ${type}`;
+    };
+
+    const showInfo = async () => {
+        const info = await getBulkDataInfo();
+        clearBtn.disabled = !info;
+        if (info) {
+            const date = new Date(info.updatedAt).toLocaleDateString();
+            setStatus(`✓ ${info.count.toLocaleString()} cards stored (${escapeHtml(info.source)}, ${date})`, 'success');
+        } else {
+            setStatus('Not loaded - imports use the Scryfall API');
+        }
+    };
+
+    const onProgress = (written, total) => {
+        setStatus(`Storing cards... ${Math.round((written / total) * 100)}%`, 'loading');
+    };
+
+    const run = async (message, task) => {
+        downloadBtn.disabled = true;
+        clearBtn.disabled = true;
+        setStatus(message, 'loading');
+        try {
+            await task();
+            await showInfo();
+        } catch (error) {
+            console.error('Bulk data error:', error);
+            setStatus(`Error: ${error.message}`, 'error');
+        } finally {
+            downloadBtn.disabled = false;
+        }
+    };
+
+    downloadBtn.addEventListener('click', () => {
+        run('Downloading from Scryfall (this can take a minute)...', () => downloadBulkData(onProgress));
+    });
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) run(`Reading ${escapeHtml(file.name)}...`, () => importBulkFile(file, onProgress));
+    });
+
+    const fileButton = document.querySelector('label[for="bulk-file-input"]');
+    if (fileButton) {
+        fileButton.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                fileInput.click();
+            }
+        });
+    }
+
+    clearBtn.addEventListener('click', () => {
+        run('Deleting offline card data...', clearBulkData);
+    });
+
+    showInfo();
+}
+
+/**
+ * Hide the import diagnostics panel
+ */
+function hideImportDiagnostics() {
+    const panel = document.getElementById('import-diagnostics');
+    if (panel) {
+        panel.hidden = true;
+        panel.innerHTML = '';
+    }
+}
+
+/**
+ * List unresolved cards with ranked name suggestions
+ * Clicking a suggestion saves it as a name correction and re-runs the import.
+ * @param {Array<Object>} missingCards - [{ name, count }]
+ * @param {Function|null} repeatImport - Re-runs the import that produced these cards
+ */
+function showImportDiagnostics(missingCards, repeatImport) {
+    const panel = document.getElementById('import-diagnostics');
+    if (!panel) return;
+
+    panel.innerHTML = `
+        <h4>⚠ ${missingCards.length} unrecognized card${missingCards.length === 1 ? '' : 's'}</h4>
+        <ul>
+            ${missingCards.map((card, i) => `
+                <li>
+                    <span class="diagnostic-name">${card.count}× ${escapeHtml(card.name)}</span>
+                    <span class="diagnostic-suggestions" data-index="${i}">Looking for matches...</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    panel.hidden = false;
+
+    missingCards.forEach(async (card, i) => {
+        const container = panel.querySelector(`.diagnostic-suggestions[data-index="${i}"]`);
+        let suggestions = [];
+        try {
+            suggestions = await suggestCardNames(card.name);
+        } catch (error) {
+            console.warn(`No suggestions for ${card.name}:`, error);
+        }
+        if (!container.isConnected) return; // A newer import replaced the panel
+
+        if (suggestions.length === 0) {
+            container.textContent = 'No suggestions';
+            return;
+        }
+
+        container.innerHTML = 'Did you mean ' + suggestions.map(suggestion => `
+            <button type="button" class="suggestion-btn" data-name="${escapeHtml(suggestion.name)}"
+                title="${suggestion.source === 'scryfall' ? 'Scryfall autocomplete' : 'Closest local match'}">${escapeHtml(suggestion.name)}</button>
+        `).join('');
+
+        container.querySelectorAll('.suggestion-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                addCardNameCorrection(card.name, button.dataset.name);
+                if (repeatImport) {
+                    repeatImport();
+                } else {
+                    container.textContent = `✓ Will use ${button.dataset.name} next import`;
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Show the persistent card cache size in the management UI
+ * @returns {Promise<void>}
+ */
+async function updateCardCacheStatus() {
+    const statusEl = document.getElementById('card-cache-status');
+    const refreshBtn = document.getElementById('card-cache-refresh-btn');
+    const clearBtn = document.getElementById('card-cache-clear-btn');
+    if (!statusEl) return;
+
+    try {
+        const { count, staleCount, bytes } = await getCardCacheStats();
+        if (refreshBtn) refreshBtn.disabled = staleCount === 0;
+        if (clearBtn) clearBtn.disabled = count === 0;
+
+        if (count === 0) {
+            statusEl.innerHTML = 'Empty';
+        } else {
+            const size = bytes < 1024 * 1024
+                ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+                : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+            statusEl.innerHTML = `${count.toLocaleString()} cards (${size})` +
+                (staleCount > 0 ? ` • ${staleCount} stale` : '');
+        }
+        statusEl.className = 'import-status';
+    } catch (error) {
+        console.warn('Could not read card cache:', error);
+        statusEl.innerHTML = 'Unavailable in this browser';
+        statusEl.className = 'import-status';
+    }
+}
+
+/**
+ * Bind the card cache management controls
+ */
+function initCardCacheControls() {
+    const refreshBtn = document.getElementById('card-cache-refresh-btn');
+    const clearBtn = document.getElementById('card-cache-clear-btn');
+    const statusEl = document.getElementById('card-cache-status');
+    if (!refreshBtn || !clearBtn || !statusEl) return;
+
+    // A task may return a result message; it or the task's error is shown ahead of the refreshed cache stats
+    const run = async (task) => {
+        refreshBtn.disabled = true;
+        clearBtn.disabled = true;
+        let result = null;
+        let failure = null;
+        try {
+            result = await task();
+        } catch (error) {
+            console.error('Card cache error:', error);
+            failure = `✗ ${escapeHtml(error.message)}`;
+        }
+        await updateCardCacheStatus();
+        if (failure || result) {
+            statusEl.innerHTML = `${failure || result} • ${statusEl.innerHTML}`;
+            statusEl.className = `import-status ${failure ? 'error' : 'success'}`;
+        }
+    };
+
+    refreshBtn.addEventListener('click', () => run(async () => {
+        statusEl.innerHTML = 'Refreshing stale cards...';
+        statusEl.className = 'import-status loading';
+        const { refreshed, total } = await refreshStaleCards(({ processed, total: count }) => {
+            statusEl.innerHTML = `Refreshing stale cards... ${processed}/${count}`;
+        });
+        return `✓ Refreshed ${refreshed} of ${total} stale cards`;
+    }));
+
+    clearBtn.addEventListener('click', () => run(clearCardCache));
+
+    updateCardCacheStatus();
+}
+
+/**
+ * Show the saved-decks library with load, duplicate and delete buttons
+ * @returns {Promise<void>}
+ */
+async function renderSavedDecks() {
+    const listEl = document.getElementById('saved-decks-list');
+    if (!listEl) return;
+
+    let decks;
+    try {
+        decks = await listSavedDecks();
+    } catch (error) {
+        console.warn('Could not read saved decks:', error);
+        listEl.innerHTML = '<li class="saved-decks-empty">Unavailable in this browser</li>';
+        return;
+    }
+
+    if (decks.length === 0) {
+        listEl.innerHTML = '<li class="saved-decks-empty">No saved decks</li>';
+        return;
+    }
+
+    listEl.innerHTML = decks.map(({ id, name, savedAt, deck }) => {
+        const cardCount = deck.actualCardCount ?? ['creatures', 'instants', 'sorceries', 'artifacts', 'enchantments', 'planeswalkers', 'lands', 'battles']
+            .reduce((sum, field) => sum + (deck[field] || 0), 0);
+        const commanders = (deck.commanders || []).map(commander => commander.name).join(' + ');
+        return `
+            <li data-id="${escapeHtml(id)}">
+                <span class="saved-deck-name">${escapeHtml(name)}</span>
+                <small class="saved-deck-info">${cardCount} cards${commanders ? ` • ${escapeHtml(commanders)}` : ''} • ${new Date(savedAt).toLocaleDateString()}</small>
+                <span class="saved-deck-actions">
+                    <button type="button" class="inline-btn" data-action="load" aria-label="Load ${escapeHtml(name)}">Load</button>
+                    <button type="button" class="inline-btn" data-action="compare" aria-label="Compare against ${escapeHtml(name)}">Compare</button>
+                    <button type="button" class="inline-btn" data-action="duplicate" aria-label="Duplicate ${escapeHtml(name)}">Duplicate</button>
+                    <button type="button" class="inline-btn" data-action="delete" aria-label="Delete ${escapeHtml(name)}">Delete</button>
+                </span>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Bind the saved-decks library controls
+ */
+function initSavedDeckControls() {
+    const nameInput = document.getElementById('saved-deck-name');
+    const saveBtn = document.getElementById('saved-deck-save-btn');
+    const listEl = document.getElementById('saved-decks-list');
+    const statusEl = document.getElementById('saved-decks-status');
+    if (!nameInput || !saveBtn || !listEl || !statusEl) return;
+
+    const showStatus = (message, type = '') => {
+        statusEl.innerHTML = message;
+        statusEl.className = `import-status ${type}`;
+    };
+
+    saveBtn.addEventListener('click', async () => {
+        const name = nameInput.value.trim() || deckState.importMetadata?.deckName || 'Untitled deck';
+        try {
+            const record = await saveDeck(name, getDeckConfig());
+            nameInput.value = '';
+            showStatus(`✓ Saved ${escapeHtml(record.name)}`, 'success');
+        } catch (error) {
+            console.error('Save deck error:', error);
+            showStatus(`✗ ${escapeHtml(error.message)}`, 'error');
+        }
+        renderSavedDecks();
+    });
+
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveBtn.click();
+    });
+
+    listEl.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        const item = button && button.closest('li[data-id]');
+        if (!item) return;
+        const { id } = item.dataset;
+
+        try {
+            if (button.dataset.action === 'load') {
+                const record = await getSavedDeck(id);
+                if (!record) throw new Error('Saved deck not found');
+                restoreDeck(record.deck);
+                hideImportDiagnostics();
+                showStatus(`✓ Loaded ${escapeHtml(record.name)}`, 'success');
+            } else if (button.dataset.action === 'compare') {
+                const record = await getSavedDeck(id);
+                if (!record) throw new Error('Saved deck not found');
+                setComparisonDeck(record.deck, record.name);
+                showStatus(`✓ Comparing against ${escapeHtml(record.name)}`, 'success');
+            } else if (button.dataset.action === 'duplicate') {
+                const record = await duplicateSavedDeck(id);
+                showStatus(`✓ Saved ${escapeHtml(record.name)}`, 'success');
+            } else if (button.dataset.action === 'delete') {
+                const name = item.querySelector('.saved-deck-name').textContent;
+                if (!window.confirm(`Delete ${name}?`)) return;
+                await deleteSavedDeck(id);
+                showStatus('Deck deleted');
+            }
+        } catch (error) {
+            console.error('Saved deck error:', error);
+            showStatus(`✗ ${escapeHtml(error.message)}`, 'error');
+        }
+        renderSavedDecks();
+    });
+
+    renderSavedDecks();
+}
+
+/**
+ * Show which deck is in the comparison slot
+ */
+function renderComparisonStatus() {
+    const statusEl = document.getElementById('compare-status');
+    const swapBtn = document.getElementById('compare-swap-btn');
+    const clearBtn = document.getElementById('compare-clear-btn');
+    if (!statusEl) return;
+
+    if (swapBtn) swapBtn.disabled = !comparison;
+    if (clearBtn) clearBtn.disabled = !comparison;
+
+    statusEl.innerHTML = comparison
+        ? `B: ${escapeHtml(comparison.name)} (${getDeckSize(true, comparison.deck)} cards) • dashed in charts, Δ vs B in tables`
+        : 'No comparison deck';
+    statusEl.className = 'import-status';
+}
+
+/**
+ * Bind the A/B comparison controls
+ */
+function initComparisonControls() {
+    const pinBtn = document.getElementById('compare-pin-btn');
+    const swapBtn = document.getElementById('compare-swap-btn');
+    const clearBtn = document.getElementById('compare-clear-btn');
+    if (!pinBtn || !swapBtn || !clearBtn) return;
+
+    pinBtn.addEventListener('click', () => {
+        setComparisonDeck(getDeckConfig(), deckState.importMetadata?.deckName || `${getDeckSize(true)}-card deck`);
+    });
+    swapBtn.addEventListener('click', swapComparisonDeck);
+    clearBtn.addEventListener('click', clearComparisonDeck);
+
+    renderComparisonStatus();
+}
+
+// Labels for the CSV column mapping dialog
+const CSV_FIELD_LABELS = {
+    count: 'Quantity',
+    name: 'Card name (required)',
+    set: 'Set code',
+    collectorNumber: 'Collector number',
+    scryfallId: 'Scryfall ID',
+    section: 'Board (main/side)'
+};
+
+/**
+ * Ask the user which CSV columns hold which fields
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<Array<string>>} rows - Data rows (the first few are previewed)
+ * @returns {Promise<Object|null>} - { field: columnIndex }, or null if cancelled
+ */
+function showCsvMappingDialog(headers, rows) {
+    const dialog = document.getElementById('csv-mapping-dialog');
+    const fieldsEl = document.getElementById('csv-mapping-fields');
+    const previewEl = document.getElementById('csv-mapping-preview');
+    const confirmBtn = document.getElementById('csv-mapping-confirm');
+
+    if (!dialog || typeof dialog.showModal !== 'function') {
+        return Promise.resolve(null);
+    }
+
+    const columnOptions = headers
+        .map((header, i) => `<option value="${i}">${escapeHtml(header || `Column ${i + 1}`)}</option>`)
+        .join('');
+
+    fieldsEl.innerHTML = CSV_FIELDS.map(field => `
+        <label>
+            ${CSV_FIELD_LABELS[field]}
+            <select data-field="${field}">
+                <option value="-1">— none —</option>
+                ${columnOptions}
+            </select>
+        </label>
+    `).join('');
+
+    const previewRows = rows.slice(0, 3)
+        .map(row => `<tr>${headers.map((_, i) => `<td>${escapeHtml(row[i] || '')}</td>`).join('')}</tr>`)
+        .join('');
+    previewEl.innerHTML = `
+        <table class="comparison-table">
+            <tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>
+            ${previewRows}
+        </table>
+    `;
+
+    const selects = Array.from(fieldsEl.querySelectorAll('select'));
+    const nameSelect = fieldsEl.querySelector('select[data-field="name"]');
+    const syncConfirm = () => { confirmBtn.disabled = nameSelect.value === '-1'; };
+    nameSelect.addEventListener('change', syncConfirm);
+    syncConfirm();
+
+    return new Promise(resolve => {
+        dialog.addEventListener('close', () => {
+            if (dialog.returnValue !== 'import') {
+                resolve(null);
+                return;
+            }
+            const mapping = {};
+            selects.forEach(select => { mapping[select.dataset.field] = parseInt(select.value); });
+            resolve(mapping);
+        }, { once: true });
+
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
+
+const BOARD_LABELS = { main: 'Main', sideboard: 'Sideboard', maybeboard: 'Maybeboard' };
+
+/**
+ * Show imported cards by board with in/out toggles and a swap control
+ * Every change recounts the deck through setBoardCardsIncluded, so the
+ * calculators update live.
+ */
+function renderDeckBoards() {
+    const panel = document.getElementById('deck-boards');
+    if (!panel) return;
+
+    const boardCards = deckState.boardCards;
+    if (boardCards.length === 0) {
+        panel.hidden = true;
+        panel.innerHTML = '';
+        return;
+    }
+
+    const changed = boardCards.filter(card => card.included !== (card.board === 'main'));
+    const inDeck = boardCards.filter(card => card.included);
+    const outOfDeck = boardCards.filter(card => !card.included);
+    const option = card => `<option value="${escapeHtml(card.id)}">${escapeHtml(card.name)} (${BOARD_LABELS[card.board]})</option>`;
+
+    panel.innerHTML = `
+        <div class="deck-boards-header">
+            <h4>What-if</h4>
+            <span class="deck-boards-summary">${getDeckSize(true)} cards in deck${changed.length > 0 ? ` • ${changed.length} changed` : ''}</span>
+            <button type="button" class="inline-btn deck-boards-reset" ${changed.length === 0 ? 'disabled' : ''}>Reset</button>
+        </div>
+        <div class="deck-boards-swap">
+            <select class="deck-boards-out" aria-label="Card to cut">${inDeck.map(option).join('')}</select>
+            <select class="deck-boards-in" aria-label="Card to add">${outOfDeck.map(option).join('')}</select>
+            <button type="button" class="inline-btn deck-boards-swap-btn" ${inDeck.length === 0 || outOfDeck.length === 0 ? 'disabled' : ''}>⇄ Swap</button>
+        </div>
+        ${Object.entries(BOARD_LABELS).map(([board, label]) => {
+            const cards = boardCards.filter(card => card.board === board);
+            if (cards.length === 0) return '';
+            const count = cards.reduce((sum, card) => sum + card.count, 0);
+            return `
+                <details class="deck-board" ${board === 'main' ? '' : 'open'}>
+                    <summary>${label} (${count})</summary>
+                    <ul>
+                        ${cards.map(card => `
+                            <li class="${card.included ? '' : 'excluded'}">
+                                <label>
+                                    <input type="checkbox" data-id="${escapeHtml(card.id)}" ${card.included ? 'checked' : ''}>
+                                    ${card.count}× ${escapeHtml(card.name)}
+                                </label>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            `;
+        }).join('')}
+    `;
+    panel.hidden = false;
+
+    // Re-render after each change, keeping focus on the control that was used
+    const rerender = (selector) => {
+        const openBoards = Array.from(panel.querySelectorAll('.deck-board'))
+            .map(details => details.open);
+        renderDeckBoards();
+        panel.querySelectorAll('.deck-board').forEach((details, i) => {
+            if (openBoards[i] !== undefined) details.open = openBoards[i];
+        });
+        const target = selector && panel.querySelector(selector);
+        if (target) target.focus();
+    };
+
+    panel.querySelectorAll('input[type="checkbox"][data-id]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            toggleBoardCard(checkbox.dataset.id);
+            rerender(`input[data-id="${CSS.escape(checkbox.dataset.id)}"]`);
+        });
+    });
+
+    panel.querySelector('.deck-boards-swap-btn').addEventListener('click', () => {
+        const outId = panel.querySelector('.deck-boards-out').value;
+        const inId = panel.querySelector('.deck-boards-in').value;
+        if (!outId || !inId) return;
+        swapBoardCards(outId, inId);
+        rerender('.deck-boards-swap-btn');
+    });
+
+    panel.querySelector('.deck-boards-reset').addEventListener('click', () => {
+        resetBoardCards();
+        rerender('.deck-boards-swap-btn');
+    });
+}
+
+/**
+ * Copy the type, CMC and Vortex counts from deck state into the inputs
+ */
+function syncDeckInputs() {
+    const fields = [
+        'creatures', 'instants', 'sorceries', 'artifacts', 'enchantments', 'planeswalkers', 'lands', 'battles',
+        'cmc0', 'cmc1', 'cmc2', 'cmc3', 'cmc4', 'cmc5', 'cmc6',
+        'creaturesPower5Plus'
+    ];
+    fields.forEach(field => {
+        const input = document.getElementById(`deck-${field}`);
+        if (input) {
+            input.value = deckState[field];
+        }
+    });
+}
+
+/**
+ * Cancel the import in progress and start a new one
+ * @returns {AbortSignal} - Signal for the new import
+ */
+function beginImport() {
+    if (importController) importController.abort();
+    importController = new AbortController();
+    hideImportDiagnostics();
+    return importController.signal;
+}
+
 /**
  * Show import status message
- * @param {string} message - Status message
+ * @param {string} message - Status message (HTML - escape anything taken from a deck or file)
  * @param {string} type - Status type (success, error, loading)
  */
-function showImportStatus(message, type) {
+export function showImportStatus(message, type) {
     const statusEl = document.getElementById('import-status');
     if (statusEl) {
         statusEl.innerHTML = message;
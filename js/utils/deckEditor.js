@@ -0,0 +1,219 @@
+/**
+ * Deck Editor
+ * Card-level table for imported lists: change quantities, override a card's
+ * mana value or power, tag cards with roles, and add or remove cards. Every edit goes through
+ * deckConfig, which rebuilds cardDetails and the type counts from the board
+ * cards and notifies the calculators.
+ */
+
+import * as DeckConfig from './deckConfig.js';
+import { lookupCard } from './decklistImport.js';
+import { isAbortError } from './scryfallScheduler.js';
+import { escapeHtml } from './ui.js';
+
+const CATEGORY_LABELS = {
+    creatures: 'Creature',
+    planeswalkers: 'Planeswalker',
+    battles: 'Battle',
+    lands: 'Land',
+    instants: 'Instant',
+    sorceries: 'Sorcery',
+    artifacts: 'Artifact',
+    enchantments: 'Enchantment'
+};
+
+// Lookup for the card being added (a new add cancels it)
+let addController = null;
+
+/**
+ * Show a message under the add-card form
+ * @param {string} message - Status text
+ * @param {string} type - Status type (success, error, loading)
+ */
+function showEditorStatus(message, type) {
+    const statusEl = document.getElementById('deck-editor-status');
+    if (statusEl) {
+        statusEl.textContent = message;
+        statusEl.className = `import-status ${type}`;
+    }
+}
+
+/**
+ * Build one table row for a card in the deck
+ * @param {Object} card - Board card
+ * @param {Object} info - Counted card from cardsByName (overrides applied)
+ * @param {boolean} isPower5Plus - Whether the card counts as a power 5+ creature
+ * @returns {string} - Row HTML
+ */
+function renderRow(card, info, isPower5Plus) {
+    const overrides = card.overrides || {};
+    const name = escapeHtml(card.name);
+    const categories = (info ? info.allCategories : []).map(category => CATEGORY_LABELS[category]);
+    if (isPower5Plus) categories.push('Power 5+');
+    const isCreature = Boolean(info && info.allCategories.includes('creatures'));
+
+    return `
+        <tr data-id="${escapeHtml(card.id)}">
+            <td><input type="number" class="deck-editor-count" min="0" value="${card.count}" aria-label="Quantity of ${name}"></td>
+            <td>${name}${card.board === 'main' ? '' : ` <span class="deck-editor-board">(${escapeHtml(card.board)})</span>`}</td>
+            <td class="deck-editor-type">${escapeHtml(info ? info.type_line : '')}</td>
+            <td>
+                <input type="number" class="deck-editor-cmc ${'cmc' in overrides ? 'overridden' : ''}" min="0" step="1"
+                    value="${info && info.cmc !== undefined ? info.cmc : ''}" aria-label="Mana value of ${name}"
+                    title="${'cmc' in overrides ? 'Overridden - clear to use the imported value' : 'Imported value'}">
+            </td>
+            <td>
+                ${isCreature ? `
+                    <input type="text" class="deck-editor-power ${'power' in overrides ? 'overridden' : ''}" size="3"
+                        value="${escapeHtml(info.power ?? '')}" aria-label="Power of ${name}"
+                        title="${'power' in overrides ? 'Overridden - clear to use the imported value' : 'Imported value'}">
+                ` : '—'}
+            </td>
+            <td class="deck-editor-categories">${categories.join(' · ')}</td>
+            <td>
+                <input type="text" class="deck-editor-tags" value="${escapeHtml((card.tags || []).join(', '))}"
+                    placeholder="e.g. Ramp, Draw" aria-label="Tags for ${name}">
+            </td>
+            <td><button type="button" class="inline-btn deck-editor-remove" aria-label="Remove ${name}">✕</button></td>
+        </tr>
+    `;
+}
+
+/**
+ * Show every card in the deck with its count, type line, mana value, power and categories
+ * Hidden until a list is imported (manually entered decks have no cards to edit).
+ */
+export function renderDeckEditor() {
+    const editor = document.getElementById('deck-editor');
+    const table = document.getElementById('deck-editor-table');
+    if (!editor || !table) return;
+
+    const boardCards = DeckConfig.getBoardCards();
+    if (boardCards.length === 0) {
+        editor.hidden = true;
+        table.innerHTML = '';
+        return;
+    }
+
+    const { cardsByName, cardDetails } = DeckConfig.getImportedCardData();
+    const power5Plus = new Set(cardDetails.filter(card => card.isPower5Plus).map(card => card.name));
+    const cards = boardCards.filter(card => card.included);
+
+    const summary = document.getElementById('deck-editor-summary');
+    if (summary) {
+        summary.textContent = `Edit cards (${cards.length} unique, ${DeckConfig.getDeckSize(true)} total)`;
+    }
+
+    table.innerHTML = `
+        <thead>
+            <tr><th>Qty</th><th>Card</th><th>Type</th><th>MV</th><th>Power</th><th>Counts as</th><th>Tags</th><th></th></tr>
+        </thead>
+        <tbody>
+            ${cards.map(card => renderRow(card, cardsByName[card.name], power5Plus.has(card.name))).join('')}
+        </tbody>
+    `;
+    editor.hidden = false;
+
+    const tagCounts = document.getElementById('deck-editor-tag-counts');
+    if (tagCounts) {
+        const tags = Object.entries(DeckConfig.getTagCounts());
+        tagCounts.textContent = tags.length > 0
+            ? `Tags: ${tags.map(([tag, count]) => `${tag} (${count})`).join(', ')}`
+            : 'No tags yet - add roles like Ramp or Draw to use them in the Mulligan calculator.';
+    }
+}
+
+/**
+ * Apply an edit from one of the table's inputs
+ * @param {HTMLInputElement} input - Changed input
+ * @param {string} id - Board card id of its row
+ */
+function applyEdit(input, id) {
+    const value = input.value.trim();
+
+    if (input.classList.contains('deck-editor-count')) {
+        DeckConfig.setBoardCardCount(id, value);
+    } else if (input.classList.contains('deck-editor-cmc')) {
+        DeckConfig.setBoardCardOverrides(id, { cmc: value === '' ? null : Math.max(0, parseFloat(value) || 0) });
+    } else if (input.classList.contains('deck-editor-power')) {
+        DeckConfig.setBoardCardOverrides(id, { power: value === '' ? null : value });
+    } else if (input.classList.contains('deck-editor-tags')) {
+        DeckConfig.setBoardCardTags(id, value.split(','));
+    }
+}
+
+/**
+ * Look up a card by name and add it to the main deck
+ * @param {string} name - Card name
+ * @param {number} count - Copies to add
+ */
+async function addCard(name, count) {
+    if (!name.trim()) return;
+
+    if (addController) addController.abort();
+    const controller = new AbortController();
+    addController = controller;
+
+    showEditorStatus(`Looking up ${name}...`, 'loading');
+    try {
+        const cardData = await lookupCard(name, { signal: controller.signal });
+        if (!cardData) {
+            showEditorStatus(`No card found for "${name}"`, 'error');
+            return;
+        }
+
+        DeckConfig.addBoardCard(cardData, count);
+        showEditorStatus(`✓ Added ${count}× ${cardData.name}`, 'success');
+        const nameInput = document.getElementById('deck-editor-name');
+        if (nameInput) nameInput.value = '';
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Add card failed:', error);
+        showEditorStatus(`✗ Could not add ${name}: ${error.message}`, 'error');
+    } finally {
+        if (addController === controller) addController = null;
+    }
+}
+
+/**
+ * Bind the deck editor table and add-card form
+ */
+export function initDeckEditor() {
+    const table = document.getElementById('deck-editor-table');
+    if (table) {
+        table.addEventListener('change', (e) => {
+            const input = e.target;
+            const row = input.closest('tr[data-id]');
+            if (!row || input.tagName !== 'INPUT') return;
+
+            // Committed with Enter: keep the cursor in the same field after the table re-renders
+            const refocus = document.activeElement === input;
+            const id = row.dataset.id;
+            applyEdit(input, id);
+
+            if (refocus) {
+                const target = table.querySelector(`tr[data-id="${CSS.escape(id)}"] .${input.classList[0]}`);
+                if (target) target.focus();
+            }
+        });
+
+        table.addEventListener('click', (e) => {
+            const button = e.target.closest('.deck-editor-remove');
+            const row = button && button.closest('tr[data-id]');
+            if (row) DeckConfig.removeBoardCard(row.dataset.id);
+        });
+    }
+
+    const form = document.getElementById('deck-editor-add');
+    if (form) {
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = document.getElementById('deck-editor-name')?.value || '';
+            const count = Math.max(1, parseInt(document.getElementById('deck-editor-count')?.value) || 1);
+            addCard(name, count);
+        });
+    }
+
+    DeckConfig.onDeckUpdate(() => renderDeckEditor());
+    renderDeckEditor();
+}
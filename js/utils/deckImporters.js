@@ -0,0 +1,327 @@
+/**
+ * Deck Site Importers
+ * Registry of deck-building sites that can be imported by URL. Each importer is a
+ * plain object:
+ *   {
+ *     id: 'moxfield',
+ *     name: 'Moxfield',                    // shown in import status messages
+ *     patterns: [/moxfield\.com\/decks\/([\w-]+)/],  // capture groups form the deck id
+ *     apiUrl: id => 'https://...',         // where to fetch the deck from
+ *     responseType: 'json' | 'text',       // how to read the response (HTML is 'text')
+ *     scryfallApi: true,                   // optional: fetch directly through the Scryfall scheduler
+ *     normalize: (response, id) => deck
+ *   }
+ *
+ * normalize returns either a structured deck
+ *   { deckName, cards: [entry], commanders: [entry], sideboard: [entry], maybeboard: [entry], sideboardCount }
+ * where entry = { name, count, cardData?, set?, collectorNumber?, scryfallId?, tags? }
+ * (cardData is used as-is when it has a type line; other entries are looked up
+ * on Scryfall; tags are the site's card roles, e.g. "Ramp"), or
+ * { deckName, text } with a plain decklist that is parsed like a pasted list.
+ *
+ * Fixtures for every importer live in js/utils/fixtures (see deckImporters.test.js).
+ */
+
+const importers = [];
+
+/**
+ * Add an importer to the registry
+ * @param {Object} importer - Importer description
+ */
+export function registerImporter(importer) {
+    const { id, patterns, apiUrl, normalize } = importer;
+    if (!id || !Array.isArray(patterns) || typeof apiUrl !== 'function' || typeof normalize !== 'function') {
+        throw new Error(`Invalid deck importer: ${id || 'missing id'}`);
+    }
+    importers.push({ responseType: 'json', ...importer });
+}
+
+/**
+ * List registered importers
+ * @returns {Array<Object>}
+ */
+export function getImporters() {
+    return [...importers];
+}
+
+/**
+ * Find the importer for a deck URL or ID
+ * @param {string} input - URL or ID
+ * @returns {Object|null} - { importer, id }, or null if no site matches
+ */
+export function findImporter(input) {
+    const trimmed = input.trim();
+
+    for (const importer of importers) {
+        for (const pattern of importer.patterns) {
+            const match = trimmed.match(pattern);
+            if (match) {
+                return { importer, id: match.slice(1).filter(Boolean).join('/') };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Sum entry counts
+ * @param {Array<Object>} entries - [{ count }]
+ * @returns {number}
+ */
+function countEntries(entries) {
+    return entries.reduce((sum, entry) => sum + entry.count, 0);
+}
+
+/**
+ * Decode the HTML entities used in attribute values and text
+ * @param {string} text - HTML-escaped text
+ * @returns {string}
+ */
+function decodeHtmlEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Mark an MTGO-style sideboard (main deck, blank line, sideboard) with a header
+ * @param {string} text - Decklist text
+ * @returns {string}
+ */
+function labelBlankLineSideboard(text) {
+    const normalized = text.replace(/\r\n?/g, '\n').trim();
+    if (/^\s*sideboard:?\s*$/im.test(normalized)) return normalized;
+    return normalized.replace(/\n\s*\n/, '\nSideboard\n');
+}
+
+// --- Moxfield ---
+registerImporter({
+    id: 'moxfield',
+    name: 'Moxfield',
+    patterns: [
+        /moxfield\.com\/decks\/([a-zA-Z0-9_-]+)/,
+        /^([a-zA-Z0-9_-]{10,})$/ // A bare long ID is assumed to be a Moxfield deck
+    ],
+    apiUrl: id => `https://api2.moxfield.com/v3/decks/all/${id}`,
+    normalize(data) {
+        // Author tags are keyed by card name for the whole deck
+        const authorTags = data.authorTags || {};
+        const toEntries = board => Object.values(data.boards?.[board]?.cards || {})
+            .filter(entry => entry.card)
+            .map(entry => ({
+                name: entry.card.name,
+                count: entry.quantity || 1,
+                cardData: entry.card,
+                set: entry.card.set || null,
+                collectorNumber: entry.card.cn || null,
+                scryfallId: entry.card.scryfall_id || null,
+                tags: authorTags[entry.card.name] || []
+            }));
+
+        const sideboard = [...toEntries('sideboard'), ...toEntries('companions')];
+
+        return {
+            deckName: data.name,
+            cards: toEntries('mainboard'),
+            commanders: toEntries('commanders'),
+            sideboard,
+            maybeboard: toEntries('maybeboard'),
+            sideboardCount: countEntries(sideboard)
+        };
+    }
+});
+
+// Archidekt categories that are boards rather than card roles
+const ARCHIDEKT_BOARD_CATEGORIES = ['Commander', 'Sideboard', 'Maybeboard'];
+
+// --- Archidekt (categories other than boards become tags) ---
+registerImporter({
+    id: 'archidekt',
+    name: 'Archidekt',
+    patterns: [/archidekt\.com\/decks\/(\d+)/],
+    apiUrl: id => `https://archidekt.com/api/decks/${id}/`,
+    normalize(data) {
+        const cards = [];
+        const commanders = [];
+        const sideboard = [];
+        const maybeboard = [];
+
+        (data.cards || []).forEach(entry => {
+            const categories = entry.categories || [];
+            const cardData = entry.card ? (entry.card.oracleCard || entry.card) : null;
+            if (!cardData) return;
+
+            const count = entry.quantity || 1;
+            if (categories.includes('Commander')) {
+                commanders.push({ name: cardData.name, count, cardData });
+                return;
+            }
+
+            const card = {
+                name: cardData.name,
+                count,
+                cardData,
+                set: entry.card.edition?.editioncode || null,
+                collectorNumber: entry.card.collectorNumber || null,
+                tags: categories.filter(category => !ARCHIDEKT_BOARD_CATEGORIES.includes(category))
+            };
+            if (categories.includes('Sideboard')) {
+                sideboard.push(card);
+            } else if (categories.includes('Maybeboard')) {
+                maybeboard.push(card);
+            } else {
+                cards.push(card);
+            }
+        });
+
+        return { deckName: data.name, cards, commanders, sideboard, maybeboard, sideboardCount: countEntries(sideboard) };
+    }
+});
+
+// --- TappedOut (plain text export; commanders are tagged *CMDR*) ---
+registerImporter({
+    id: 'tappedout',
+    name: 'TappedOut',
+    patterns: [/tappedout\.net\/mtg-decks\/([a-z0-9_-]+)/i],
+    apiUrl: id => `https://tappedout.net/mtg-decks/${id}/?fmt=txt`,
+    responseType: 'text',
+    normalize(text, id) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const commanderLines = lines.filter(line => /\*CMDR\*/i.test(line));
+        const otherLines = lines.filter(line => !/\*CMDR\*/i.test(line));
+
+        const decklist = commanderLines.length > 0
+            ? ['Commander', ...commanderLines, '', 'Deck', ...otherLines].join('\n')
+            : otherLines.join('\n');
+
+        return { deckName: id.replace(/-/g, ' '), text: decklist };
+    }
+});
+
+// --- Deckstats (JSON API; id is "ownerId/deckId") ---
+registerImporter({
+    id: 'deckstats',
+    name: 'Deckstats',
+    patterns: [/deckstats\.net\/decks\/(\d+)\/(\d+)/],
+    apiUrl: id => {
+        const [ownerId, deckId] = id.split('/');
+        return `https://deckstats.net/api.php?action=get_deck&id_type=saved&owner_id=${ownerId}&id=${deckId}&response_type=json`;
+    },
+    normalize(data) {
+        const cards = [];
+        const commanders = [];
+
+        (data.sections || []).forEach(section => {
+            (section.cards || []).forEach(card => {
+                const entry = { name: card.name, count: card.amount || 1 };
+                if (card.isCommander) {
+                    commanders.push(entry);
+                } else {
+                    cards.push(entry);
+                }
+            });
+        });
+
+        const sideboard = (data.sideboard || []).map(card => ({ name: card.name, count: card.amount || 1 }));
+
+        return { deckName: data.name, cards, commanders, sideboard, maybeboard: [], sideboardCount: countEntries(sideboard) };
+    }
+});
+
+// --- MTGGoldfish (deck page HTML; the list is in a hidden form field) ---
+registerImporter({
+    id: 'mtggoldfish',
+    name: 'MTGGoldfish',
+    patterns: [/mtggoldfish\.com\/deck\/(\d+)/],
+    apiUrl: id => `https://www.mtggoldfish.com/deck/${id}`,
+    responseType: 'text',
+    normalize(html) {
+        const input = html.match(/<input[^>]*id=["']deck_input_deck["'][^>]*>/i);
+        const value = input && input[0].match(/value=(["'])([\s\S]*?)\1/i);
+        if (!value) {
+            throw new Error('Could not find the decklist on the MTGGoldfish page');
+        }
+
+        const title = html.match(/<h1[^>]*class=["'][^"']*title[^"']*["'][^>]*>([^<]*)/i);
+        const deckName = title ? decodeHtmlEntities(title[1]).trim() : null;
+
+        return { deckName: deckName || null, text: labelBlankLineSideboard(decodeHtmlEntities(value[2])) };
+    }
+});
+
+// --- Aetherhub (MTGA deck JSON; rows without a quantity are section headers) ---
+registerImporter({
+    id: 'aetherhub',
+    name: 'Aetherhub',
+    patterns: [/aetherhub\.com\/Deck\/(?:Public\/)?(\d+)/i],
+    apiUrl: id => `https://aetherhub.com/Deck/FetchMtgaDeckJson?deckId=${id}&langId=0&simple=false`,
+    normalize(data) {
+        const cards = [];
+        const commanders = [];
+        const sideboard = [];
+        const maybeboard = [];
+        let section = 'deck';
+
+        (data.convertedDeck || []).forEach(row => {
+            if (!row.quantity) {
+                section = String(row.name || '').trim().toLowerCase();
+                return;
+            }
+
+            const entry = {
+                name: row.name,
+                count: row.quantity,
+                set: row.set ? row.set.toLowerCase() : null,
+                collectorNumber: row.number ? String(row.number) : null
+            };
+            if (section === 'commander') {
+                commanders.push(entry);
+            } else if (section === 'sideboard' || section === 'companion') {
+                sideboard.push(entry);
+            } else if (section === 'maybeboard') {
+                maybeboard.push(entry);
+            } else {
+                cards.push(entry);
+            }
+        });
+
+        return { deckName: data.name || null, cards, commanders, sideboard, maybeboard, sideboardCount: countEntries(sideboard) };
+    }
+});
+
+// --- Scryfall decks (JSON export; card digests carry ids, not full card data) ---
+registerImporter({
+    id: 'scryfall',
+    name: 'Scryfall',
+    patterns: [/scryfall\.com\/@[^/]+\/decks\/([0-9a-f-]{36})/i],
+    apiUrl: id => `https://api.scryfall.com/decks/${id}/export/json`,
+    scryfallApi: true,
+    normalize(data) {
+        const toEntries = board => (data.entries?.[board] || [])
+            .filter(entry => entry.card_digest && entry.count > 0)
+            .map(entry => ({
+                name: entry.card_digest.name,
+                count: entry.count,
+                set: entry.card_digest.set || null,
+                collectorNumber: entry.card_digest.collector_number || null,
+                scryfallId: entry.card_digest.id || null
+            }));
+
+        const sideboard = toEntries('sideboard');
+
+        return {
+            deckName: data.name,
+            cards: toEntries('mainboard'),
+            commanders: toEntries('commanders'),
+            sideboard,
+            maybeboard: toEntries('maybeboard'),
+            sideboardCount: countEntries(sideboard)
+        };
+    }
+});
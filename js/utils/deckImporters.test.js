@@ -0,0 +1,243 @@
+/**
+ * Deck Site Importer Tests
+ * Checks URL matching, API URLs and response normalization for every importer
+ * against the sample API responses in ./fixtures/importers (no network needed),
+ * and how imported cards are counted into deck data.
+ * NOT YET RECORDED: the samples were written by hand from each site's format,
+ * so these checks can't catch a site changing its response shape. Recording
+ * them needs network access to the deck sites: run ./fixtures/importers/record.js
+ * with a real public deck URL per site, then update the URLs and expected values
+ * in CASES and testEntryDetails to match the recordings.
+ * Run with: node js/utils/deckImporters.test.js
+ * Or in the browser console after loading the page (fixtures are fetched)
+ */
+
+import { findImporter } from './deckImporters.js';
+import { parseDecklistText, buildDeckData } from './decklistImport.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (ok) {
+        passed++;
+        console.log(`  ✓ ${description}`);
+    } else {
+        failed++;
+        console.log(`  ✗ ${description}`);
+        console.log(`      expected: ${JSON.stringify(expected)}`);
+        console.log(`      actual:   ${JSON.stringify(actual)}`);
+    }
+}
+
+async function loadFixture(fileName) {
+    const url = new URL(`./fixtures/importers/${fileName}`, import.meta.url);
+    let contents;
+    if (typeof window !== 'undefined') {
+        contents = await (await fetch(url)).text();
+    } else {
+        const { readFile } = await import('node:fs/promises');
+        contents = await readFile(url, 'utf8');
+    }
+    return fileName.endsWith('.json') ? JSON.parse(contents) : contents;
+}
+
+const sum = entries => entries.reduce((total, entry) => total + entry.count, 0);
+const names = entries => entries.map(entry => entry.name);
+
+// Each case: a deck URL, the importer and API URL it should resolve to, the
+// fixture for that API's response, and what normalize() should produce.
+const CASES = [
+    {
+        url: 'https://www.moxfield.com/decks/kX2pZ0aBcQ',
+        importer: 'moxfield',
+        apiUrl: 'https://api2.moxfield.com/v3/decks/all/kX2pZ0aBcQ',
+        fixture: 'moxfield.json',
+        expected: {
+            deckName: 'Atraxa Superfriends',
+            cardCount: 4,
+            commanders: ["Atraxa, Praetors' Voice"],
+            sideboardCount: 3
+        }
+    },
+    {
+        url: 'https://archidekt.com/decks/1234567/mono_green_stompy',
+        importer: 'archidekt',
+        apiUrl: 'https://archidekt.com/api/decks/1234567/',
+        fixture: 'archidekt.json',
+        expected: {
+            deckName: 'Mono-Green Stompy',
+            cardCount: 32,
+            commanders: ['Azusa, Lost but Seeking'],
+            sideboardCount: 2
+        }
+    },
+    {
+        url: 'https://tappedout.net/mtg-decks/kenrith-superfriends/',
+        importer: 'tappedout',
+        apiUrl: 'https://tappedout.net/mtg-decks/kenrith-superfriends/?fmt=txt',
+        fixture: 'tappedout.txt',
+        expected: {
+            deckName: 'kenrith superfriends',
+            cardCount: 24,
+            commanders: ['Kenrith, the Returned King'],
+            sideboardCount: 1
+        }
+    },
+    {
+        url: 'https://deckstats.net/decks/98765/1357911-krenko-goblins/en',
+        importer: 'deckstats',
+        apiUrl: 'https://deckstats.net/api.php?action=get_deck&id_type=saved&owner_id=98765&id=1357911&response_type=json',
+        fixture: 'deckstats.json',
+        expected: {
+            deckName: 'Krenko Goblins',
+            cardCount: 36,
+            commanders: ['Krenko, Mob Boss'],
+            sideboardCount: 3
+        }
+    },
+    {
+        url: 'https://www.mtggoldfish.com/deck/5432109#paper',
+        importer: 'mtggoldfish',
+        apiUrl: 'https://www.mtggoldfish.com/deck/5432109',
+        fixture: 'mtggoldfish.html',
+        expected: {
+            deckName: 'Mono Red Aggro',
+            cardCount: 40,
+            commanders: [],
+            sideboardCount: 5
+        }
+    },
+    {
+        url: 'https://aetherhub.com/Deck/Public/1040583',
+        importer: 'aetherhub',
+        apiUrl: 'https://aetherhub.com/Deck/FetchMtgaDeckJson?deckId=1040583&langId=0&simple=false',
+        fixture: 'aetherhub.json',
+        expected: {
+            deckName: 'Izzet Phoenix',
+            cardCount: 20,
+            commanders: [],
+            sideboardCount: 2
+        }
+    },
+    {
+        url: 'https://scryfall.com/@someone/decks/8b1a3f9c-2d5e-4c7a-9f1b-6e2d4a8c0b3e',
+        importer: 'scryfall',
+        apiUrl: 'https://api.scryfall.com/decks/8b1a3f9c-2d5e-4c7a-9f1b-6e2d4a8c0b3e/export/json',
+        fixture: 'scryfall.json',
+        expected: {
+            deckName: 'Pauper Elves',
+            cardCount: 16,
+            commanders: [],
+            sideboardCount: 3
+        }
+    }
+];
+
+/**
+ * Reduce a normalized deck to the fields compared above
+ * Plain text decks are parsed the same way importDeckFromUrl parses them.
+ */
+function summarize(deck) {
+    if (typeof deck.text === 'string') {
+        const parsed = parseDecklistText(deck.text);
+        return {
+            deckName: deck.deckName,
+            cardCount: sum(parsed.cards),
+            commanders: names(parsed.commanders),
+            sideboardCount: parsed.sideboardCount
+        };
+    }
+
+    return {
+        deckName: deck.deckName,
+        cardCount: sum(deck.cards),
+        commanders: names(deck.commanders),
+        sideboardCount: deck.sideboardCount
+    };
+}
+
+async function testImporters() {
+    for (const testCase of CASES) {
+        console.log(`\n=== ${testCase.importer} ===`);
+
+        const match = findImporter(testCase.url);
+        check('URL matches importer', match && match.importer.id, testCase.importer);
+        if (!match) continue;
+
+        check('API URL', match.importer.apiUrl(match.id), testCase.apiUrl);
+
+        const fixture = await loadFixture(testCase.fixture);
+        const deck = match.importer.normalize(fixture, match.id);
+        check('normalized deck', summarize(deck), testCase.expected);
+    }
+}
+
+function testUrlMatching() {
+    console.log('\n=== URL matching ===');
+
+    // Bare IDs are treated as Moxfield decks; unknown sites aren't matched
+    check('bare ID -> moxfield', findImporter('kX2pZ0aBcQ')?.importer.id, 'moxfield');
+    check('unknown site', findImporter('https://example.com/decks/123'), null);
+}
+
+async function testEntryDetails() {
+    console.log('\n=== Entry details ===');
+
+    const moxfield = findImporter('https://moxfield.com/decks/kX2pZ0aBcQ').importer
+        .normalize(await loadFixture('moxfield.json'));
+    const sol = moxfield.cards.find(card => card.name === 'Sol Ring');
+    check('moxfield keeps printing', [sol.set, sol.collectorNumber], ['cmm', '396']);
+    check('moxfield keeps card data', Boolean(sol.cardData && sol.cardData.type_line), true);
+    check('moxfield keeps sideboard cards', sum(moxfield.sideboard), moxfield.sideboardCount);
+    check('moxfield author tags', moxfield.cards.find(card => card.name === 'Wrenn and Six').tags, ['Ramp', 'Wincon']);
+
+    const archidekt = findImporter('https://archidekt.com/decks/1234567').importer
+        .normalize(await loadFixture('archidekt.json'));
+    check('archidekt categories become tags', archidekt.cards.map(card => card.tags), [['Ramp'], ['Land'], ['Creatures']]);
+
+    const aetherhub = findImporter('https://aetherhub.com/Deck/Public/1040583').importer
+        .normalize(await loadFixture('aetherhub.json'));
+    check('aetherhub lowercases set codes', aetherhub.cards[0].set, 'grn');
+    check('aetherhub collector numbers are strings', aetherhub.cards[0].collectorNumber, '91');
+    check('aetherhub keeps sideboard cards', sum(aetherhub.sideboard), aetherhub.sideboardCount);
+
+    const scryfall = findImporter('https://scryfall.com/@someone/decks/8b1a3f9c-2d5e-4c7a-9f1b-6e2d4a8c0b3e').importer
+        .normalize(await loadFixture('scryfall.json'));
+    check('scryfall entries carry ids', scryfall.cards[0].scryfallId, '73542493-cd0b-4bb7-a5b8-8f889c76e4d6');
+
+    const goldfish = findImporter('https://www.mtggoldfish.com/deck/5432109').importer
+        .normalize(await loadFixture('mtggoldfish.html'));
+    check('mtggoldfish decodes entities', parseDecklistText(goldfish.text).cards[4].name,
+        'Fable of the Mirror-Breaker // Reflection of Kiki-Jiki');
+}
+
+function testDeckData() {
+    console.log('\n=== Deck data ===');
+
+    // A main deck copy plus a sideboard copy toggled in are counted together
+    const negate = { name: 'Negate', type_line: 'Instant', cmc: 2, mana_cost: '{1}{U}' };
+    const deck = buildDeckData([{ count: 1, cardData: negate }, { count: 2, cardData: negate }]);
+    check('duplicate names across boards: type count', deck.instants, 3);
+    check('duplicate names across boards: cardsByName count', deck.cardsByName.Negate.count, 3);
+    check('duplicate names across boards: card details', deck.cardDetails.length, 3);
+}
+
+async function runAllTests() {
+    console.log('╔════════════════════════════════════════════════════╗');
+    console.log('║          DECK SITE IMPORTER TEST SUITE             ║');
+    console.log('╚════════════════════════════════════════════════════╝');
+
+    await testImporters();
+    testUrlMatching();
+    await testEntryDetails();
+    testDeckData();
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    if (typeof process !== 'undefined' && failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+runAllTests();
@@ -0,0 +1,137 @@
+/**
+ * Deck Storage
+ * Keeps the working session (deck state plus calculator inputs) and a library of
+ * named decks in IndexedDB. The session is a single record in the meta store;
+ * saved decks hold deck state only, so loading one keeps the calculator settings.
+ */
+
+import {
+    isIndexedDBAvailable, getRecord, getAllRecords, putRecords, deleteRecord
+} from './idb.js';
+
+const STORE = 'savedDecks';
+const SESSION_KEY = 'session';
+
+/**
+ * Generate an id for a saved deck
+ * @returns {string}
+ */
+function createDeckId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Read the session saved by the last visit
+ * @returns {Promise<Object|null>} - { deck, comparison, inputs, state, savedAt }, or null if none is stored
+ */
+export async function loadSession() {
+    if (!isIndexedDBAvailable()) return null;
+
+    try {
+        const record = await getRecord('meta', SESSION_KEY);
+        if (!record) return null;
+        return {
+            deck: record.deck,
+            comparison: record.comparison || null,
+            inputs: record.inputs || {},
+            state: record.state || {},
+            savedAt: record.savedAt
+        };
+    } catch (error) {
+        console.warn('Could not read saved session:', error);
+        return null;
+    }
+}
+
+/**
+ * Save the working session (replacing the previous one)
+ * @param {Object} session - { deck, comparison, inputs, state } - comparison is the A/B deck
+ *   ({ name, deck } or null), inputs maps element id -> value, state holds values
+ *   registered outside the DOM (see persistence.js)
+ * @returns {Promise<void>}
+ */
+export async function saveSession({ deck, comparison = null, inputs, state }) {
+    if (!isIndexedDBAvailable()) return;
+
+    try {
+        await putRecords('meta', [{ key: SESSION_KEY, deck, comparison, inputs, state, savedAt: Date.now() }]);
+    } catch (error) {
+        console.warn('Could not save session:', error);
+    }
+}
+
+/**
+ * List saved decks, most recently saved first
+ * @returns {Promise<Array<Object>>} - [{ id, name, savedAt, deck }]
+ */
+export async function listSavedDecks() {
+    if (!isIndexedDBAvailable()) return [];
+
+    const records = await getAllRecords(STORE);
+    return records.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Read one saved deck
+ * @param {string} id - Saved deck id
+ * @returns {Promise<Object|null>} - { id, name, savedAt, deck }, or null if it doesn't exist
+ */
+export async function getSavedDeck(id) {
+    if (!isIndexedDBAvailable()) return null;
+    return (await getRecord(STORE, id)) || null;
+}
+
+/**
+ * Save a deck under a name
+ * A deck with the same name (ignoring case) is replaced.
+ * @param {string} name - Deck name
+ * @param {Object} deck - Deck state (see deckConfig.getDeckConfig)
+ * @returns {Promise<Object>} - The saved record
+ */
+export async function saveDeck(name, deck) {
+    if (!isIndexedDBAvailable()) {
+        throw new Error('Saved decks need IndexedDB, which this browser does not provide');
+    }
+
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+        throw new Error('Deck name is required');
+    }
+
+    const existing = (await listSavedDecks()).find(record => record.name.toLowerCase() === trimmed.toLowerCase());
+    const record = { id: existing ? existing.id : createDeckId(), name: trimmed, savedAt: Date.now(), deck };
+    await putRecords(STORE, [record]);
+    return record;
+}
+
+/**
+ * Copy a saved deck under a new name ("Name (copy)", "Name (copy 2)", ...)
+ * @param {string} id - Saved deck id
+ * @returns {Promise<Object>} - The new record
+ */
+export async function duplicateSavedDeck(id) {
+    const original = await getSavedDeck(id);
+    if (!original) {
+        throw new Error('Saved deck not found');
+    }
+
+    const names = new Set((await listSavedDecks()).map(record => record.name.toLowerCase()));
+    let name = `${original.name} (copy)`;
+    for (let n = 2; names.has(name.toLowerCase()); n++) {
+        name = `${original.name} (copy ${n})`;
+    }
+
+    const record = { id: createDeckId(), name, savedAt: Date.now(), deck: original.deck };
+    await putRecords(STORE, [record]);
+    return record;
+}
+
+/**
+ * Delete a saved deck
+ * @param {string} id - Saved deck id
+ * @returns {Promise<void>}
+ */
+export async function deleteSavedDeck(id) {
+    if (!isIndexedDBAvailable()) return;
+    await deleteRecord(STORE, id);
+}
@@ -3,8 +3,13 @@
  * Uses Scryfall API to fetch card types
  */
 
-const SCRYFALL_API = 'https://api.scryfall.com';
-const RATE_LIMIT_DELAY = 100; // Scryfall requests 50-100ms between requests
+import { findCard, suggestNames, normalizeCardName, editDistance } from './cardDatabase.js';
+import {
+    cardCacheKey, getCachedCard, cacheCards, getStaleCacheEntries, getCachedCardNames,
+    clearPersistentCardCache
+} from './cardCache.js';
+import { scryfallFetch, fetchCollection, isAbortError, COLLECTION_LIMIT } from './scryfallScheduler.js';
+import { findImporter, getImporters } from './deckImporters.js';
 
 // Card name corrections for common issues (typos, ambiguous names, etc.)
 // Note: Don't add full double-faced names here - they're handled automatically
@@ -12,17 +17,210 @@ const CARD_NAME_CORRECTIONS = {
     'Vorinclex': 'Vorinclex, Monstrous Raider', // Disambiguate multiple printings
 };
 
-// Simple in-memory cache for card data (persists during session)
+// User-level additions to CARD_NAME_CORRECTIONS, accepted from the import diagnostics
+const USER_CORRECTIONS_STORAGE_KEY = 'card-name-corrections';
+const userCorrections = loadUserCorrections();
+
+function loadUserCorrections() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(USER_CORRECTIONS_STORAGE_KEY) : null;
+        const parsed = stored ? JSON.parse(stored) : {};
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Apply user and built-in name corrections
+ * @param {string} name - Card name as written in the decklist
+ * @returns {string} - Corrected name
+ */
+function correctCardName(name) {
+    return userCorrections[name] || CARD_NAME_CORRECTIONS[name] || name;
+}
+
+/**
+ * Remember a name fix so future imports resolve it automatically
+ * @param {string} name - Name as written in the decklist
+ * @param {string} correctedName - Card name to use instead
+ */
+export function addCardNameCorrection(name, correctedName) {
+    userCorrections[name] = correctedName;
+
+    try {
+        localStorage.setItem(USER_CORRECTIONS_STORAGE_KEY, JSON.stringify(userCorrections));
+    } catch (e) {
+        // Storage unavailable (private mode) - the fix lasts for this session only
+    }
+}
+
+/**
+ * Suggest card names for a name that couldn't be resolved
+ * Ranks cached and local bulk data names by edit distance, plus Scryfall
+ * autocomplete results when online.
+ * @param {string} name - Unresolved name
+ * @param {Object} options - { limit, signal }
+ * @returns {Promise<Array<Object>>} - [{ name, distance, source: 'local'|'scryfall' }] closest first
+ */
+export async function suggestCardNames(name, { limit = 5, signal } = {}) {
+    const query = normalizeCardName(name);
+    const maxDistance = Math.max(3, Math.floor(query.length / 3));
+    const suggestions = new Map();
+
+    const consider = (candidate, source, distance = null) => {
+        if (distance === null) {
+            const key = normalizeCardName(candidate);
+            const front = key.split(' // ')[0];
+            distance = Math.min(editDistance(query, key, maxDistance), editDistance(query, front, maxDistance));
+        }
+        // Autocomplete matches are kept even when they're far off (e.g. a partial name)
+        if (distance > maxDistance && source !== 'scryfall') return;
+
+        const existing = suggestions.get(candidate);
+        if (!existing || distance < existing.distance) {
+            suggestions.set(candidate, { name: candidate, distance, source: existing ? existing.source : source });
+        }
+    };
+
+    cardCache.forEach(card => consider(card.name, 'local'));
+    (await getCachedCardNames()).forEach(cachedName => consider(cachedName, 'local'));
+    (await suggestNames(name, { limit, maxDistance })).forEach(match => consider(match.name, 'local', match.distance));
+
+    if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+        try {
+            const response = await scryfallFetch(`/cards/autocomplete?q=${encodeURIComponent(name)}`, {}, { signal });
+            if (response.ok) {
+                const { data = [] } = await response.json();
+                data.forEach(candidate => consider(candidate, 'scryfall'));
+            }
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn(`Autocomplete failed for ${name}:`, error);
+        }
+    }
+
+    return Array.from(suggestions.values())
+        .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+
+// In-memory cache for card data (this session); backed by the persistent cache in cardCache.js.
+// Cards are stored under their name and their printing (see printingCacheKey).
 const cardCache = new Map();
 
 /**
- * Clear the card cache (useful for testing or if data becomes stale)
+ * Session cache key for a card entry, including the printing it asks for
+ * @param {Object} entry - { name, set?, collectorNumber?, scryfallId? }
+ * @returns {string} - e.g. "sol ring", "sol ring|cmm" or "sol ring|cmm/396"
  */
-export function clearCardCache() {
+function printingCacheKey({ name, set, collectorNumber, scryfallId }) {
+    const key = cardCacheKey(name);
+    if (scryfallId) return `${key}|#${scryfallId}`;
+    if (!set) return key;
+    return collectorNumber ? `${key}|${String(set).toLowerCase()}/${collectorNumber}` : `${key}|${String(set).toLowerCase()}`;
+}
+
+/**
+ * Store a card in the session cache under its name and, for Scryfall cards, its printing
+ * @param {Object} card - Card data
+ */
+function cacheInSession(card) {
+    const entry = { name: card.name, set: card.set, collectorNumber: card.collector_number };
+    cardCache.set(printingCacheKey({ name: card.name }), card);
+    if (card.set) {
+        cardCache.set(printingCacheKey({ ...entry, collectorNumber: null }), card);
+        if (card.collector_number) cardCache.set(printingCacheKey(entry), card);
+    }
+    if (card.id) cardCache.set(printingCacheKey({ name: card.name, scryfallId: card.id }), card);
+}
+
+/**
+ * Check that a cached card is the printing an entry asks for (if it asks for one)
+ * @param {Object} card - Cached card
+ * @param {Object} entry - { set?, collectorNumber?, scryfallId? }
+ * @returns {boolean}
+ */
+function matchesPrinting(card, { set, collectorNumber, scryfallId }) {
+    if (scryfallId) return card.id === scryfallId;
+    if (set && String(card.set || '').toLowerCase() !== String(set).toLowerCase()) return false;
+    if (set && collectorNumber && String(card.collector_number || '') !== String(collectorNumber)) return false;
+    return true;
+}
+
+/**
+ * Clear the card cache, in memory and in IndexedDB
+ * @returns {Promise<void>}
+ */
+export async function clearCardCache() {
     cardCache.clear();
+    await clearPersistentCardCache();
     console.log('Card cache cleared');
 }
 
+/**
+ * Re-fetch cached cards older than the cache TTL
+ * Entries that can't be fetched (e.g. while offline) stay stale and are retried next time.
+ * @param {Function} progressCallback - Called with { processed, total }
+ * @param {Object} options - { signal } to cancel the refresh
+ * @returns {Promise<Object>} - { refreshed, total }
+ */
+export async function refreshStaleCards(progressCallback = null, { signal } = {}) {
+    const stale = await getStaleCacheEntries();
+    let refreshed = 0;
+
+    for (let i = 0; i < stale.length; i += COLLECTION_LIMIT) {
+        const chunk = stale.slice(i, i + COLLECTION_LIMIT);
+        const cards = await batchFetchCards(chunk, { useCache: false, signal });
+        refreshed += cards.filter(card => card.id).length;
+
+        if (progressCallback) {
+            progressCallback({ processed: Math.min(i + COLLECTION_LIMIT, stale.length), total: stale.length });
+        }
+    }
+
+    return { refreshed, total: stale.length };
+}
+
+// Section headers used by MTG Arena, Moxfield and MTGO text exports
+const SECTION_HEADERS = {
+    deck: 'deck',
+    maindeck: 'deck',
+    mainboard: 'deck',
+    sideboard: 'sideboard',
+    commander: 'commander',
+    commanders: 'commander',
+    companion: 'companion',
+    maybeboard: 'maybeboard',
+    about: 'about'
+};
+
+// Sections that aren't part of the library (commanders start in the command zone,
+// a companion starts outside the game)
+const OUTSIDE_DECK_SECTIONS = ['commander', 'sideboard', 'companion', 'maybeboard'];
+
+// "4 Card Name", "4x Card Name", optionally followed by " (SET) 123" and foil/etched markers
+const CARD_LINE_PATTERN = /^(?:(\d+)x?\s+)?(.+?)(?:\s+\(([a-z0-9]{2,6})\)(?:\s+([^\s*]+))?)?(?:\s+\*[a-z]+\*)*$/i;
+
+/**
+ * Parse a single decklist line
+ * @param {string} line - Trimmed, non-empty line
+ * @returns {Object} - { count, name, set, collectorNumber }
+ */
+function parseCardLine(line) {
+    const match = line.match(CARD_LINE_PATTERN);
+    if (!match) {
+        return { count: 1, name: line, set: null, collectorNumber: null };
+    }
+
+    return {
+        count: match[1] ? parseInt(match[1]) : 1,
+        name: match[2].trim(),
+        set: match[3] ? match[3].toLowerCase() : null,
+        collectorNumber: match[4] || null
+    };
+}
+
 /**
  * Parse decklist text into card entries
  * Supports various formats:
@@ -30,37 +228,31 @@ export function clearCardCache() {
  * - "4x Lightning Bolt"
  * - "Lightning Bolt" (assumes 1)
  * - "1 Jace, the Mind Sculptor"
+ * - "1 Lightning Bolt (STA) 42 *F*" (MTG Arena / Moxfield, with set and collector number)
+ *
+ * Arena section headers (Deck, Sideboard, Commander, Companion) and "SIDEBOARD:"
+ * markers set the section of the lines that follow. Commanders are kept apart
+ * from the cards in the library.
  *
  * @param {string} decklistText - Raw decklist text
- * @returns {Object} - {cards: Array, hasSideboard: boolean, sideboardCount: number}
+ * @returns {Object} - {cards, commanders, sideboard, maybeboard: Array, hasSideboard: boolean, sideboardCount: number}
+ *   where each entry is {count, name, set, collectorNumber, section}
  */
 export function parseDecklistText(decklistText) {
-    // Detect sideboard marker
-    const sideboardIndex = decklistText.search(/^SIDEBOARD:?$/im);
-    const hasSideboard = sideboardIndex >= 0;
-    const maindeckText = hasSideboard ? decklistText.substring(0, sideboardIndex) : decklistText;
-    const sideboardText = hasSideboard ? decklistText.substring(sideboardIndex) : '';
-
-    // Count sideboard cards
-    let sideboardCount = 0;
-    if (hasSideboard) {
-        const sideboardLines = sideboardText.split('\n');
-        for (const line of sideboardLines) {
-            const match = line.match(/^(\d+)x?\s+/);
-            if (match) {
-                sideboardCount += parseInt(match[1]);
-            } else if (line.trim().length > 0 && !line.match(/^SIDEBOARD:?$/i)) {
-                sideboardCount += 1;
-            }
-        }
-    }
-
-    const lines = maindeckText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    const cards = [];
+    const lines = decklistText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    const entries = [];
+    let section = 'deck';
 
     for (const line of lines) {
-        // Skip section headers like "Creatures:", "Lands:", "SIDEBOARD:", etc.
-        if (line.match(/^(creatures?|lands?|spells?|artifacts?|enchantments?|planeswalkers?|battles?|commander|sideboard):?$/i)) {
+        // Section headers switch where the following cards go
+        const header = line.toLowerCase().replace(/[\s:]/g, '');
+        if (SECTION_HEADERS[header]) {
+            section = SECTION_HEADERS[header];
+            continue;
+        }
+
+        // Skip type headers like "Creatures:", "Lands:", etc.
+        if (line.match(/^(creatures?|lands?|spells?|instants?|sorcery|sorceries|artifacts?|enchantments?|planeswalkers?|battles?)(\s*\(\d+\))?:?$/i)) {
             continue;
         }
 
@@ -69,34 +261,290 @@ export function parseDecklistText(decklistText) {
             continue;
         }
 
-        // Match formats: "4 Card Name" or "4x Card Name"
-        const match = line.match(/^(\d+)x?\s+(.+)$/);
+        // Arena's About section holds deck metadata ("Name My Deck")
+        if (section === 'about') {
+            continue;
+        }
+
+        entries.push({ ...parseCardLine(line), section });
+    }
 
-        if (match) {
-            const count = parseInt(match[1]);
-            const name = match[2].trim();
-            cards.push({ count, name });
-        } else {
-            // If no count, assume 1 copy
-            if (line.length > 0) {
-                cards.push({ count: 1, name: line });
+    return groupEntries(entries);
+}
+
+/**
+ * Parse an XML deck file, throwing if it isn't well-formed
+ * @param {string} xmlText - File contents
+ * @returns {Document} - Parsed XML document
+ */
+function parseXml(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Deck file is not valid XML');
+    }
+    return doc;
+}
+
+/**
+ * Split parsed entries into library, commanders, sideboard and maybeboard
+ * Companions count towards the sideboard (that's where they live in Arena exports).
+ * @param {Array<Object>} entries - {count, name, set, collectorNumber, section}
+ * @returns {Object} - {cards, commanders, sideboard, maybeboard, hasSideboard, sideboardCount}
+ */
+function groupEntries(entries) {
+    const counted = entries.filter(entry => entry.count > 0);
+    const cards = counted.filter(entry => !OUTSIDE_DECK_SECTIONS.includes(entry.section));
+    const commanders = counted.filter(entry => entry.section === 'commander');
+    const sideboard = counted.filter(entry => entry.section === 'sideboard' || entry.section === 'companion');
+    const maybeboard = counted.filter(entry => entry.section === 'maybeboard');
+    const sideboardCount = sideboard.reduce((sum, entry) => sum + entry.count, 0);
+
+    return { cards, commanders, sideboard, maybeboard, hasSideboard: sideboard.length > 0, sideboardCount };
+}
+
+/**
+ * Parse an MTGO .dek file
+ * Each card is a <Cards Quantity="4" Sideboard="false" Name="Lightning Bolt" /> element.
+ * @param {string} xmlText - File contents
+ * @returns {Object} - Same shape as parseDecklistText
+ */
+export function parseMtgoDek(xmlText) {
+    const doc = parseXml(xmlText);
+    const entries = Array.from(doc.getElementsByTagName('Cards')).map(node => ({
+        count: parseInt(node.getAttribute('Quantity')) || 0,
+        name: (node.getAttribute('Name') || '').trim(),
+        set: null,
+        collectorNumber: null,
+        section: node.getAttribute('Sideboard') === 'true' ? 'sideboard' : 'deck'
+    }));
+
+    return groupEntries(entries.filter(entry => entry.name));
+}
+
+/**
+ * Parse a Cockatrice .cod file
+ * Cards live in <zone name="main"> and <zone name="side"> as <card number="4" name="..." />;
+ * newer versions also record setShortName and collectorNumber.
+ * @param {string} xmlText - File contents
+ * @returns {Object} - Same shape as parseDecklistText, plus deckName
+ */
+export function parseCockatriceCod(xmlText) {
+    const doc = parseXml(xmlText);
+    const entries = [];
+
+    Array.from(doc.getElementsByTagName('zone')).forEach(zone => {
+        const zoneName = zone.getAttribute('name');
+        // Tokens and other custom zones aren't part of the deck
+        if (zoneName !== 'main' && zoneName !== 'side') return;
+
+        Array.from(zone.getElementsByTagName('card')).forEach(node => {
+            const name = (node.getAttribute('name') || '').trim();
+            if (!name) return;
+
+            const set = node.getAttribute('setShortName');
+            entries.push({
+                count: parseInt(node.getAttribute('number')) || 0,
+                name,
+                set: set ? set.toLowerCase() : null,
+                collectorNumber: node.getAttribute('collectorNumber') || null,
+                section: zoneName === 'side' ? 'sideboard' : 'deck'
+            });
+        });
+    });
+
+    const deckName = doc.getElementsByTagName('deckname')[0]?.textContent.trim() || null;
+    return { ...groupEntries(entries), deckName };
+}
+
+// Header aliases for CSV exports (Deckbox, ManaBox, DragonShield, Moxfield, ...)
+// Compared after lowercasing and stripping spaces, underscores and dashes.
+const CSV_COLUMN_ALIASES = {
+    count: ['count', 'quantity', 'qty', 'amount', 'copies'],
+    name: ['name', 'cardname', 'card'],
+    set: ['setcode', 'editioncode', 'edition', 'set'],
+    collectorNumber: ['collectornumber', 'cardnumber', 'number', 'collectorno', 'cn'],
+    scryfallId: ['scryfallid'],
+    section: ['board', 'section', 'zone']
+};
+
+export const CSV_FIELDS = Object.keys(CSV_COLUMN_ALIASES);
+
+// Set columns that always hold set codes ("Edition" and "Set" may hold full set names)
+const CSV_SET_CODE_HEADERS = ['setcode', 'editioncode'];
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting)
+ * The delimiter is taken from an Excel "sep=" line if present, otherwise guessed
+ * from the header line (comma, semicolon or tab).
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, without blank lines
+ */
+export function parseCsv(text) {
+    let body = text.replace(/^\uFEFF/, '');
+    let delimiter = null;
+
+    const sepMatch = body.match(/^"?sep=(.)"?\r?\n/i);
+    if (sepMatch) {
+        delimiter = sepMatch[1];
+        body = body.slice(sepMatch[0].length);
+    } else {
+        const headerLine = body.split('\n')[0];
+        delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+            headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+        );
+    }
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+
+        if (inQuotes) {
+            if (char === '"' && body[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
             }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && body[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
         }
     }
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(value => value.length > 0));
+}
+
+/**
+ * Map CSV headers to deck fields by known aliases
+ * @param {Array<string>} headers - Header row
+ * @returns {Object|null} - { field: columnIndex } (missing fields are -1), or null if no name column
+ */
+export function detectCsvColumns(headers) {
+    const normalized = headers.map(header => header.toLowerCase().replace(/[\s_-]/g, ''));
+    const mapping = {};
+
+    CSV_FIELDS.forEach(field => {
+        const aliases = CSV_COLUMN_ALIASES[field];
+        // Prefer the earliest alias so "Name" beats "Set Name" style columns
+        const index = aliases
+            .map(alias => normalized.indexOf(alias))
+            .find(i => i !== -1);
+        mapping[field] = index === undefined ? -1 : index;
+    });
 
-    return { cards, hasSideboard, sideboardCount };
+    return mapping.name === -1 ? null : mapping;
 }
 
 /**
- * Fetch card data from Scryfall API
+ * Turn CSV rows into decklist entries using a column mapping
+ * Rows with the same printing are merged; a missing count column means one copy per row.
+ * @param {Array<Array<string>>} rows - Rows from parseCsv, header first
+ * @param {Object} mapping - { field: columnIndex } from detectCsvColumns or the mapping dialog
+ * @returns {Object} - Same shape as parseDecklistText
+ */
+export function parseCsvDeck(rows, mapping) {
+    const cell = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+    const merged = new Map();
+
+    // Other set columns are only trusted for lowercase codes ("cmm", as Moxfield
+    // exports them) - "Alpha" or "Mirage" would be sent to Scryfall as a set code
+    const setHeader = (rows[0] && mapping.set >= 0 ? rows[0][mapping.set] || '' : '')
+        .toLowerCase().replace(/[\s_-]/g, '');
+    const setCodePattern = CSV_SET_CODE_HEADERS.includes(setHeader) ? /^[a-z0-9]{2,6}$/i : /^[a-z0-9]{2,6}$/;
+
+    rows.slice(1).forEach(row => {
+        const name = cell(row, 'name');
+        if (!name) return;
+
+        const countText = cell(row, 'count');
+        const count = countText ? parseInt(countText) : 1;
+        if (!(count > 0)) return;
+
+        const setText = cell(row, 'set');
+        const set = setCodePattern.test(setText) ? setText.toLowerCase() : null;
+        const collectorNumber = set ? cell(row, 'collectorNumber') || null : null;
+        const scryfallId = cell(row, 'scryfallId') || null;
+
+        const board = cell(row, 'section').toLowerCase().replace(/[\s:]/g, '');
+        const section = SECTION_HEADERS[board] || 'deck';
+
+        const key = [name.toLowerCase(), set, collectorNumber, scryfallId, section].join('|');
+        if (merged.has(key)) {
+            merged.get(key).count += count;
+        } else {
+            merged.set(key, { count, name, set, collectorNumber, scryfallId, section });
+        }
+    });
+
+    return groupEntries(Array.from(merged.values()));
+}
+
+/**
+ * Parse a deck file by its extension
+ * .dek (MTGO) and .cod (Cockatrice) are XML, .csv uses detected (or given) columns;
+ * anything else is read as decklist text.
+ * @param {string} fileName - File name
+ * @param {string} contents - File contents
+ * @param {Object} csvMapping - Optional CSV column mapping, overrides detection
+ * @returns {Object} - Parse result with source and deckName
+ */
+export function parseDeckFile(fileName, contents, csvMapping = null) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+
+    if (extension === 'dek') {
+        return { ...parseMtgoDek(contents), source: 'MTGO', deckName: baseName };
+    }
+    if (extension === 'cod') {
+        const result = parseCockatriceCod(contents);
+        return { ...result, source: 'Cockatrice', deckName: result.deckName || baseName };
+    }
+    if (extension === 'csv') {
+        const rows = parseCsv(contents);
+        const mapping = csvMapping || detectCsvColumns(rows[0] || []);
+        if (!mapping) {
+            throw new Error('Could not find a card name column in the CSV file');
+        }
+        return { ...parseCsvDeck(rows, mapping), source: 'CSV', deckName: baseName };
+    }
+    return { ...parseDecklistText(contents), source: null, deckName: baseName };
+}
+
+/**
+ * Fetch card data, from the local bulk data if loaded, otherwise the Scryfall API
  * @param {string} cardName - Card name to search
+ * @param {Object} options - { signal } to cancel the request
  * @returns {Promise<Object|null>} - Card data or null if not found
  */
-async function fetchCardData(cardName) {
+async function fetchCardData(cardName, { signal } = {}) {
+    const localCard = await findCard(cardName);
+    if (localCard) {
+        return localCard;
+    }
+
     try {
         // Use fuzzy search endpoint for better matching
-        const url = `${SCRYFALL_API}/cards/named?fuzzy=${encodeURIComponent(cardName)}`;
-        const response = await fetch(url);
+        const response = await scryfallFetch(`/cards/named?fuzzy=${encodeURIComponent(cardName)}`, {}, { signal });
 
         if (!response.ok) {
             console.warn(`Card not found: ${cardName}`);
@@ -105,6 +553,7 @@ async function fetchCardData(cardName) {
 
         return await response.json();
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error(`Error fetching ${cardName}:`, error);
         return null;
     }
@@ -166,7 +615,7 @@ function getAllCardTypes(typeLine) {
  * @returns {Promise<Object>} - Card type counts
  */
 export async function importDecklist(decklistText, progressCallback = null) {
-    const cards = parseDecklistText(decklistText);
+    const { cards } = parseDecklistText(decklistText);
 
     if (cards.length === 0) {
         throw new Error('No cards found in decklist');
@@ -187,7 +636,7 @@ export async function importDecklist(decklistText, progressCallback = null) {
     let processed = 0;
 
     for (const { count, name } of cards) {
-        // Fetch card data with rate limiting
+        // Requests are spaced by the scheduler
         const cardData = await fetchCardData(name);
 
         if (cardData && cardData.type_line) {
@@ -207,108 +656,160 @@ export async function importDecklist(decklistText, progressCallback = null) {
                 percentage: Math.round((processed / totalCards) * 100)
             });
         }
-
-        // Rate limiting - wait between requests
-        if (processed < totalCards) {
-            await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
-        }
     }
 
     return typeCounts;
 }
 
+/**
+ * Build a Scryfall /cards/collection identifier for a card
+ * A Scryfall ID or set + collector number pins the exact printing; otherwise match by name.
+ * @param {Object} card - { name, set, collectorNumber, scryfallId }
+ * @returns {Object} - Scryfall card identifier
+ */
+function toScryfallIdentifier({ name, set, collectorNumber, scryfallId }) {
+    if (scryfallId) {
+        return { id: scryfallId };
+    }
+    if (set && collectorNumber) {
+        return { set, collector_number: collectorNumber };
+    }
+
+    // If it's a double-faced card (contains //), use front face only
+    const frontFace = name.split('//')[0].trim();
+    return set ? { name: frontFace, set } : { name: frontFace };
+}
+
 /**
  * Batch fetch cards using Scryfall collection endpoint (more efficient)
- * Uses cache to avoid re-fetching previously loaded cards
- * @param {Array<string>} cardNames - Array of card names
+ * Checks the session cache, the persistent cache and the local bulk data before
+ * going to the network; fetched cards are saved to the persistent cache.
+ * Requests go through the scheduler (COLLECTION_LIMIT identifiers each); an aborted
+ * signal rejects with an AbortError instead of falling back to local data.
+ * @param {Array<string|Object>} cards - Card names, or { name, set, collectorNumber, scryfallId } entries
+ * @param {Object} options - { useCache, signal } - useCache false always asks Scryfall (refreshing stale entries)
  * @returns {Promise<Array<Object>>} - Array of card data
  */
-export async function batchFetchCards(cardNames) {
+export async function batchFetchCards(cards, { useCache = true, signal } = {}) {
     const foundCards = [];
-    const cardsToFetch = [];
+    let remaining = cards.map(card => (typeof card === 'string' ? { name: card } : card));
 
-    // Check cache first
-    for (const name of cardNames) {
-        const frontFace = name.split('//')[0].trim();
-        const cacheKey = frontFace.toLowerCase();
+    if (useCache) {
+        const cardsToFetch = [];
 
-        if (cardCache.has(cacheKey)) {
-            foundCards.push(cardCache.get(cacheKey));
-        } else {
-            cardsToFetch.push(name);
+        // Session cache, then the persistent cache (which keeps one printing per name,
+        // so it only counts when that is the printing asked for)
+        for (const entry of remaining) {
+            const cacheKey = printingCacheKey(entry);
+
+            if (cardCache.has(cacheKey)) {
+                foundCards.push(cardCache.get(cacheKey));
+                continue;
+            }
+
+            const cachedCard = await getCachedCard(entry);
+            if (cachedCard && matchesPrinting(cachedCard, entry)) {
+                cacheInSession(cachedCard);
+                foundCards.push(cachedCard);
+            } else {
+                cardsToFetch.push(entry);
+            }
+        }
+
+        // Resolve exact and front-face names from the local bulk data before using the network
+        remaining = [];
+        for (const entry of cardsToFetch) {
+            const localCard = await findCard(entry.name, { fuzzy: false });
+            if (localCard) {
+                cacheInSession(localCard);
+                foundCards.push(localCard);
+            } else {
+                remaining.push(entry);
+            }
         }
     }
 
-    if (cardsToFetch.length === 0) {
-        // All cards were in cache!
+    if (remaining.length === 0) {
         return foundCards;
     }
 
-    // For double-faced cards, use fuzzy search instead of exact name
-    // Extract just the front face name (before //)
-    const identifiers = cardsToFetch.map(name => {
-        // If it's a double-faced card (contains //), use front face only
-        const frontFace = name.split('//')[0].trim();
-        return { name: frontFace };
+    const identifiers = remaining.map(toScryfallIdentifier);
+
+    // Printing identifiers don't carry a name, so keep one for the fuzzy retry
+    const namesByPrinting = new Map();
+    const printingKey = ({ id, set, collector_number }) => id || `${set}/${collector_number}`;
+    remaining.forEach((card, i) => {
+        if (!identifiers[i].name) namesByPrinting.set(printingKey(identifiers[i]), card.name);
     });
 
     try {
-        const response = await fetch(`${SCRYFALL_API}/cards/collection`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ identifiers })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            console.warn('Batch fetch failed:', errorData);
-            throw new Error(errorData.details || 'Batch fetch failed');
-        }
-
-        const data = await response.json();
+        const data = await fetchCollection(identifiers, { signal });
 
         // Cache and add found cards
         const fetchedCards = data.data || [];
         for (const card of fetchedCards) {
-            const cacheKey = card.name.split('//')[0].trim().toLowerCase();
-            cardCache.set(cacheKey, card);
+            cacheInSession(card);
             foundCards.push(card);
         }
+        await cacheCards(fetchedCards);
 
         // Handle not_found cards - retry with fuzzy search
         const notFoundIdentifiers = data.not_found || [];
 
         if (notFoundIdentifiers.length > 0) {
             console.log(`Retrying ${notFoundIdentifiers.length} cards with fuzzy search...`);
-            // Retry failed cards one at a time with fuzzy search (with rate limiting)
+            // Retry failed cards one at a time with fuzzy search (spaced by the scheduler)
             for (const identifier of notFoundIdentifiers) {
-                const fuzzyCard = await fetchCardData(identifier.name);
+                const name = identifier.name || namesByPrinting.get(printingKey(identifier));
+                if (!name) continue;
+
+                const fuzzyCard = await fetchCardData(name, { signal });
                 if (fuzzyCard) {
-                    const cacheKey = fuzzyCard.name.split('//')[0].trim().toLowerCase();
-                    cardCache.set(cacheKey, fuzzyCard);
+                    cacheInSession(fuzzyCard);
                     foundCards.push(fuzzyCard);
+                    // Local bulk data cards have no id and are already stored offline
+                    if (fuzzyCard.id) await cacheCards([fuzzyCard]);
                 }
-                // Rate limit fuzzy searches
-                await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
             }
         }
 
         return foundCards;
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error('Batch fetch error:', error);
-        return foundCards; // Return what we have from cache
+
+        // Offline or API failure - fall back to fuzzy matches in the local bulk data
+        for (const entry of remaining) {
+            const localCard = await findCard(entry.name);
+            if (localCard) {
+                cacheInSession(localCard);
+                foundCards.push(localCard);
+            }
+        }
+        return foundCards; // Return what we have from cache and local data
     }
 }
 
+/**
+ * Look up one card by name (e.g. to add it in the deck editor)
+ * Uses the same name corrections, caches and local bulk data as an import.
+ * @param {string} name - Card name, possibly misspelled
+ * @param {Object} options - { signal } to cancel the lookup
+ * @returns {Promise<Object|null>} - Card data, or null if no card matches
+ */
+export async function lookupCard(name, { signal } = {}) {
+    const [cardData] = await batchFetchCards([correctCardName(name.trim())], { signal });
+    return cardData && getFrontFaceData(cardData).typeLine ? cardData : null;
+}
+
 /**
  * Import decklist using batch API (faster for large lists)
  * @param {string} decklistText - Raw decklist text
  * @param {Function} progressCallback - Called with progress updates
+ * @param {Object} options - { signal } to cancel the import
  * @returns {Promise<Object>} - Card type counts with import metadata
  */
-export async function importDecklistBatch(decklistText, progressCallback = null) {
+export async function importDecklistBatch(decklistText, progressCallback = null, { signal } = {}) {
     // Stage 1: Parsing (0-10%)
     if (progressCallback) {
         progressCallback({
@@ -319,68 +820,93 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
         });
     }
 
-    const parseResult = parseDecklistText(decklistText);
-    const { cards, hasSideboard, sideboardCount } = parseResult;
+    return importParsedDecklist(parseDecklistText(decklistText), progressCallback, signal);
+}
 
-    if (cards.length === 0) {
-        throw new Error('No cards found in decklist');
+/**
+ * Import a deck file (MTGO .dek, Cockatrice .cod, CSV, or a text decklist)
+ * @param {File} file - File from a file picker or drop
+ * @param {Function} progressCallback - Called with progress updates
+ * @param {Object} options - { resolveCsvMapping(headers, rows), signal } - resolveCsvMapping is an
+ *   async callback used when CSV columns can't be detected; resolving null cancels the import
+ * @returns {Promise<Object|null>} - Card type counts with import metadata, or null if cancelled
+ */
+export async function importDeckFile(file, progressCallback = null, { resolveCsvMapping, signal } = {}) {
+    if (progressCallback) {
+        progressCallback({
+            processed: 0,
+            total: 100,
+            currentCard: `Reading ${file.name}...`,
+            percentage: 0
+        });
     }
 
-    // Create map of card names to counts (with corrections applied)
-    const cardMap = new Map();
-    cards.forEach(({ count, name }) => {
-        // Apply name corrections if available
-        const correctedName = CARD_NAME_CORRECTIONS[name] || name;
+    const contents = await file.text();
 
-        if (cardMap.has(correctedName)) {
-            cardMap.set(correctedName, cardMap.get(correctedName) + count);
-        } else {
-            cardMap.set(correctedName, count);
+    let csvMapping = null;
+    if (/\.csv$/i.test(file.name) && resolveCsvMapping) {
+        const rows = parseCsv(contents);
+        if (!detectCsvColumns(rows[0] || [])) {
+            csvMapping = await resolveCsvMapping(rows[0] || [], rows.slice(1));
+            if (!csvMapping) return null;
         }
-    });
+    }
 
-    const uniqueCards = Array.from(cardMap.keys());
+    return importParsedDecklist(parseDeckFile(file.name, contents, csvMapping), progressCallback, signal);
+}
+
+/**
+ * Look up parsed decklist entries on Scryfall and count them
+ * @param {Object} parseResult - Result of parseDecklistText or parseDeckFile
+ * @param {Function} progressCallback - Called with progress updates
+ * @param {AbortSignal} signal - Optional signal to cancel the import
+ * @returns {Promise<Object>} - Card type counts with import metadata
+ */
+async function importParsedDecklist(parseResult, progressCallback = null, signal = undefined) {
+    const { source, deckName, ...deck } = parseResult;
+    return importDeckEntries(deck, { source, deckName }, progressCallback, signal);
+}
+
+/**
+ * Look up card data for every board and count the main deck
+ * Sideboard and maybeboard cards are resolved too, so they can be toggled into
+ * the deck later (see buildDeckData) without another import.
+ * @param {Object} deck - { cards, commanders, sideboard, maybeboard } entry lists, where an entry is
+ *   { name, count, cardData?, set?, collectorNumber?, scryfallId?, tags? }
+ * @param {Object} metadata - { source, deckName }
+ * @param {Function} progressCallback - Called with progress updates
+ * @param {AbortSignal} signal - Optional signal to cancel the import
+ * @returns {Promise<Object>} - Card type counts, boardCards and import metadata
+ */
+export async function importDeckEntries(deck, { source, deckName } = {}, progressCallback = null, signal = undefined) {
+    const { cards, commanders: commanderEntries = [], sideboard = [], maybeboard = [] } = deck;
+
+    if (cards.length === 0) {
+        throw new Error('No cards found in decklist');
+    }
 
     if (progressCallback) {
         progressCallback({
             processed: 10,
             total: 100,
-            currentCard: `Found ${uniqueCards.length} unique cards`,
+            currentCard: `Found ${cards.length} cards`,
             percentage: 10
         });
     }
 
     // Stage 2: Fetching from Scryfall (10-80%)
-    const BATCH_SIZE = 50;
-    const allCardData = [];
-    const totalBatches = Math.ceil(uniqueCards.length / BATCH_SIZE);
-
-    for (let i = 0; i < uniqueCards.length; i += BATCH_SIZE) {
-        const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-        const chunk = uniqueCards.slice(i, Math.min(i + BATCH_SIZE, uniqueCards.length));
-
-        const chunkData = await batchFetchCards(chunk);
-        allCardData.push(...chunkData);
-
-        // Update progress: 10% to 80% range for fetching
-        if (progressCallback) {
-            const processedCount = Math.min(i + BATCH_SIZE, uniqueCards.length);
-            const fetchProgress = (processedCount / uniqueCards.length) * 70; // 70% of total progress
-            const totalProgress = 10 + fetchProgress; // Start at 10%
-
+    const boards = await resolveBoards({ main: cards, sideboard, maybeboard }, {
+        signal,
+        onProgress: (processed, total, batchNum, totalBatches) => {
+            if (!progressCallback) return;
             progressCallback({
-                processed: processedCount,
-                total: uniqueCards.length,
+                processed,
+                total,
                 currentCard: `Fetching batch ${batchNum}/${totalBatches} from Scryfall...`,
-                percentage: Math.round(totalProgress)
+                percentage: Math.round(10 + (processed / total) * 70)
             });
         }
-
-        // Rate limiting between batches (only if there are more batches)
-        if (i + BATCH_SIZE < uniqueCards.length) {
-            await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
-        }
-    }
+    });
 
     // Stage 3: Analyzing cards (80-90%)
     if (progressCallback) {
@@ -392,145 +918,23 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
         });
     }
 
-    // Count types
-    const typeCounts = {
-        creatures: 0,
-        instants: 0,
-        sorceries: 0,
-        artifacts: 0,
-        enchantments: 0,
-        planeswalkers: 0,
-        lands: 0,
-        battles: 0
-    };
-
-    // Store detailed card information for each non-land card
-    const cardDetails = [];
-
-    // Store card data by name (for Rashmi and other calculators)
-    const cardsByName = {};
-
-    // Track found cards
-    const foundCards = new Set();
-
-    // Track actual card count (for deck size calculation with dual-typed cards)
-    let actualCardCount = 0;
-
-    allCardData.forEach(cardData => {
-        if (cardData && cardData.name && cardData.type_line) {
-            // Try to match the card by front face name
-            const frontFace = cardData.name.split('//')[0].trim();
-
-            // Look for the card in our map by trying different name variations
-            let count = 0;
-            let matchedKey = null;
-
-            // Try exact match first
-            if (cardMap.has(cardData.name)) {
-                count = cardMap.get(cardData.name);
-                matchedKey = cardData.name;
-            } else {
-                // Try to find by front face name
-                for (const [key, value] of cardMap.entries()) {
-                    const keyFrontFace = key.split('//')[0].trim();
-                    if (keyFrontFace === frontFace || key === frontFace) {
-                        count = value;
-                        matchedKey = key;
-                        break;
-                    }
-                }
-            }
-
-            if (count > 0 && matchedKey) {
-                // For dual-faced cards, use front face data only
-                let typeLine, cmc, power;
-
-                if (cardData.card_faces && cardData.card_faces.length > 0) {
-                    // Dual-faced card - use front face (index 0)
-                    const frontFace = cardData.card_faces[0];
-                    typeLine = frontFace.type_line;
-                    cmc = frontFace.cmc !== undefined ? frontFace.cmc : cardData.cmc;
-                    power = frontFace.power;
-                } else {
-                    // Normal single-faced card
-                    typeLine = cardData.type_line;
-                    cmc = cardData.cmc;
-                    power = cardData.power;
-                }
-
-                // Get all type categories for dual-typed cards (e.g., "Artifact Creature")
-                const allCategories = getAllCardTypes(typeLine);
-                const primaryCategory = allCategories[0]; // First category is primary
-
-                // Add count to ALL applicable categories
-                allCategories.forEach(category => {
-                    typeCounts[category] += count;
-                });
-
-                // Track actual card count (only count each card once for deck size)
-                actualCardCount += count;
-
-                foundCards.add(matchedKey);
-
-                // Store card data by name for detailed lookups
-                cardsByName[cardData.name] = {
-                    name: cardData.name,
-                    type_line: typeLine,
-                    cmc: cmc,
-                    mana_cost: cardData.mana_cost || '',
-                    power: power,
-                    category: primaryCategory,
-                    allCategories: allCategories, // Store all categories
-                    count: count
-                };
-
-                // Store detailed card info for non-lands
-                if (primaryCategory !== 'lands' && cmc !== undefined) {
-                    // Parse power (handle *, 1+*, X, etc.) for legacy/simple check, but store raw too
-                    let powerNum = null;
-                    if (allCategories.includes('creatures') && power !== undefined && power !== null) {
-                        const pStr = String(power);
-                        if (!pStr.includes('*') && !pStr.includes('X') && !isNaN(parseInt(pStr))) {
-                            powerNum = parseInt(pStr);
-                        }
-                    }
-
-                    // Add one entry for each copy of the card
-                    for (let i = 0; i < count; i++) {
-                        cardDetails.push({
-                            name: cardData.name,
-                            cmc: cmc,
-                            type: primaryCategory,
-                            allTypes: allCategories,
-                            power: power, // Store raw power (e.g. "*", "5")
-                            isPower5Plus: powerNum !== null && powerNum >= 5
-                        });
-                    }
-                }
-            }
-        }
-    });
+    const deckData = buildDeckData(boards.main.cards);
 
     // Track missing cards with details
-    const missingCards = uniqueCards.filter(name => !foundCards.has(name));
-    const missingCardDetails = missingCards.map(name => ({
-        name,
-        count: cardMap.get(name) || 0
-    }));
-    const missingCardCount = missingCardDetails.reduce((sum, card) => sum + card.count, 0);
+    const missingCards = boards.main.missing;
+    const missingCardCount = missingCards.reduce((sum, card) => sum + card.count, 0);
+    const totalExpected = deckData.actualCardCount + missingCardCount;
 
     if (missingCards.length > 0) {
-        console.warn('Cards not found in Scryfall:', missingCards);
+        console.warn('Cards not found in Scryfall:', missingCards.map(card => card.name));
         console.warn(`Missing ${missingCards.length} unique cards totaling ${missingCardCount} cards`);
     }
 
-    // Log summary
-    const totalFound = Object.values(typeCounts).reduce((sum, count) => sum + count, 0);
-    const totalExpected = Array.from(cardMap.values()).reduce((sum, count) => sum + count, 0);
-    console.log(`Found ${totalFound}/${totalExpected} cards (${foundCards.size}/${uniqueCards.length} unique)`);
-    console.log(`Card details: ${cardDetails.length} non-land cards with full CMC/power data`);
+    console.log(`Found ${deckData.actualCardCount}/${totalExpected} cards`);
+    console.log(`Card details: ${deckData.cardDetails.length} non-land cards with full CMC/power data`);
+    console.log('Creatures with power 5+:', deckData.creaturesPower5Plus);
 
-    // Stage 4: Calculating statistics (90-95%)
+    // Stage 4: Commanders are looked up on their own so they stay out of the library counts (90-95%)
     if (progressCallback) {
         progressCallback({
             processed: 90,
@@ -540,9 +944,10 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
         });
     }
 
-    // Calculate summary stats from card details
-    const creaturesPower5Plus = cardDetails.filter(c => c.isPower5Plus).length;
-    console.log('Creatures with power 5+:', creaturesPower5Plus);
+    const commanders = await resolveCommanders(commanderEntries.map(entry => ({
+        ...entry,
+        name: correctCardName(entry.name)
+    })), signal);
 
     // Stage 5: Finalizing (95-100%)
     if (progressCallback) {
@@ -554,25 +959,136 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
         });
     }
 
+    // Every resolved card with its board, for sideboard/maybeboard what-ifs
+    const boardCards = ['main', 'sideboard', 'maybeboard'].flatMap(board =>
+        boards[board].cards.map(({ name, count, cardData, tags }) => ({ name, count, board, cardData, tags })));
+    const sideboardCount = sideboard.reduce((sum, entry) => sum + entry.count, 0);
+
     return {
-        ...typeCounts,
-        actualCardCount,  // Actual deck size (for dual-typed cards)
-        cardDetails,  // Full card-level data
-        cardsByName,  // Card data indexed by name
-        creaturesPower5Plus,
+        ...deckData,
+        commanders,  // Command zone cards (not in the library)
+        boardCards,
         // Import metadata
         importMetadata: {
-            hasSideboard,
+            hasSideboard: sideboardCount > 0,
             sideboardCount,
-            missingCards: missingCardDetails,
+            maybeboardCount: maybeboard.reduce((sum, entry) => sum + entry.count, 0),
+            missingCards,
             missingCardCount,
             totalCardsAttempted: totalExpected,
-            totalCardsImported: actualCardCount  // Use actual count
+            totalCardsImported: deckData.actualCardCount,
+            ...(source ? { source } : {}),
+            ...(deckName ? { deckName } : {})
         }
     };
 }
 
-// ==================== WEB IMPORT (Moxfield & Archidekt) ====================
+/**
+ * Check whether an entry carries card data we can count without a lookup
+ * @param {Object} entry - Decklist entry
+ * @returns {boolean}
+ */
+function hasUsableCardData(entry) {
+    return Boolean(entry.cardData && getFrontFaceData(entry.cardData).typeLine);
+}
+
+/**
+ * Resolve the entries of several boards, fetching each unique name once
+ * Names are matched by front face; repeated names within a board are merged
+ * (with the union of their tags).
+ * @param {Object} boards - Map of board -> entries
+ * @param {Object} options - { onProgress(processed, total, batchNum, totalBatches), signal }
+ * @returns {Promise<Object>} - Map of board -> { cards: [{ name, count, cardData, tags }], missing: [{ name, count }] }
+ */
+async function resolveBoards(boards, { onProgress, signal } = {}) {
+    // One lookup per name (with the first printing listed for it, if any)
+    const lookups = new Map();
+    Object.values(boards).flat().forEach(entry => {
+        if (hasUsableCardData(entry)) return;
+        const name = correctCardName(entry.name);
+        const key = cardCacheKey(name);
+        const lookup = lookups.get(key);
+        if (!lookup) {
+            lookups.set(key, { name, set: entry.set, collectorNumber: entry.collectorNumber, scryfallId: entry.scryfallId });
+        } else if (!lookup.set && !lookup.scryfallId && (entry.set || entry.scryfallId)) {
+            Object.assign(lookup, { set: entry.set, collectorNumber: entry.collectorNumber, scryfallId: entry.scryfallId });
+        }
+    });
+
+    const pending = Array.from(lookups.values());
+    const totalBatches = Math.ceil(pending.length / COLLECTION_LIMIT);
+    const found = new Map();
+
+    for (let i = 0; i < pending.length; i += COLLECTION_LIMIT) {
+        const fetched = await batchFetchCards(pending.slice(i, i + COLLECTION_LIMIT), { signal });
+        fetched.forEach(cardData => {
+            if (cardData && cardData.name) found.set(cardCacheKey(cardData.name), cardData);
+        });
+
+        if (onProgress) {
+            onProgress(Math.min(i + COLLECTION_LIMIT, pending.length), pending.length, i / COLLECTION_LIMIT + 1, totalBatches);
+        }
+    }
+
+    const result = {};
+    Object.entries(boards).forEach(([board, entries]) => {
+        const cards = new Map();
+        const missing = new Map();
+
+        entries.forEach(entry => {
+            const correctedName = correctCardName(entry.name);
+            const cardData = hasUsableCardData(entry) ? entry.cardData : found.get(cardCacheKey(correctedName));
+            const name = cardData ? cardData.name : correctedName;
+            const target = cardData ? cards : missing;
+
+            if (target.has(name)) {
+                const merged = target.get(name);
+                merged.count += entry.count;
+                if (cardData && entry.tags) merged.tags = Array.from(new Set([...merged.tags, ...entry.tags]));
+            } else {
+                target.set(name, cardData
+                    ? { name, count: entry.count, cardData, tags: entry.tags ? [...entry.tags] : [] }
+                    : { name, count: entry.count });
+            }
+        });
+
+        result[board] = { cards: Array.from(cards.values()), missing: Array.from(missing.values()) };
+    });
+
+    return result;
+}
+
+/**
+ * Build the deck fields the calculators use from resolved cards
+ * Used after an import and whenever sideboard/maybeboard cards are toggled in or out.
+ * @param {Array<Object>} cards - [{ count, cardData }]
+ * @returns {Object} - Type counts plus actualCardCount, cardDetails, cardsByName and creaturesPower5Plus
+ */
+export function buildDeckData(cards) {
+    const typeCounts = { creatures: 0, instants: 0, sorceries: 0, artifacts: 0, enchantments: 0, planeswalkers: 0, lands: 0, battles: 0 };
+    // Detailed card information for each non-land card
+    const cardDetails = [];
+    // Card data by name (for Rashmi and other calculators)
+    const cardsByName = {};
+    // Actual card count (for deck size calculation with dual-typed cards)
+    let actualCardCount = 0;
+
+    cards.forEach(({ count, cardData }) => {
+        if (processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName)) {
+            actualCardCount += count;
+        }
+    });
+
+    return {
+        ...typeCounts,
+        actualCardCount,
+        cardDetails,
+        cardsByName,
+        creaturesPower5Plus: cardDetails.filter(c => c.isPower5Plus).length
+    };
+}
+
+// ==================== WEB IMPORT (deck sites, see deckImporters.js) ====================
 
 // TODO: Deploy the Cloudflare Worker in the /serverless folder and add its URL here.
 // Example: 'https://mtgcalcs-proxy.yourname.workers.dev'
@@ -585,55 +1101,37 @@ const CORS_PROXIES = [
 ];
 
 /**
- * Identify URL type and extract ID
- * @param {string} input - URL or ID
- * @returns {Object} - { type: 'moxfield'|'archidekt'|null, id: string }
+ * Read a response body as JSON or text
+ * @param {Response} response - Fetch response
+ * @param {string} responseType - 'json' or 'text'
+ * @returns {Promise<*>}
  */
-function parseImportInput(input) {
-    const trimmed = input.trim();
-
-    // Moxfield Patterns
-    const moxfieldPatterns = [
-        /moxfield\.com\/decks\/([a-zA-Z0-9_-]+)/,
-        /^([a-zA-Z0-9_-]{10,})$/ // Assume generic long ID is Moxfield for now, or check length
-    ];
-
-    for (const pattern of moxfieldPatterns) {
-        const match = trimmed.match(pattern);
-        if (match) return { type: 'moxfield', id: match[1] };
-    }
-
-    // Archidekt Patterns
-    // https://archidekt.com/decks/123456/name
-    // https://archidekt.com/decks/123456
-    const archidektPatterns = [
-        /archidekt\.com\/decks\/(\d+)/
-    ];
-
-    for (const pattern of archidektPatterns) {
-        const match = trimmed.match(pattern);
-        if (match) return { type: 'archidekt', id: match[1] };
-    }
-
-    return { type: null, id: null };
+function readResponse(response, responseType) {
+    return responseType === 'text' ? response.text() : response.json();
 }
 
 /**
  * Fetch URL using CORS proxies with fallback
+ * An aborted signal stops the fallback chain.
+ * @param {string} url - Target URL
+ * @param {Object} options - { responseType: 'json'|'text', signal }
+ * @param {number} proxyIndex - Public proxy to try next
+ * @returns {Promise<*>} - Parsed JSON or text
  */
-async function fetchWithProxy(url, proxyIndex = 0) {
+async function fetchWithProxy(url, { responseType = 'json', signal } = {}, proxyIndex = 0) {
     // Priority: Use secure custom proxy if configured
-    if (CUSTOM_PROXY_URL) {
+    if (CUSTOM_PROXY_URL && proxyIndex === 0) {
         try {
             const proxyUrl = `${CUSTOM_PROXY_URL}?url=${encodeURIComponent(url)}`;
-            const response = await fetch(proxyUrl);
+            const response = await fetch(proxyUrl, { signal });
             if (!response.ok) {
                 // If custom proxy fails, fall back to public ones (though they might not work for Moxfield)
                 console.warn('Custom proxy failed, trying public proxies...');
                 throw new Error(`HTTP ${response.status}`);
             }
-            return await response.json();
+            return await readResponse(response, responseType);
         } catch (error) {
+            if (isAbortError(error)) throw error;
             console.error('Custom proxy error:', error);
             // Fall through to public proxies
         }
@@ -647,26 +1145,28 @@ async function fetchWithProxy(url, proxyIndex = 0) {
     const proxyUrl = proxyBase + encodeURIComponent(url);
 
     try {
-        const response = await fetch(proxyUrl);
+        const response = await fetch(proxyUrl, { signal });
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}`);
         }
-        return await response.json();
+        return await readResponse(response, responseType);
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.warn(`Proxy ${proxyIndex} (${proxyBase}) failed:`, error);
-        return fetchWithProxy(url, proxyIndex + 1);
+        return fetchWithProxy(url, { responseType, signal }, proxyIndex + 1);
     }
 }
 
 /**
- * Process a generic card entry (from API) into our deck format
+ * Read the front-face type line, mana value and power of a card from any API
+ * @param {Object} cardData - Card from Scryfall, Moxfield or Archidekt
+ * @returns {Object} - { typeLine, cmc, power } (typeLine is undefined if unknown)
  */
-function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName) {
+function getFrontFaceData(cardData) {
     // Robustly get type_line, checking for snake_case, camelCase, and DFCs
     let typeLine = cardData.type_line || cardData.typeLine;
     let cmc = cardData.cmc;
     let power = cardData.power;
-    const name = cardData.name;
 
     // DFC handling
     if (cardData.card_faces && cardData.card_faces.length > 0) {
@@ -690,6 +1190,81 @@ function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName)
         }
     }
 
+    return { typeLine, cmc, power };
+}
+
+// Color names used by Archidekt, mapped to Scryfall color letters
+const COLOR_LETTERS = { white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G' };
+const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+
+/**
+ * Normalize a color identity to Scryfall letters in WUBRG order
+ * @param {Array<string>} colors - e.g. ['G', 'W'] or ['Green', 'White']
+ * @returns {Array<string>} - e.g. ['W', 'G']
+ */
+function normalizeColorIdentity(colors = []) {
+    const letters = colors.map(color => COLOR_LETTERS[String(color).toLowerCase()] || String(color).toUpperCase());
+    return COLOR_ORDER.filter(letter => letters.includes(letter));
+}
+
+/**
+ * Convert a card from any API into a commander record
+ * @param {Object} cardData - Card from Scryfall, Moxfield or Archidekt
+ * @returns {Object|null} - { name, type_line, cmc, mana_cost, power, color_identity }, or null if incomplete
+ */
+function toCommander(cardData) {
+    const { typeLine, cmc, power } = getFrontFaceData(cardData);
+    const colorIdentity = cardData.color_identity || cardData.colorIdentity;
+    if (!typeLine || cmc === undefined || !colorIdentity) return null;
+
+    return {
+        name: cardData.name,
+        type_line: typeLine,
+        cmc: cmc,
+        mana_cost: cardData.mana_cost || cardData.manaCost || '',
+        power: power,
+        color_identity: normalizeColorIdentity(colorIdentity)
+    };
+}
+
+/**
+ * Build commander records, looking up any that the source API left incomplete
+ * @param {Array<Object>} entries - [{ name, cardData?, set?, collectorNumber? }]
+ * @param {AbortSignal} signal - Optional signal to cancel the lookup
+ * @returns {Promise<Array<Object>>} - Commander records (partners and backgrounds included)
+ */
+async function resolveCommanders(entries, signal = undefined) {
+    const commanders = [];
+    const toFetch = [];
+
+    entries.forEach(entry => {
+        const commander = entry.cardData ? toCommander(entry.cardData) : null;
+        if (commander) {
+            commanders.push(commander);
+        } else {
+            toFetch.push(entry);
+        }
+    });
+
+    if (toFetch.length > 0) {
+        const fetched = await batchFetchCards(toFetch.map(({ name, set, collectorNumber, scryfallId }) =>
+            ({ name, set, collectorNumber, scryfallId })), { signal });
+        fetched.forEach(cardData => {
+            const commander = toCommander(cardData);
+            if (commander) commanders.push(commander);
+        });
+    }
+
+    return commanders;
+}
+
+/**
+ * Process a generic card entry (from API) into our deck format
+ */
+function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName) {
+    const { typeLine, cmc, power } = getFrontFaceData(cardData);
+    const name = cardData.name;
+
     if (!typeLine) {
         // Return false to indicate failure -> trigger Scryfall fetch
         return false;
@@ -704,17 +1279,21 @@ function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName)
         typeCounts[cat] = (typeCounts[cat] || 0) + count;
     });
 
-    // Store data
-    cardsByName[name] = {
-        name: name,
-        type_line: safeTypeLine,
-        cmc: cmc,
-        mana_cost: cardData.mana_cost,
-        power: power,
-        category: primaryCategory,
-        allCategories: allCategories,
-        count: count
-    };
+    // Store data (a card can appear in more than one included board, e.g. main and a toggled-in sideboard copy)
+    if (cardsByName[name]) {
+        cardsByName[name].count += count;
+    } else {
+        cardsByName[name] = {
+            name: name,
+            type_line: safeTypeLine,
+            cmc: cmc,
+            mana_cost: cardData.mana_cost || cardData.manaCost || '',
+            power: power,
+            category: primaryCategory,
+            allCategories: allCategories,
+            count: count
+        };
+    }
 
     // Detailed info for non-lands
     if (primaryCategory !== 'lands' && cmc !== undefined) {
@@ -741,155 +1320,50 @@ function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName)
     return true;
 }
 
-/**
- * Import from Moxfield
- */
-async function importFromMoxfieldInternal(deckId, progressCallback) {
-    if (progressCallback) progressCallback({ processed: 10, total: 100, percentage: 10, currentCard: 'Fetching from Moxfield...' });
-
-    const apiUrl = `https://api2.moxfield.com/v3/decks/all/${deckId}`;
-    const data = await fetchWithProxy(apiUrl);
-
-    if (progressCallback) progressCallback({ processed: 50, total: 100, percentage: 50, currentCard: 'Processing card data...' });
-
-    const typeCounts = { creatures: 0, instants: 0, sorceries: 0, artifacts: 0, enchantments: 0, planeswalkers: 0, lands: 0, battles: 0 };
-    const cardDetails = [];
-    const cardsByName = {};
-    const cardsToFetch = [];
-    let actualCardCount = 0;
-
-    // Process mainboard
-    if (data.boards?.mainboard?.cards) {
-        Object.values(data.boards.mainboard.cards).forEach(entry => {
-            if (entry.card) {
-                const count = entry.quantity || 1;
-                actualCardCount += count;
-                const success = processCardEntry(entry.card, count, typeCounts, cardDetails, cardsByName);
-                if (!success) {
-                    cardsToFetch.push({ name: entry.card.name, count });
-                }
-            }
-        });
-    }
-    
-    // Retry failed cards via Scryfall
-    if (cardsToFetch.length > 0) {
-        console.log(`Fetching ${cardsToFetch.length} incomplete cards from Scryfall...`);
-        const names = cardsToFetch.map(c => c.name);
-        const fetchedCards = await batchFetchCards(names);
-        
-        // Map fetched cards back to counts (since batchFetch returns unique cards)
-        fetchedCards.forEach(cardData => {
-            // Find count(s) for this card
-            const entries = cardsToFetch.filter(c => c.name === cardData.name); // Simple match
-            entries.forEach(entry => {
-                processCardEntry(cardData, entry.count, typeCounts, cardDetails, cardsByName);
-            });
-        });
-    }
-
-    return { typeCounts, actualCardCount, cardDetails, cardsByName, deckName: data.name };
-}
-
-/**
- * Import from Archidekt
- */
-async function importFromArchidektInternal(deckId, progressCallback) {
-    if (progressCallback) progressCallback({ processed: 10, total: 100, percentage: 10, currentCard: 'Fetching from Archidekt...' });
-
-    const apiUrl = `https://archidekt.com/api/decks/${deckId}/`;
-    const data = await fetchWithProxy(apiUrl);
-
-    if (progressCallback) progressCallback({ processed: 50, total: 100, percentage: 50, currentCard: 'Processing card data...' });
-
-    const typeCounts = { creatures: 0, instants: 0, sorceries: 0, artifacts: 0, enchantments: 0, planeswalkers: 0, lands: 0, battles: 0 };
-    const cardDetails = [];
-    const cardsByName = {};
-    const cardsToFetch = [];
-    let actualCardCount = 0;
-
-    if (data.cards) {
-        data.cards.forEach(entry => {
-            const categories = entry.categories || [];
-            if (categories.includes('Sideboard') || categories.includes('Maybeboard') || categories.includes('Commander')) {
-                return;
-            }
-
-            const cardData = entry.card ? (entry.card.oracleCard || entry.card) : null;
-            if (cardData) {
-                const count = entry.quantity || 1;
-                actualCardCount += count;
-                const success = processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName);
-                if (!success) {
-                    cardsToFetch.push({ name: cardData.name, count });
-                }
-            }
-        });
-    }
-    
-    // Retry failed cards via Scryfall
-    if (cardsToFetch.length > 0) {
-        if (progressCallback) progressCallback({ processed: 70, total: 100, percentage: 70, currentCard: `Fetching ${cardsToFetch.length} missing cards from Scryfall...` });
-        
-        // Batch fetch in chunks if needed (batchFetch handles some, but let's just pass all)
-        // Note: batchFetchCards takes array of strings (names)
-        const uniqueNames = [...new Set(cardsToFetch.map(c => c.name))];
-        const fetchedCards = await batchFetchCards(uniqueNames);
-        
-        // Process fetched cards
-        fetchedCards.forEach(cardData => {
-            // Find all entries matching this card name
-            const matchingEntries = cardsToFetch.filter(c => c.name === cardData.name); // Exact match logic from batchFetch
-            matchingEntries.forEach(entry => {
-                processCardEntry(cardData, entry.count, typeCounts, cardDetails, cardsByName);
-            });
-        });
-    }
-
-    return { typeCounts, actualCardCount, cardDetails, cardsByName, deckName: data.name };
-}
-
 /**
  * Main Import Function (Dispatcher)
+ * Finds the site importer for the URL, fetches the deck and counts it.
  * @param {string} input - URL or ID
  * @param {Function} progressCallback - Callback
+ * @param {Object} options - { signal } to cancel the import
  */
-export async function importDeckFromUrl(input, progressCallback = null) {
+export async function importDeckFromUrl(input, progressCallback = null, { signal } = {}) {
     if (progressCallback) progressCallback({ processed: 0, total: 100, percentage: 0, currentCard: 'Initializing...' });
 
-    const { type, id } = parseImportInput(input);
+    const match = findImporter(input);
 
-    if (!type) {
-        throw new Error('Invalid URL or ID. Supports Moxfield and Archidekt.');
+    if (!match) {
+        const sites = getImporters().map(importer => importer.name).join(', ');
+        throw new Error(`Invalid URL or ID. Supports ${sites}.`);
     }
 
-    let result;
-    if (type === 'moxfield') {
-        result = await importFromMoxfieldInternal(id, progressCallback);
-    } else if (type === 'archidekt') {
-        result = await importFromArchidektInternal(id, progressCallback);
+    const { importer, id } = match;
+    const apiUrl = importer.apiUrl(id);
+
+    if (progressCallback) progressCallback({ processed: 5, total: 100, percentage: 5, currentCard: `Fetching from ${importer.name}...` });
+
+    let response;
+    if (importer.scryfallApi) {
+        const apiResponse = await scryfallFetch(apiUrl, {}, { signal });
+        if (!apiResponse.ok) {
+            throw new Error(`${importer.name} returned HTTP ${apiResponse.status}`);
+        }
+        response = await readResponse(apiResponse, importer.responseType);
+    } else {
+        response = await fetchWithProxy(apiUrl, { responseType: importer.responseType, signal });
     }
 
-    if (progressCallback) progressCallback({ processed: 100, total: 100, percentage: 100, currentCard: 'Done!' });
+    const deck = importer.normalize(response, id);
+    const metadata = { source: importer.name, deckName: deck.deckName };
 
-    const creaturesPower5Plus = result.cardDetails.filter(c => c.isPower5Plus).length;
+    // Plain text decklists are parsed like a pasted list
+    const result = typeof deck.text === 'string'
+        ? await importDeckEntries(parseDecklistText(deck.text), metadata, progressCallback, signal)
+        : await importDeckEntries(deck, metadata, progressCallback, signal);
 
-    return {
-        ...result.typeCounts,
-        actualCardCount: result.actualCardCount,
-        cardDetails: result.cardDetails,
-        cardsByName: result.cardsByName,
-        creaturesPower5Plus,
-        importMetadata: {
-            hasSideboard: false, 
-            sideboardCount: 0,
-            missingCardCount: 0,
-            totalCardsAttempted: result.actualCardCount,
-            totalCardsImported: result.actualCardCount,
-            source: type.charAt(0).toUpperCase() + type.slice(1),
-            deckName: result.deckName
-        }
-    };
+    if (progressCallback) progressCallback({ processed: 100, total: 100, percentage: 100, currentCard: 'Done!' });
+
+    return result;
 }
 
 // Legacy export alias for backward compatibility (if needed)
@@ -0,0 +1,61 @@
+/**
+ * Record Importer Fixtures
+ * Fetches a deck from its site's API through the importer registry and saves the
+ * raw response as that importer's fixture, so deckImporters.test.js runs against
+ * what the site actually returns. Trim large responses by hand afterwards (keep
+ * the fields' shapes) and update the expected values in deckImporters.test.js.
+ * Run with: node js/utils/fixtures/importers/record.js <deck URL> [<deck URL> ...]
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { findImporter } from '../../deckImporters.js';
+
+/**
+ * Pick the fixture file for a response
+ * @param {Object} importer - Importer from the registry
+ * @param {string} contentType - Response Content-Type header
+ * @returns {string} - e.g. "moxfield.json", "mtggoldfish.html"
+ */
+function fixtureName(importer, contentType) {
+    if (importer.responseType === 'json') return `${importer.id}.json`;
+    return `${importer.id}.${/html/i.test(contentType) ? 'html' : 'txt'}`;
+}
+
+async function record(url) {
+    const match = findImporter(url);
+    if (!match) {
+        throw new Error(`No importer matches ${url}`);
+    }
+
+    const { importer, id } = match;
+    const response = await fetch(importer.apiUrl(id), { headers: { Accept: 'application/json, text/html, text/plain' } });
+    if (!response.ok) {
+        throw new Error(`${importer.name} returned HTTP ${response.status}`);
+    }
+
+    const fileName = fixtureName(importer, response.headers.get('content-type') || '');
+    let contents = await response.text();
+    if (importer.responseType === 'json') {
+        contents = `${JSON.stringify(JSON.parse(contents), null, 2)}\n`;
+    }
+
+    // Check the recording still normalizes before saving it
+    const deck = importer.normalize(importer.responseType === 'json' ? JSON.parse(contents) : contents, id);
+    await writeFile(new URL(`./${fileName}`, import.meta.url), contents);
+    console.log(`  ✓ ${fileName} (${deck.deckName || 'unnamed deck'})`);
+}
+
+const urls = process.argv.slice(2);
+if (urls.length === 0) {
+    console.log('Usage: node js/utils/fixtures/importers/record.js <deck URL> [<deck URL> ...]');
+    process.exitCode = 1;
+}
+
+for (const url of urls) {
+    try {
+        await record(url);
+    } catch (error) {
+        console.log(`  ✗ ${url}: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
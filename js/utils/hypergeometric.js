@@ -46,6 +46,312 @@ export function choose(n, k) {
     return result;
 }
 
+const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993,
+    676.5203681218851,
+    -1259.1392167224028,
+    771.32342877765313,
+    -176.61502916214059,
+    12.507343278686905,
+    -0.13857109526572012,
+    9.9843695780195716e-6,
+    1.5056327351493116e-7
+];
+
+/**
+ * Natural log of the gamma function (Lanczos approximation, g=7, n=9)
+ * Accurate to ~15 significant digits for positive arguments.
+ * @param {number} z - Argument (> 0)
+ * @returns {number} - ln(Γ(z))
+ */
+export function logGamma(z) {
+    if (z < 0.5) {
+        // Reflection formula: Γ(z)Γ(1-z) = π / sin(πz)
+        return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * z))) - logGamma(1 - z);
+    }
+
+    z -= 1;
+    let x = LANCZOS_COEFFICIENTS[0];
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+        x += LANCZOS_COEFFICIENTS[i] / (z + i);
+    }
+
+    const t = z + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+}
+
+/**
+ * Log-factorials, summed exactly for small n and via log-gamma beyond
+ */
+const LOG_FACTORIAL_TABLE_SIZE = 512;
+const logFactorialTable = new Float64Array(LOG_FACTORIAL_TABLE_SIZE);
+for (let i = 2; i < LOG_FACTORIAL_TABLE_SIZE; i++) {
+    logFactorialTable[i] = logFactorialTable[i - 1] + Math.log(i);
+}
+
+export function logFactorial(n) {
+    if (n < 0) return -Infinity;
+    if (n < LOG_FACTORIAL_TABLE_SIZE) return logFactorialTable[n];
+    return logGamma(n + 1);
+}
+
+/**
+ * Log of the binomial coefficient ln(n choose k)
+ * Stays finite for pool sizes where choose() would lose precision or overflow.
+ * @param {number} n - Total items
+ * @param {number} k - Items to choose
+ * @returns {number} - ln(C(n, k)), or -Infinity when C(n, k) is 0
+ */
+export function logChoose(n, k) {
+    if (k < 0 || k > n) return -Infinity;
+    if (k === 0 || k === n) return 0;
+    return logFactorial(n) - logFactorial(k) - logFactorial(n - k);
+}
+
+/**
+ * Multivariate hypergeometric probability - exactly drawn[i] of each category
+ * Cards not covered by any category are treated as one implicit "others" category.
+ *
+ * @param {number} allTotal - Total cards in population
+ * @param {Array<number>} counts - Cards in population for each category
+ * @param {number} allDrawn - Cards drawn
+ * @param {Array<number>} drawn - Cards drawn from each category
+ * @returns {number} - Probability of exactly that draw
+ */
+export function drawMultiType(allTotal, counts, allDrawn, drawn) {
+    let countsTotal = 0;
+    let drawnTotal = 0;
+    let logNumerator = 0;
+
+    for (let i = 0; i < counts.length; i++) {
+        if (drawn[i] < 0 || drawn[i] > counts[i]) return 0;
+        countsTotal += counts[i];
+        drawnTotal += drawn[i];
+        logNumerator += logChoose(counts[i], drawn[i]);
+    }
+
+    const othersTotal = allTotal - countsTotal;
+    const othersDrawn = allDrawn - drawnTotal;
+    if (othersDrawn < 0 || othersDrawn > othersTotal) return 0;
+
+    logNumerator += logChoose(othersTotal, othersDrawn);
+    return Math.exp(logNumerator - logChoose(allTotal, allDrawn));
+}
+
+/**
+ * Memoized results for drawMultiTypeMin, oldest entries evicted first
+ */
+const MIN_DRAW_CACHE_SIZE = 500;
+const minDrawCache = new Map();
+
+/**
+ * Multivariate hypergeometric probability - at least minDrawn[i] of each category
+ *
+ * Dynamic programming over categories: dp[j] holds the (scaled) number of ways
+ * to draw j cards from the categories processed so far while meeting each
+ * minimum. Runs in O(categories × allDrawn²) instead of enumerating every
+ * combination, so extra categories no longer multiply the work.
+ *
+ * @param {number} allTotal - Total cards in population
+ * @param {Array<number>} counts - Cards in population for each category
+ * @param {number} allDrawn - Cards drawn
+ * @param {Array<number>} minDrawn - Minimum cards needed from each category
+ * @returns {number} - Probability of meeting every minimum
+ */
+export function drawMultiTypeMin(allTotal, counts, allDrawn, minDrawn) {
+    const key = `${allTotal}|${allDrawn}|${counts.join(',')}|${minDrawn.join(',')}`;
+    if (minDrawCache.has(key)) {
+        return minDrawCache.get(key);
+    }
+
+    const result = solveMultiTypeMin(allTotal, counts, allDrawn, minDrawn);
+
+    if (minDrawCache.size >= MIN_DRAW_CACHE_SIZE) {
+        minDrawCache.delete(minDrawCache.keys().next().value);
+    }
+    minDrawCache.set(key, result);
+    return result;
+}
+
+function solveMultiTypeMin(allTotal, counts, allDrawn, minDrawn) {
+    let countsTotal = 0;
+    let minTotal = 0;
+    for (let i = 0; i < counts.length; i++) {
+        if (minDrawn[i] > counts[i]) return 0;
+        countsTotal += counts[i];
+        minTotal += Math.max(0, minDrawn[i]);
+    }
+
+    const othersTotal = allTotal - countsTotal;
+    if (othersTotal < 0 || minTotal > allDrawn || allDrawn > allTotal) return 0;
+
+    // dp values are kept normalized to a max of 1; logScale tracks the factor
+    let dp = new Float64Array(allDrawn + 1);
+    dp[0] = 1;
+    let logScale = 0;
+    let reached = 0;
+
+    for (let i = 0; i < counts.length; i++) {
+        const next = new Float64Array(allDrawn + 1);
+        const minForType = Math.max(0, minDrawn[i]);
+        const maxForType = Math.min(counts[i], allDrawn);
+        const ways = [];
+        for (let a = minForType; a <= maxForType; a++) {
+            ways.push(logChoose(counts[i], a));
+        }
+        const waysScale = Math.max(...ways);
+
+        let peak = 0;
+        for (let j = 0; j <= reached; j++) {
+            if (dp[j] === 0) continue;
+            for (let a = minForType; a <= maxForType && j + a <= allDrawn; a++) {
+                next[j + a] += dp[j] * Math.exp(ways[a - minForType] - waysScale);
+            }
+        }
+        reached = Math.min(allDrawn, reached + maxForType);
+        for (let j = 0; j <= reached; j++) {
+            if (next[j] > peak) peak = next[j];
+        }
+        if (peak === 0) return 0;
+
+        for (let j = 0; j <= reached; j++) {
+            next[j] /= peak;
+        }
+        logScale += waysScale + Math.log(peak);
+        dp = next;
+    }
+
+    // Fill the remaining slots from cards outside every category
+    const logTotal = logChoose(allTotal, allDrawn);
+    let prob = 0;
+    for (let j = 0; j <= reached; j++) {
+        if (dp[j] === 0) continue;
+        const othersDrawn = allDrawn - j;
+        if (othersDrawn > othersTotal) continue;
+        prob += dp[j] * Math.exp(logScale + logChoose(othersTotal, othersDrawn) - logTotal);
+    }
+
+    return Math.min(1, prob);
+}
+
+/**
+ * Negative hypergeometric probability - exactly othersRevealed cards before the stopsNeeded-th stop card
+ * Cards are revealed one at a time without replacement until stopsNeeded "stop" cards
+ * have been seen. If the population has fewer stop cards than that, the whole
+ * population is always revealed.
+ *
+ * @param {number} allTotal - Total cards in population
+ * @param {number} stopTotal - Stop cards in population
+ * @param {number} stopsNeeded - Stop cards that end the reveal
+ * @param {number} othersRevealed - Non-stop cards revealed
+ * @returns {number} - Probability of exactly othersRevealed non-stop cards
+ */
+export function negativeHypergeometric(allTotal, stopTotal, stopsNeeded, othersRevealed) {
+    const othersTotal = allTotal - stopTotal;
+    if (othersRevealed < 0 || othersRevealed > othersTotal) return 0;
+    if (stopTotal < stopsNeeded) {
+        return othersRevealed === othersTotal ? 1 : 0;
+    }
+
+    // C(k + r - 1, k) · C(N - r - k, K - r) / C(N, K)
+    return Math.exp(
+        logChoose(othersRevealed + stopsNeeded - 1, othersRevealed) +
+        logChoose(allTotal - stopsNeeded - othersRevealed, stopTotal - stopsNeeded) -
+        logChoose(allTotal, stopTotal)
+    );
+}
+
+/**
+ * Negative hypergeometric probability - at most othersRevealed cards before the stopsNeeded-th stop card
+ *
+ * @param {number} allTotal - Total cards in population
+ * @param {number} stopTotal - Stop cards in population
+ * @param {number} stopsNeeded - Stop cards that end the reveal
+ * @param {number} othersRevealed - Maximum non-stop cards revealed
+ * @returns {number} - Cumulative probability
+ */
+export function negativeHypergeometricCdf(allTotal, stopTotal, stopsNeeded, othersRevealed) {
+    const last = Math.min(othersRevealed, allTotal - stopTotal);
+    let prob = 0;
+    for (let k = 0; k <= last; k++) {
+        prob += negativeHypergeometric(allTotal, stopTotal, stopsNeeded, k);
+    }
+    return Math.min(1, prob);
+}
+
+/**
+ * Expected non-stop cards revealed before the stopsNeeded-th stop card: r·(N − K)/(K + 1)
+ *
+ * @param {number} allTotal - Total cards in population
+ * @param {number} stopTotal - Stop cards in population
+ * @param {number} stopsNeeded - Stop cards that end the reveal
+ * @returns {number} - Expected non-stop cards revealed
+ */
+export function negativeHypergeometricMean(allTotal, stopTotal, stopsNeeded) {
+    const othersTotal = allTotal - stopTotal;
+    if (stopTotal < stopsNeeded) return othersTotal;
+    return stopsNeeded * othersTotal / (stopTotal + 1);
+}
+
+/**
+ * Distribution of the union of bitmasks over a random draw
+ *
+ * Each card carries a bitmask (e.g. its card types). For every mask S this
+ * returns P(the OR of all drawn masks is exactly S), without sampling:
+ * P(every drawn mask ⊆ S) is a plain hypergeometric term, and inclusion–exclusion
+ * over the subsets of S turns those into exact-union probabilities.
+ * Runs in O(3^bits), so keep bits small (card types use at most 8).
+ *
+ * @param {Array<number>} maskCounts - Cards in population per mask (index = mask, length 2^bits)
+ * @param {number} allDrawn - Cards drawn
+ * @returns {Float64Array} - Probability of each exact union, indexed by mask
+ */
+export function drawMaskUnion(maskCounts, allDrawn) {
+    const size = maskCounts.length;
+    const allTotal = maskCounts.reduce((a, b) => a + b, 0);
+    const drawn = Math.min(allDrawn, allTotal);
+    const logTotal = logChoose(allTotal, drawn);
+
+    // cardsWithin[S] = cards whose mask is a subset of S (subset-sum transform)
+    const cardsWithin = Float64Array.from(maskCounts);
+    for (let bit = 1; bit < size; bit <<= 1) {
+        for (let mask = 0; mask < size; mask++) {
+            if (mask & bit) cardsWithin[mask] += cardsWithin[mask ^ bit];
+        }
+    }
+
+    // within[S] = P(every drawn card's mask is a subset of S)
+    const within = new Float64Array(size);
+    for (let mask = 0; mask < size; mask++) {
+        within[mask] = Math.exp(logChoose(cardsWithin[mask], drawn) - logTotal);
+    }
+
+    // Möbius inversion: exact[S] = Σ over T ⊆ S of (-1)^|S \ T| · within[T]
+    const exact = new Float64Array(size);
+    for (let mask = 0; mask < size; mask++) {
+        let sum = 0;
+        for (let sub = mask; ; sub = (sub - 1) & mask) {
+            sum += (popcount(mask ^ sub) & 1) ? -within[sub] : within[sub];
+            if (sub === 0) break;
+        }
+        // Clamp rounding noise from the alternating sum
+        exact[mask] = Math.max(0, sum);
+    }
+
+    return exact;
+}
+
+/**
+ * Number of set bits in a 32-bit integer
+ * @param {number} n - Integer
+ * @returns {number} - Set bit count
+ */
+export function popcount(n) {
+    n = n - ((n >>> 1) & 0x55555555);
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
 /**
  * Hypergeometric probability - exactly X successes
  * P(X = typeDrawn | allTotal, typeTotal, allDrawn)
@@ -61,10 +367,7 @@ export function drawType(allTotal, typeTotal, allDrawn, typeDrawn) {
     if (typeDrawn > allDrawn) return 0;
     if (allDrawn - typeDrawn > allTotal - typeTotal) return 0;
 
-    const numerator = choose(typeTotal, typeDrawn) * choose(allTotal - typeTotal, allDrawn - typeDrawn);
-    const denominator = choose(allTotal, allDrawn);
-
-    return numerator / denominator;
+    return drawMultiType(allTotal, [typeTotal], allDrawn, [typeDrawn]);
 }
 
 /**
@@ -78,14 +381,7 @@ export function drawType(allTotal, typeTotal, allDrawn, typeDrawn) {
  * @returns {number} - Probability of at least typeDrawn successes
  */
 export function drawTypeMin(allTotal, typeTotal, allDrawn, typeDrawn) {
-    let prob = 0;
-    const maxPossible = Math.min(typeTotal, allDrawn);
-
-    for (let i = typeDrawn; i <= maxPossible; i++) {
-        prob += drawType(allTotal, typeTotal, allDrawn, i);
-    }
-
-    return prob;
+    return drawMultiTypeMin(allTotal, [typeTotal], allDrawn, [typeDrawn]);
 }
 
 /**
@@ -100,80 +396,36 @@ export function drawTypeMin(allTotal, typeTotal, allDrawn, typeDrawn) {
  * @returns {number} - Probability
  */
 export function drawTwoType(allTotal, typeATotal, typeBTotal, allDrawn, typeADrawn, typeBDrawn) {
-    if (typeADrawn < 0 || typeBDrawn < 0) return 0;
-    if (typeADrawn + typeBDrawn > allDrawn) return 0;
-
-    const othersTotal = allTotal - typeATotal - typeBTotal;
-    const othersDrawn = allDrawn - typeADrawn - typeBDrawn;
-
-    if (othersDrawn < 0 || othersDrawn > othersTotal) return 0;
-
-    const numerator = choose(typeATotal, typeADrawn) *
-                     choose(typeBTotal, typeBDrawn) *
-                     choose(othersTotal, othersDrawn);
-    const denominator = choose(allTotal, allDrawn);
-
-    return numerator / denominator;
+    return drawMultiType(allTotal, [typeATotal, typeBTotal], allDrawn, [typeADrawn, typeBDrawn]);
 }
 
 /**
  * Two-type hypergeometric - at least A and at least B
  */
 export function drawTwoTypeMin(allTotal, typeATotal, typeBTotal, allDrawn, typeADrawn, typeBDrawn) {
-    let prob = 0;
-    const maxA = Math.min(typeATotal, allDrawn);
-    const maxB = Math.min(typeBTotal, allDrawn);
-
-    for (let a = typeADrawn; a <= maxA; a++) {
-        for (let b = typeBDrawn; b <= maxB; b++) {
-            if (a + b <= allDrawn) {
-                prob += drawTwoType(allTotal, typeATotal, typeBTotal, allDrawn, a, b);
-            }
-        }
-    }
-
-    return prob;
+    return drawMultiTypeMin(allTotal, [typeATotal, typeBTotal], allDrawn, [typeADrawn, typeBDrawn]);
 }
 
 /**
  * Three-type hypergeometric - exactly A, B, and C
  */
 export function drawThreeType(allTotal, typeATotal, typeBTotal, typeCTotal, allDrawn, typeADrawn, typeBDrawn, typeCDrawn) {
-    if (typeADrawn < 0 || typeBDrawn < 0 || typeCDrawn < 0) return 0;
-    if (typeADrawn + typeBDrawn + typeCDrawn > allDrawn) return 0;
-
-    const othersTotal = allTotal - typeATotal - typeBTotal - typeCTotal;
-    const othersDrawn = allDrawn - typeADrawn - typeBDrawn - typeCDrawn;
-
-    if (othersDrawn < 0 || othersDrawn > othersTotal) return 0;
-
-    const numerator = choose(typeATotal, typeADrawn) *
-                     choose(typeBTotal, typeBDrawn) *
-                     choose(typeCTotal, typeCDrawn) *
-                     choose(othersTotal, othersDrawn);
-    const denominator = choose(allTotal, allDrawn);
-
-    return numerator / denominator;
+    return drawMultiType(
+        allTotal,
+        [typeATotal, typeBTotal, typeCTotal],
+        allDrawn,
+        [typeADrawn, typeBDrawn, typeCDrawn]
+    );
 }
 
 /**
  * Three-type hypergeometric - at least A, B, and C
  */
 export function drawThreeTypeMin(allTotal, typeATotal, typeBTotal, typeCTotal, allDrawn, typeADrawn, typeBDrawn, typeCDrawn) {
-    let prob = 0;
-    const maxA = Math.min(typeATotal, allDrawn);
-    const maxB = Math.min(typeBTotal, allDrawn);
-    const maxC = Math.min(typeCTotal, allDrawn);
-
-    for (let a = typeADrawn; a <= maxA; a++) {
-        for (let b = typeBDrawn; b <= maxB; b++) {
-            for (let c = typeCDrawn; c <= maxC; c++) {
-                if (a + b + c <= allDrawn) {
-                    prob += drawThreeType(allTotal, typeATotal, typeBTotal, typeCTotal, allDrawn, a, b, c);
-                }
-            }
-        }
-    }
-
-    return prob;
+    return drawMultiTypeMin(
+        allTotal,
+        [typeATotal, typeBTotal, typeCTotal],
+        allDrawn,
+        [typeADrawn, typeBDrawn, typeCDrawn]
+    );
 }
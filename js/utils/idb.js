@@ -0,0 +1,194 @@
+/**
+ * IndexedDB Helpers
+ * A single app database with promise wrappers around requests and transactions.
+ * Add new object stores to STORES and bump DB_VERSION; the upgrade creates
+ * whatever stores (and indexes) don't exist yet.
+ */
+
+const DB_NAME = 'mtg-calcs';
+const DB_VERSION = 3;
+
+// Store name -> { keyPath, indexes: { indexName: keyPath } }
+const STORES = {
+    // Scryfall oracle cards, keyed by normalized name (see cardDatabase.js)
+    oracleCards: { keyPath: 'key', indexes: { frontKey: 'frontKey' } },
+    // Cards fetched from the Scryfall API, keyed by lowercased front-face name (see cardCache.js)
+    cardCache: { keyPath: 'key', indexes: { id: 'id' } },
+    // Saved decks library, keyed by generated id (see deckStorage.js)
+    savedDecks: { keyPath: 'id' },
+    // Small key/value records (bulk data info, etc.)
+    meta: { keyPath: 'key' }
+};
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB is usable in this browser
+ * @returns {boolean}
+ */
+export function isIndexedDBAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} - Request result
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and upgrade if needed) the app database
+ * The connection is shared; it is dropped if another tab upgrades the schema.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (!isIndexedDBAvailable()) {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const tx = request.transaction;
+
+                Object.entries(STORES).forEach(([name, { keyPath, indexes = {} }]) => {
+                    const store = db.objectStoreNames.contains(name)
+                        ? tx.objectStore(name)
+                        : db.createObjectStore(name, { keyPath });
+
+                    Object.entries(indexes).forEach(([indexName, indexKeyPath]) => {
+                        if (!store.indexNames.contains(indexName)) {
+                            store.createIndex(indexName, indexKeyPath);
+                        }
+                    });
+                });
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+
+    return dbPromise;
+}
+
+/**
+ * Read one record by key
+ * @param {string} storeName - Object store
+ * @param {*} key - Primary key
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getRecord(storeName, key) {
+    const db = await openDatabase();
+    return requestToPromise(db.transaction(storeName).objectStore(storeName).get(key));
+}
+
+/**
+ * Read one record through an index
+ * @param {string} storeName - Object store
+ * @param {string} indexName - Index on the store
+ * @param {*} key - Index key
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getRecordByIndex(storeName, indexName, key) {
+    const db = await openDatabase();
+    return requestToPromise(db.transaction(storeName).objectStore(storeName).index(indexName).get(key));
+}
+
+/**
+ * Read every primary key in a store
+ * @param {string} storeName - Object store
+ * @returns {Promise<Array>}
+ */
+export async function getAllKeys(storeName) {
+    const db = await openDatabase();
+    return requestToPromise(db.transaction(storeName).objectStore(storeName).getAllKeys());
+}
+
+/**
+ * Read every record in a store
+ * @param {string} storeName - Object store
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAllRecords(storeName) {
+    const db = await openDatabase();
+    return requestToPromise(db.transaction(storeName).objectStore(storeName).getAll());
+}
+
+/**
+ * Insert or replace records in batches (one transaction per batch)
+ * @param {string} storeName - Object store
+ * @param {Array<Object>} records - Records to write
+ * @param {Object} options - { batchSize, onProgress(written, total) }
+ * @returns {Promise<void>}
+ */
+export async function putRecords(storeName, records, { batchSize = 2000, onProgress } = {}) {
+    const db = await openDatabase();
+
+    for (let i = 0; i < records.length; i += batchSize) {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        records.slice(i, i + batchSize).forEach(record => store.put(record));
+        await transactionDone(tx);
+
+        if (onProgress) onProgress(Math.min(i + batchSize, records.length), records.length);
+    }
+}
+
+/**
+ * Delete one record by key
+ * @param {string} storeName - Object store
+ * @param {*} key - Primary key
+ * @returns {Promise<void>}
+ */
+export async function deleteRecord(storeName, key) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).delete(key);
+    return transactionDone(tx);
+}
+
+/**
+ * Remove every record from a store
+ * @param {string} storeName - Object store
+ * @returns {Promise<void>}
+ */
+export async function clearStore(storeName) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).clear();
+    return transactionDone(tx);
+}
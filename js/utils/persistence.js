@@ -0,0 +1,156 @@
+/**
+ * Session Persistence
+ * Restores the deck and every calculator input from the last visit, then saves
+ * them again shortly after the deck or any input changes.
+ * Inputs with an id inside a calculator tab are picked up automatically; state
+ * that isn't held in such an input (like Mulligan's card type rows) registers a
+ * get/set pair with registerPersistentState.
+ */
+
+import * as DeckConfig from './deckConfig.js';
+import { loadSession, saveSession } from './deckStorage.js';
+
+const SAVE_DELAY = 500; // ms after the last change
+const INPUT_SELECTOR = '.tab-content input[id], .tab-content select[id]';
+
+// Key -> { get, set } for state outside the calculator inputs
+const stateProviders = new Map();
+
+let saveTimer = null;
+
+/**
+ * Persist a piece of calculator state that isn't held in an input with an id
+ * @param {string} key - Unique key, e.g. 'mulligan.cardTypes'
+ * @param {Object} provider - { get: () => value, set: value => void }; values must be cloneable
+ */
+export function registerPersistentState(key, { get, set }) {
+    if (typeof get !== 'function' || typeof set !== 'function') {
+        throw new Error(`Persistent state ${key} needs get and set functions`);
+    }
+    stateProviders.set(key, { get, set });
+}
+
+/**
+ * Read every calculator input's current value
+ * @param {Element|Document} scope - Only read inputs inside this element (e.g. one calculator tab)
+ * @returns {Object} - Map of element id -> value (checked state for checkboxes)
+ */
+export function collectInputs(scope = document) {
+    const inputs = {};
+    scope.querySelectorAll(INPUT_SELECTOR).forEach(input => {
+        if (input.type === 'file') return;
+        inputs[input.id] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    return inputs;
+}
+
+/**
+ * Write saved values back into the calculator inputs
+ * Inputs are restored in document order and fire the same events as user edits,
+ * so each calculator's listeners sync paired controls (slider + number) and
+ * presets are applied before the values they set are restored.
+ * @param {Object} inputs - Map of element id -> value
+ */
+export function applyInputs(inputs) {
+    Object.entries(inputs).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (!input || !input.matches(INPUT_SELECTOR)) return;
+
+        if (input.type === 'checkbox') {
+            if (input.checked === Boolean(value)) return;
+            input.checked = Boolean(value);
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        } else {
+            if (input.value === String(value)) return;
+            input.value = value;
+            input.dispatchEvent(new Event(input.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+        }
+    });
+}
+
+/**
+ * Read registered state
+ * @param {string} prefix - Only keys starting with this (e.g. 'mulligan.')
+ * @returns {Object} - Map of key -> value
+ */
+export function collectState(prefix = '') {
+    const state = {};
+    stateProviders.forEach(({ get }, key) => {
+        if (key.startsWith(prefix)) state[key] = get();
+    });
+    return state;
+}
+
+/**
+ * Hand saved values back to their registered providers
+ * Unknown keys are ignored.
+ * @param {Object} state - Map of key -> value
+ */
+export function applyState(state) {
+    Object.entries(state).forEach(([key, value]) => {
+        const provider = stateProviders.get(key);
+        if (!provider) return;
+        try {
+            provider.set(value);
+        } catch (error) {
+            console.warn(`Could not restore ${key}:`, error);
+        }
+    });
+}
+
+/**
+ * Save the deck, inputs and registered state now
+ * @returns {Promise<void>}
+ */
+function saveNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    const comparisonDeck = DeckConfig.getComparisonDeck();
+    return saveSession({
+        deck: DeckConfig.getDeckConfig(),
+        comparison: comparisonDeck ? { name: DeckConfig.getComparisonName(), deck: comparisonDeck } : null,
+        inputs: collectInputs(),
+        state: collectState()
+    });
+}
+
+/**
+ * Save after changes settle
+ */
+function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveNow, SAVE_DELAY);
+}
+
+/**
+ * Restore the last session and start saving changes
+ * Call after every calculator has been initialized.
+ * @returns {Promise<void>}
+ */
+export async function initPersistence() {
+    const session = await loadSession();
+
+    if (session) {
+        if (session.deck) {
+            DeckConfig.restoreDeck(session.deck);
+        }
+        if (session.comparison) {
+            DeckConfig.setComparisonDeck(session.comparison.deck, session.comparison.name);
+        }
+        applyInputs(session.inputs);
+        applyState(session.state);
+    }
+
+    DeckConfig.onDeckUpdate(scheduleSave);
+    ['input', 'change', 'click'].forEach(type => {
+        document.addEventListener(type, (e) => {
+            if (e.target instanceof Element && e.target.closest('.tab-content')) scheduleSave();
+        });
+    });
+
+    // Don't lose a change made just before leaving the page
+    window.addEventListener('pagehide', () => {
+        if (saveTimer) saveNow();
+    });
+}
@@ -66,11 +66,12 @@ export function buildDeckFromCardData(cardData) {
 /**
  * Fisher-Yates shuffle
  * @param {Array} array - Array to shuffle (modified in place)
+ * @param {Function} rng - Random generator returning [0, 1)
  * @returns {Array} - Shuffled array
  */
-export function shuffleDeck(array) {
+export function shuffleDeck(array, rng = Math.random) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
@@ -202,3 +203,12 @@ export function createCollapsibleSection(title, content, openByDefault = true) {
         </details>
     `;
 }
+
+/**
+ * Render the seed a batch of sample reveals was drawn with
+ * @param {number} seed - Seed passed to createRng
+ * @returns {string} - HTML string
+ */
+export function renderSeedInfo(seed) {
+    return `<div style="margin-top: var(--spacing-sm); text-align: center; color: var(--text-dim); font-size: 0.85em;">Seed: <code>${seed}</code></div>`;
+}
@@ -0,0 +1,248 @@
+/**
+ * Reveal Scenario Engine
+ * Describes "reveal cards from the top of your library" effects as data and runs
+ * them for both Monte Carlo estimates and sample reveals.
+ *
+ * A scenario is a plain object:
+ *   {
+ *     name: 'Primal Surge',
+ *     reveal: Infinity,                 // maximum cards to reveal
+ *     hit: card => boolean,             // cards the effect acts on
+ *     stop: 'never' | 'hit' | 'miss',   // stop after the first hit / first miss
+ *     destination: 'battlefield',       // what happens to the hits (for display)
+ *     missDestination: 'hand',          // optional: what happens to the misses (for display)
+ *     chain: card => scenario | null    // optional: a hit that triggers another reveal
+ *   }
+ *
+ * Predicates read the card fields produced by buildDeckFromCardData
+ * ({ name, types, type_line, cmc, mana_cost, power }); calculators may add
+ * derived fields (e.g. isPower5Plus) before running a scenario.
+ */
+
+// Chained triggers allowed after the first reveal (guards against runaway chains)
+const MAX_CHAIN_DEPTH = 10;
+
+const PERMANENT_TYPES = ['creature', 'artifact', 'enchantment', 'planeswalker', 'battle', 'land'];
+
+/**
+ * Check whether a card has any permanent type (Adventures etc. count as permanents)
+ * @param {Object} card - Card with a types array
+ * @returns {boolean}
+ */
+export function isPermanent(card) {
+    return card.types.some(t => PERMANENT_TYPES.includes(t));
+}
+
+/**
+ * Primal Surge - put permanents onto the battlefield until a non-permanent is revealed
+ * @returns {Object} - Scenario
+ */
+export function primalSurge() {
+    return {
+        name: 'Primal Surge',
+        reveal: Infinity,
+        hit: isPermanent,
+        stop: 'miss',
+        destination: 'battlefield'
+    };
+}
+
+/**
+ * Genesis Wave - reveal X, permanents with MV <= X go onto the battlefield
+ * @param {number} x - X value
+ * @returns {Object} - Scenario
+ */
+export function genesisWave(x) {
+    return {
+        name: `Genesis Wave X=${x}`,
+        reveal: x,
+        hit: card => isPermanent(card) && card.cmc <= x,
+        stop: 'never',
+        destination: 'battlefield'
+    };
+}
+
+/**
+ * Portent of Calamity - reveal X; every card is exiled and sorted by type
+ * @param {number} x - X value
+ * @returns {Object} - Scenario
+ */
+export function portentOfCalamity(x) {
+    return {
+        name: `Portent of Calamity X=${x}`,
+        reveal: x,
+        hit: () => true,
+        stop: 'never',
+        destination: 'exile'
+    };
+}
+
+/**
+ * Discover N - reveal until a nonland card with MV <= N, cast it for free
+ * Cards flagged isPower5Plus re-trigger Monstrous Vortex with their own MV.
+ * @param {number} n - Discover value
+ * @returns {Object} - Scenario
+ */
+export function discover(n) {
+    return {
+        name: `Discover ${n}`,
+        reveal: Infinity,
+        hit: card => !card.types.includes('land') && card.cmc <= n,
+        stop: 'hit',
+        destination: 'cast',
+        chain: card => (card.isPower5Plus ? discover(card.cmc) : null)
+    };
+}
+
+/**
+ * Rashmi, Eternities Crafter - reveal the top card; a nonland card with lower MV than
+ * the spell that triggered it is cast free, anything else is put into your hand
+ * Cards flagged isX (X in the mana cost) are only castable when X spells aren't excluded.
+ * @param {number} castCmc - Mana value of the spell being cast
+ * @param {boolean} excludeXSpells - Treat X spells as misses
+ * @returns {Object} - Scenario
+ */
+export function rashmi(castCmc, excludeXSpells = false) {
+    return {
+        name: `Rashmi (cast MV ${castCmc})`,
+        reveal: 1,
+        hit: card => !card.types.includes('land') && card.cmc < castCmc && !(excludeXSpells && card.isX),
+        stop: 'never',
+        destination: 'cast',
+        missDestination: 'hand'
+    };
+}
+
+/**
+ * Create a library that shuffles lazily - each position is only randomized
+ * when it is first revealed, so short reveals don't pay for a full shuffle
+ * @param {Array<Object>} cards - Cards in the library (copied)
+ * @param {Function} rng - Random generator returning [0, 1)
+ * @returns {Object} - { size, at(position), reset() }
+ */
+export function createLibrary(cards, rng = Math.random) {
+    const order = [...cards];
+    const size = order.length;
+    let shuffled = 0;
+
+    return {
+        size,
+
+        /**
+         * Card at a position from the top (0 = top card)
+         */
+        at(position) {
+            // Incremental Fisher-Yates up to the requested position
+            while (shuffled <= position) {
+                const j = shuffled + Math.floor(rng() * (size - shuffled));
+                const temp = order[shuffled];
+                order[shuffled] = order[j];
+                order[j] = temp;
+                shuffled++;
+            }
+            return order[position];
+        },
+
+        /**
+         * Start a fresh random order
+         */
+        reset() {
+            shuffled = 0;
+        }
+    };
+}
+
+/**
+ * Run a scenario (and anything it chains into) from the top of a library
+ * @param {Object} scenario - Scenario description
+ * @param {Object} library - Library from createLibrary
+ * @param {number} start - Position of the first card to reveal
+ * @returns {Object} - { steps: [{ scenario, revealed: [{ card, hit }], hits }], hits, cardsRevealed }
+ */
+export function revealScenario(scenario, library, start = 0) {
+    const steps = [];
+    const hits = [];
+    let position = start;
+    let current = scenario;
+
+    for (let depth = 0; current && depth <= MAX_CHAIN_DEPTH; depth++) {
+        const step = { scenario: current, revealed: [], hits: [] };
+        const limit = Math.min(library.size, position + current.reveal);
+
+        while (position < limit) {
+            const card = library.at(position++);
+            const hit = current.hit(card);
+            step.revealed.push({ card, hit });
+
+            if (hit) {
+                step.hits.push(card);
+                hits.push(card);
+                if (current.stop === 'hit') break;
+            } else if (current.stop === 'miss') {
+                break;
+            }
+        }
+
+        steps.push(step);
+
+        const lastHit = step.hits[step.hits.length - 1];
+        current = lastHit && current.chain ? current.chain(lastHit) : null;
+    }
+
+    return { steps, hits, cardsRevealed: position - start };
+}
+
+/**
+ * Monte Carlo over a scenario
+ * `measure` turns each outcome into named numbers; the accumulator holds their
+ * sums (and sums of squares as `<name>Sq`) so chunks merge with mergeAccumulators.
+ *
+ * @param {Object} scenario - Scenario description
+ * @param {Array<Object>} cards - Library contents
+ * @param {number} iterations - Iterations to run
+ * @param {Function} rng - Random generator returning [0, 1)
+ * @param {Function} measure - outcome => { name: number }
+ * @returns {Object} - { iterations, hitDistribution, ...sums }
+ */
+export function runScenario(scenario, cards, iterations, rng, measure = () => ({})) {
+    const library = createLibrary(cards, rng);
+    const acc = {
+        iterations,
+        hitDistribution: new Array(cards.length + 1).fill(0)
+    };
+
+    for (let iter = 0; iter < iterations; iter++) {
+        library.reset();
+        const outcome = revealScenario(scenario, library);
+        acc.hitDistribution[outcome.hits.length]++;
+
+        const values = measure(outcome);
+        Object.keys(values).forEach(key => {
+            const value = values[key];
+            acc[key] = (acc[key] || 0) + value;
+            acc[`${key}Sq`] = (acc[`${key}Sq`] || 0) + value * value;
+        });
+    }
+
+    return acc;
+}
+
+/**
+ * Draw independent sample reveals for display
+ * @param {Object} scenario - Scenario description
+ * @param {Array<Object>} cards - Library contents
+ * @param {number} count - Number of samples
+ * @param {Function} rng - Random generator returning [0, 1)
+ * @returns {Array<Object>} - Outcomes from revealScenario
+ */
+export function sampleScenario(scenario, cards, count, rng) {
+    const library = createLibrary(cards, rng);
+    const samples = [];
+
+    for (let i = 0; i < count; i++) {
+        library.reset();
+        samples.push(revealScenario(scenario, library));
+    }
+
+    return samples;
+}
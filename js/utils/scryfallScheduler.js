@@ -0,0 +1,172 @@
+/**
+ * Scryfall Request Scheduler
+ * Every Scryfall API call goes through one queue that spaces requests, backs off
+ * on 429 (honoring Retry-After), retries transient failures and stops as soon as
+ * the caller's AbortSignal fires.
+ */
+
+const SCRYFALL_API = 'https://api.scryfall.com';
+
+// Scryfall asks for 50-100ms between requests
+const RATE_LIMIT_DELAY = 100;
+// /cards/collection accepts at most this many identifiers per request
+export const COLLECTION_LIMIT = 75;
+
+const MAX_RETRIES = 3;
+const BACKOFF_BASE = 500; // ms, doubled on each retry
+const MAX_RETRY_AFTER = 60000; // ms, cap on a server-requested pause
+
+// Earliest time the next request may start (shared by all callers)
+let nextRequestAt = 0;
+
+/**
+ * Check whether an error came from an aborted request
+ * @param {*} error - Caught error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Throw the abort reason if the signal has fired
+ * @param {AbortSignal} signal - Optional signal
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason || new DOMException('Request aborted', 'AbortError');
+    }
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal fires
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        throwIfAborted(signal);
+        if (ms <= 0) {
+            resolve();
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || new DOMException('Request aborted', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Claim the next request slot and wait for it
+ * @param {AbortSignal} signal - Optional signal
+ * @returns {Promise<void>}
+ */
+function reserveSlot(signal) {
+    const now = Date.now();
+    const start = Math.max(now, nextRequestAt);
+    nextRequestAt = start + RATE_LIMIT_DELAY;
+    return wait(start - now, signal);
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - Delay in ms, or null if missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.min(Math.max(0, seconds * 1000), MAX_RETRY_AFTER);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.min(Math.max(0, date - now), MAX_RETRY_AFTER);
+}
+
+/**
+ * Fetch from the Scryfall API through the scheduler
+ * 429 and 5xx responses and network errors are retried; other responses
+ * (including 404s) are returned for the caller to handle.
+ * @param {string} path - API path (e.g. '/cards/named?fuzzy=...') or full URL
+ * @param {Object} init - fetch options
+ * @param {Object} options - { signal }
+ * @returns {Promise<Response>}
+ */
+export async function scryfallFetch(path, init = {}, { signal } = {}) {
+    const url = path.startsWith('http') ? path : `${SCRYFALL_API}${path}`;
+
+    for (let attempt = 0; ; attempt++) {
+        await reserveSlot(signal);
+
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal });
+        } catch (error) {
+            if (isAbortError(error) || attempt >= MAX_RETRIES) throw error;
+            console.warn(`Scryfall request failed, retrying (${attempt + 1}/${MAX_RETRIES}):`, error);
+            await wait(BACKOFF_BASE * 2 ** attempt, signal);
+            continue;
+        }
+
+        if (attempt < MAX_RETRIES) {
+            if (response.status === 429) {
+                // Pause the whole queue, not just this request
+                const delay = parseRetryAfter(response.headers.get('Retry-After')) ?? BACKOFF_BASE * 2 ** attempt;
+                console.warn(`Scryfall rate limit hit, waiting ${delay}ms`);
+                nextRequestAt = Math.max(nextRequestAt, Date.now() + delay);
+                continue;
+            }
+            if (response.status >= 500) {
+                console.warn(`Scryfall returned HTTP ${response.status}, retrying (${attempt + 1}/${MAX_RETRIES})`);
+                await wait(BACKOFF_BASE * 2 ** attempt, signal);
+                continue;
+            }
+        }
+
+        return response;
+    }
+}
+
+/**
+ * Look up cards with /cards/collection, COLLECTION_LIMIT identifiers per request
+ * @param {Array<Object>} identifiers - Scryfall card identifiers
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} - { data, not_found } merged across requests
+ */
+export async function fetchCollection(identifiers, { signal } = {}) {
+    const result = { data: [], not_found: [] };
+
+    for (let i = 0; i < identifiers.length; i += COLLECTION_LIMIT) {
+        const response = await scryfallFetch('/cards/collection', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ identifiers: identifiers.slice(i, i + COLLECTION_LIMIT) })
+        }, { signal });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            console.warn('Batch fetch failed:', errorData);
+            throw new Error(errorData.details || 'Batch fetch failed');
+        }
+
+        const data = await response.json();
+        result.data.push(...(data.data || []));
+        result.not_found.push(...(data.not_found || []));
+    }
+
+    return result;
+}
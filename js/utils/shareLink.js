@@ -0,0 +1,214 @@
+/**
+ * Share Links
+ * Encodes the deck, the active calculator and its inputs into the URL hash:
+ *   #s=<version>.<base64url(deflate-raw(JSON))>
+ * Imported decks are shared as a card list (card data is looked up again when the
+ * link is opened); manually entered decks are shared as their counts.
+ */
+
+export const SHARE_VERSION = 1;
+
+const HASH_PREFIX = '#s=';
+
+// Deck fields shared for manually entered decks, in encoding order
+const COUNT_FIELDS = [
+    'creatures', 'instants', 'sorceries', 'artifacts', 'enchantments', 'planeswalkers', 'lands', 'battles',
+    'cmc0', 'cmc1', 'cmc2', 'cmc3', 'cmc4', 'cmc5', 'cmc6',
+    'creaturesPower5Plus'
+];
+
+// Board of a shared card, by index
+const BOARDS = ['main', 'sideboard', 'maybeboard'];
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {Uint8Array} bytes - Data
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text
+ * @param {string} text - base64url data
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Pipe bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input
+ * @param {TransformStream} transform - CompressionStream or DecompressionStream
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Make the compact deck part of a share link
+ * Cards are [name, count] with the board index and an "included" flag appended
+ * only when they differ from the default (main deck, in). Tags are listed once
+ * each with the indexes of the cards that have them; mana value and power
+ * overrides are keyed by card index.
+ * @param {Object} deck - Deck state from getDeckConfig
+ * @returns {Object} - { c: cards, k: commander names, g?: tag -> card indexes,
+ *   o?: card index -> { cmc?, power? } } or { n: counts }
+ */
+function encodeDeck(deck) {
+    const boardCards = deck.boardCards || [];
+    if (boardCards.length === 0) {
+        return { n: COUNT_FIELDS.map(field => deck[field] || 0) };
+    }
+
+    const tags = {};
+    boardCards.forEach((card, i) => {
+        (card.tags || []).forEach(tag => {
+            (tags[tag] = tags[tag] || []).push(i);
+        });
+    });
+
+    const overrides = {};
+    boardCards.forEach((card, i) => {
+        if (card.overrides && Object.keys(card.overrides).length > 0) overrides[i] = card.overrides;
+    });
+
+    return {
+        c: boardCards.map(card => {
+            const board = BOARDS.indexOf(card.board);
+            const flipped = card.included !== (card.board === 'main');
+            const entry = [card.name, card.count];
+            if (board > 0 || flipped) entry.push(board);
+            if (flipped) entry.push(card.included ? 1 : 0);
+            return entry;
+        }),
+        k: (deck.commanders || []).map(commander => commander.name),
+        ...(Object.keys(tags).length > 0 ? { g: tags } : {}),
+        ...(Object.keys(overrides).length > 0 ? { o: overrides } : {})
+    };
+}
+
+/**
+ * Expand the compact deck part of a share link
+ * @param {Object} encoded - Output of encodeDeck
+ * @returns {Object} - { cards: [{ name, count, board, included, tags, overrides? }], commanders: [name] } or { counts }
+ */
+function decodeDeck(encoded) {
+    if (Array.isArray(encoded.n)) {
+        const counts = {};
+        COUNT_FIELDS.forEach((field, i) => {
+            counts[field] = Math.max(0, parseInt(encoded.n[i]) || 0);
+        });
+        return { counts };
+    }
+
+    if (!Array.isArray(encoded.c)) {
+        throw new Error('Share link has no deck');
+    }
+
+    const cards = encoded.c.map(([name, count, board = 0, included]) => {
+        const boardName = BOARDS[board] || 'main';
+        return {
+            name: String(name),
+            count: Math.max(1, parseInt(count) || 1),
+            board: boardName,
+            included: included === undefined ? boardName === 'main' : included === 1,
+            tags: []
+        };
+    });
+
+    Object.entries(encoded.g || {}).forEach(([tag, indexes]) => {
+        (Array.isArray(indexes) ? indexes : []).forEach(i => {
+            if (cards[i]) cards[i].tags.push(String(tag));
+        });
+    });
+
+    Object.entries(encoded.o || {}).forEach(([i, override]) => {
+        const card = cards[i];
+        if (!card || !override) return;
+
+        const { cmc, power } = override;
+        const overrides = {};
+        if (Number.isFinite(cmc) && cmc >= 0) overrides.cmc = cmc;
+        if (power !== undefined && power !== null) overrides.power = String(power);
+        if (Object.keys(overrides).length > 0) card.overrides = overrides;
+    });
+
+    return { cards, commanders: (encoded.k || []).map(String) };
+}
+
+/**
+ * Encode a share state
+ * @param {Object} share - { tab, deck, inputs, state } - deck is the deck state, inputs and
+ *   state are the active calculator's inputs and registered state (see persistence.js)
+ * @returns {Promise<string>} - "<version>.<data>"
+ */
+export async function encodeShareState({ tab, deck, inputs = {}, state = {} }) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('Share links need a browser that supports CompressionStream');
+    }
+
+    const json = JSON.stringify({ t: tab, d: encodeDeck(deck), i: inputs, s: state });
+    const compressed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    return `${SHARE_VERSION}.${toBase64Url(compressed)}`;
+}
+
+/**
+ * Decode a share state
+ * @param {string} encoded - "<version>.<data>"
+ * @returns {Promise<Object>} - { tab, deck, inputs, state }, where deck is
+ *   { cards, commanders } for a card list or { counts } for manual counts
+ */
+export async function decodeShareState(encoded) {
+    const [version, data] = encoded.split('.');
+    if (parseInt(version) !== SHARE_VERSION || !data) {
+        throw new Error(`Unsupported share link version: ${version}`);
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Share links need a browser that supports DecompressionStream');
+    }
+
+    let payload;
+    try {
+        const json = await pipeBytes(fromBase64Url(data), new DecompressionStream('deflate-raw'));
+        payload = JSON.parse(new TextDecoder().decode(json));
+    } catch (error) {
+        throw new Error('Share link is damaged or incomplete');
+    }
+
+    return {
+        tab: typeof payload.t === 'string' ? payload.t : null,
+        deck: decodeDeck(payload.d || {}),
+        inputs: payload.i || {},
+        state: payload.s || {}
+    };
+}
+
+/**
+ * Read the encoded share state from a URL hash
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {string|null} - Encoded state, or null if the hash isn't a share link
+ */
+export function readShareHash(hash) {
+    return hash && hash.startsWith(HASH_PREFIX) ? hash.slice(HASH_PREFIX.length) : null;
+}
+
+/**
+ * Build a link to this page that opens the given share state
+ * @param {Object} share - See encodeShareState
+ * @returns {Promise<string>} - Full URL
+ */
+export async function buildShareUrl(share) {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}${HASH_PREFIX}${await encodeShareState(share)}`;
+}
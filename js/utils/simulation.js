@@ -30,13 +30,131 @@ export function debounce(func, wait) {
     };
 }
 
+/**
+ * Generate a fresh 32-bit seed
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function randomSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a seedable random number generator (xoshiro128**)
+ * State is expanded from the 32-bit seed with splitmix32, so nearby seeds
+ * still produce unrelated streams.
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Generator returning floats in [0, 1), with the seed exposed as `.seed`
+ */
+export function createRng(seed) {
+    seed = seed >>> 0;
+
+    let splitState = seed;
+    const splitmix32 = () => {
+        splitState = (splitState + 0x9e3779b9) >>> 0;
+        let z = splitState;
+        z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+        z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+        return (z ^ (z >>> 16)) >>> 0;
+    };
+
+    let a = splitmix32();
+    let b = splitmix32();
+    let c = splitmix32();
+    let d = splitmix32();
+
+    const rng = () => {
+        const result = Math.imul(rotl(Math.imul(b, 5), 7), 9) >>> 0;
+        const t = b << 9;
+
+        c ^= a;
+        d ^= b;
+        b ^= c;
+        a ^= d;
+        c ^= t;
+        d = rotl(d, 11);
+
+        return result / 0x100000000;
+    };
+
+    rng.seed = seed;
+    return rng;
+}
+
+function rotl(x, k) {
+    return (x << k) | (x >>> (32 - k));
+}
+
+// Simulation seed shared by every calculator. A pinned seed is kept across
+// reloads; otherwise one seed is drawn per session so cached results stay stable.
+const SEED_STORAGE_KEY = 'simulation-seed';
+let pinnedSeed = loadPinnedSeed();
+let sessionSeed = pinnedSeed ?? randomSeed();
+
+function loadPinnedSeed() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(SEED_STORAGE_KEY) : null;
+        return stored !== null && /^\d+$/.test(stored) ? parseInt(stored, 10) >>> 0 : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get the seed used for Monte Carlo calculations
+ * @returns {number} - Pinned seed, or the current session seed
+ */
+export function getSimulationSeed() {
+    return pinnedSeed ?? sessionSeed;
+}
+
+/**
+ * Whether the simulation seed is pinned
+ * @returns {boolean}
+ */
+export function isSeedPinned() {
+    return pinnedSeed !== null;
+}
+
+/**
+ * Set the simulation seed
+ * @param {number} seed - New 32-bit seed
+ * @param {boolean} pinned - Keep this seed for sample reveals and future sessions
+ */
+export function setSimulationSeed(seed, pinned = isSeedPinned()) {
+    seed = seed >>> 0;
+    sessionSeed = seed;
+    pinnedSeed = pinned ? seed : null;
+
+    try {
+        if (pinned) {
+            localStorage.setItem(SEED_STORAGE_KEY, String(seed));
+        } else {
+            localStorage.removeItem(SEED_STORAGE_KEY);
+        }
+    } catch (e) {
+        // Storage unavailable (private mode) - pin lasts for this session only
+    }
+}
+
+/**
+ * Seed for a batch of sample reveals: the pinned seed, or a fresh one each run
+ * @returns {number} - 32-bit seed
+ */
+export function nextSampleSeed() {
+    return pinnedSeed ?? randomSeed();
+}
+
 /**
  * Fisher-Yates shuffle (in-place)
  * @param {Array} array - Array to shuffle
+ * @param {Function} rng - Random generator returning [0, 1)
  */
-export function shuffle(array) {
+export function shuffle(array, rng = Math.random) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
 }
@@ -46,16 +164,142 @@ export function shuffle(array) {
  * @param {TypedArray} deck - Deck array
  * @param {number} count - Number of cards to draw
  * @param {number} deckSize - Size of deck
+ * @param {Function} rng - Random generator returning [0, 1)
  */
-export function partialShuffle(deck, count, deckSize) {
+export function partialShuffle(deck, count, deckSize, rng = Math.random) {
     for (let i = 0; i < count; i++) {
-        const j = i + Math.floor(Math.random() * (deckSize - i));
+        const j = i + Math.floor(rng() * (deckSize - i));
         const temp = deck[i];
         deck[i] = deck[j];
         deck[j] = temp;
     }
 }
 
+// z-score for 95% confidence margins
+export const Z_95 = 1.96;
+
+/**
+ * Standard error of a sample mean from running sums
+ * @param {number} sum - Sum of samples
+ * @param {number} sumSq - Sum of squared samples
+ * @param {number} n - Number of samples
+ * @returns {number} - Standard error (Infinity with fewer than 2 samples)
+ */
+export function meanStandardError(sum, sumSq, n) {
+    if (n < 2) return Infinity;
+    const mean = sum / n;
+    const variance = Math.max(0, (sumSq - n * mean * mean) / (n - 1));
+    return Math.sqrt(variance / n);
+}
+
+/**
+ * Standard error of a sample proportion
+ * @param {number} p - Observed proportion
+ * @param {number} n - Number of samples
+ * @returns {number} - Standard error (Infinity with no samples)
+ */
+export function proportionStandardError(p, n) {
+    if (n < 1) return Infinity;
+    return Math.sqrt(p * (1 - p) / n);
+}
+
+/**
+ * Keep running chunks of a simulation until its standard error is small enough
+ *
+ * Chunks are merged strictly in index order, so the stopping point (and the
+ * result) depends only on the seed unless the time budget cuts the run short.
+ *
+ * @param {Object} options
+ * @param {Function} options.runChunk - (index, iterations) => accumulator or Promise; null cancels
+ * @param {Function} options.merge - (a, b) => merged accumulator
+ * @param {Function} options.standardError - accumulator => standard error of the headline metric
+ * @param {number} options.targetError - Stop once the standard error is at or below this
+ * @param {number} options.timeBudget - Stop after this many ms (once minIterations is reached)
+ * @param {number} options.minIterations - Never stop before this many iterations
+ * @param {number} options.maxIterations - Never run more than this many iterations
+ * @param {number} options.chunkSize - Iterations per chunk
+ * @param {number} options.concurrency - Chunks kept in flight at once
+ * @param {Function} options.onProgress - Optional callback with the merged accumulator so far
+ * @returns {Promise<Object|null>} - { acc, converged, standardError }, or null if cancelled
+ */
+export function runUntilConverged({
+    runChunk, merge, standardError, targetError, timeBudget,
+    minIterations, maxIterations, chunkSize, concurrency = 1, onProgress
+}) {
+    const start = Date.now();
+    const results = [];
+    let merged = null;
+    let prefix = 0;
+    let launched = 0;
+    let finished = false;
+
+    return new Promise((resolve, reject) => {
+        const finish = (value) => {
+            finished = true;
+            resolve(value);
+        };
+
+        const isDone = (acc) => {
+            if (acc.iterations >= maxIterations) return true;
+            if (acc.iterations < minIterations) return false;
+            return standardError(acc) <= targetError || Date.now() - start >= timeBudget;
+        };
+
+        const onResult = (index, result) => {
+            if (finished) return;
+            if (result === null) {
+                finish(null);
+                return;
+            }
+
+            results[index] = result;
+            while (results[prefix]) {
+                merged = merged ? merge(merged, results[prefix]) : results[prefix];
+                results[prefix] = null;
+                prefix++;
+
+                if (isDone(merged)) {
+                    const error = standardError(merged);
+                    finish({ acc: merged, converged: error <= targetError, standardError: error });
+                    return;
+                }
+            }
+
+            if (onProgress && merged) onProgress(merged);
+            launch();
+        };
+
+        const launch = () => {
+            while (!finished && launched - prefix < concurrency && launched * chunkSize < maxIterations) {
+                const index = launched++;
+                const iterations = Math.min(chunkSize, maxIterations - index * chunkSize);
+                Promise.resolve(runChunk(index, iterations)).then(
+                    result => onResult(index, result),
+                    error => {
+                        if (!finished) {
+                            finished = true;
+                            reject(error);
+                        }
+                    }
+                );
+            }
+        };
+
+        launch();
+    });
+}
+
+/**
+ * Format the 95% confidence margin for an estimate
+ * @param {number} standardError - Standard error of the estimate
+ * @param {Function} formatter - Formats the margin like the estimate itself
+ * @returns {string} - e.g. "± 0.6%", or '' when the error is unknown
+ */
+export function formatMargin(standardError, formatter = formatNumber) {
+    if (!isFinite(standardError)) return '';
+    return `± ${formatter(Z_95 * standardError)}`;
+}
+
 /**
  * Create a simple LRU cache
  * @param {number} maxSize - Maximum cache size
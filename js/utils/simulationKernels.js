@@ -0,0 +1,139 @@
+/**
+ * Simulation Kernels
+ * Pure Monte Carlo loops shared by the main thread and the simulation workers.
+ * Kernels return accumulators of raw sums so chunks can be merged in any order.
+ */
+
+import { createRng } from './simulation.js';
+import { discover, rashmi, runScenario, createLibrary, revealScenario } from './scenarioEngine.js';
+
+// Iterations per chunk. Jobs are always split the same way, so a given seed
+// produces identical results whether chunks run in workers or inline.
+export const CHUNK_SIZE = 2500;
+
+/**
+ * Measure one discover chain outcome
+ * @param {Object} outcome - Outcome from revealScenario
+ * @returns {Object} - Per-iteration values summed by runScenario
+ */
+function measureDiscover({ hits }) {
+    const spellsCast = hits.length;
+    const freeMana = hits.reduce((sum, card) => sum + card.cmc, 0);
+
+    return {
+        totalFreeMana: freeMana,
+        totalSpellsCast: spellsCast,
+        totalSpellCMC: spellsCast > 0 ? freeMana / spellsCast : 0,
+        successfulDiscoveries: spellsCast > 0 ? 1 : 0,
+        multiDiscoverCount: spellsCast > 1 ? 1 : 0
+    };
+}
+
+/**
+ * Monstrous Vortex - discover chains for a given trigger CMC
+ * @param {Object} params - { deck: [{ types, cmc, isPower5Plus }], discoverCMC }
+ */
+function discoverKernel({ deck, discoverCMC }, iterations, rng) {
+    return runScenario(discover(discoverCMC), deck, iterations, rng, measureDiscover);
+}
+
+/**
+ * Rashmi - one trigger per turn over a number of turns
+ * Revealed cards leave the library either way (cast or put into hand), so each
+ * game walks down a single shuffled library. Per-turn arrays are cumulative.
+ * @param {Object} params - { deck: [{ types, cmc, isX }], castCmc, turns, excludeXSpells }
+ */
+function rashmiKernel({ deck, castCmc, turns, excludeXSpells }, iterations, rng) {
+    const scenario = rashmi(castCmc, excludeXSpells);
+    const library = createLibrary(deck, rng);
+    const acc = {
+        iterations,
+        freeSpellDistribution: new Array(turns + 1).fill(0),
+        freeManaByTurn: new Array(turns).fill(0),
+        cardsToHandByTurn: new Array(turns).fill(0),
+        totalFreeMana: 0,
+        totalFreeManaSq: 0,
+        totalFreeSpells: 0,
+        totalFreeSpellsSq: 0,
+        totalCardsToHand: 0,
+        totalCardsToHandSq: 0
+    };
+
+    for (let iter = 0; iter < iterations; iter++) {
+        library.reset();
+        let position = 0;
+        let freeMana = 0;
+        let freeSpells = 0;
+        let cardsToHand = 0;
+
+        for (let turn = 0; turn < turns; turn++) {
+            const { hits, cardsRevealed } = revealScenario(scenario, library, position);
+            position += cardsRevealed;
+            freeSpells += hits.length;
+            cardsToHand += cardsRevealed - hits.length;
+            hits.forEach(card => { freeMana += card.cmc; });
+
+            acc.freeManaByTurn[turn] += freeMana;
+            acc.cardsToHandByTurn[turn] += cardsToHand;
+        }
+
+        acc.freeSpellDistribution[freeSpells]++;
+        acc.totalFreeMana += freeMana;
+        acc.totalFreeManaSq += freeMana * freeMana;
+        acc.totalFreeSpells += freeSpells;
+        acc.totalFreeSpellsSq += freeSpells * freeSpells;
+        acc.totalCardsToHand += cardsToHand;
+        acc.totalCardsToHandSq += cardsToHand * cardsToHand;
+    }
+
+    return acc;
+}
+
+const KERNELS = {
+    discover: discoverKernel,
+    rashmi: rashmiKernel
+};
+
+/**
+ * Derive the seed for one chunk of a job
+ * @param {number} seed - Job seed
+ * @param {number} index - Chunk index
+ * @returns {number} - 32-bit chunk seed
+ */
+export function chunkSeed(seed, index) {
+    return (seed + Math.imul(index, 0x9e3779b9)) >>> 0;
+}
+
+/**
+ * Run a single chunk of a kernel
+ * @param {string} kernel - Kernel name
+ * @param {Object} params - Kernel parameters (structured-clone safe)
+ * @param {number} iterations - Iterations to run
+ * @param {number} seed - Chunk seed
+ * @returns {Object} - Accumulator
+ */
+export function runKernel(kernel, params, iterations, seed) {
+    const run = KERNELS[kernel];
+    if (!run) {
+        throw new Error(`Unknown simulation kernel: ${kernel}`);
+    }
+    return run(params, iterations, createRng(seed));
+}
+
+/**
+ * Merge two accumulators by summing numbers and arrays element-wise
+ * @param {Object} a - Accumulator
+ * @param {Object} b - Accumulator
+ * @returns {Object} - New merged accumulator
+ */
+export function mergeAccumulators(a, b) {
+    const merged = {};
+    Object.keys(a).forEach(key => {
+        if (Array.isArray(a[key])) {
+            merged[key] = a[key].map((value, i) => value + (b[key][i] || 0));
+        } else {
+            merged[key] = a[key] + b[key];
+        }
+    });
+    return merged;
+}
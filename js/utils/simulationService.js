@@ -0,0 +1,237 @@
+/**
+ * Simulation Service
+ * Splits Monte Carlo jobs into seeded chunks and runs them on a pool of Web Workers
+ * until each result converges.
+ * Falls back to running chunks on the main thread (one per tick) when workers are unavailable.
+ */
+
+import { CHUNK_SIZE, chunkSeed, runKernel, mergeAccumulators } from './simulationKernels.js';
+import { runUntilConverged } from './simulation.js';
+
+const MAX_WORKERS = 8;
+const PROGRESS_INTERVAL = 100; // ms between partial result callbacks
+
+/**
+ * Number of workers to use on this device
+ * @returns {number}
+ */
+function getPoolSize() {
+    const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+    return Math.max(1, Math.min(cores || 2, MAX_WORKERS));
+}
+
+/**
+ * Create a pool of simulation workers
+ * @param {number} size - Number of workers
+ * @returns {Object} - Pool with run/discard/terminate methods
+ */
+export function createWorkerPool(size = getPoolSize()) {
+    const slots = [];
+    const queue = [];
+    let useInline = typeof Worker === 'undefined';
+    let inlineScheduled = false;
+
+    const runInline = (task) => {
+        const { kernel, params, iterations, seed } = task.message;
+        try {
+            task.resolve(runKernel(kernel, params, iterations, seed));
+        } catch (error) {
+            task.reject(error);
+        }
+    };
+
+    const fallBackToInline = (reason) => {
+        console.warn('Simulation workers unavailable, running on main thread:', reason);
+        useInline = true;
+
+        // Requeue anything that was in flight
+        slots.forEach(slot => {
+            if (slot.task) queue.unshift(slot.task);
+            slot.worker.terminate();
+        });
+        slots.length = 0;
+        dispatch();
+    };
+
+    const spawn = () => {
+        const worker = new Worker(new URL('../workers/simulation.worker.js', import.meta.url), { type: 'module' });
+        const slot = { worker, task: null };
+
+        worker.addEventListener('message', (event) => {
+            const task = slot.task;
+            slot.task = null;
+            if (task) {
+                if (event.data.type === 'error') {
+                    task.reject(new Error(event.data.message));
+                } else {
+                    task.resolve(event.data.result);
+                }
+            }
+            dispatch();
+        });
+
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            fallBackToInline(event.message || 'worker failed to load');
+        });
+
+        return slot;
+    };
+
+    function dispatch() {
+        if (useInline) {
+            // Yield between chunks so the page stays responsive and jobs can be cancelled
+            if (queue.length > 0 && !inlineScheduled) {
+                inlineScheduled = true;
+                setTimeout(() => {
+                    inlineScheduled = false;
+                    const task = queue.shift();
+                    if (task) runInline(task);
+                    dispatch();
+                }, 0);
+            }
+            return;
+        }
+
+        if (slots.length === 0) {
+            try {
+                for (let i = 0; i < size; i++) {
+                    slots.push(spawn());
+                }
+            } catch (error) {
+                fallBackToInline(error.message);
+                return;
+            }
+        }
+
+        slots.forEach(slot => {
+            if (slot.task || queue.length === 0) return;
+            slot.task = queue.shift();
+            slot.worker.postMessage({ type: 'run', ...slot.task.message });
+        });
+    }
+
+    return {
+        /**
+         * Queue one chunk
+         * @param {Object} message - { kernel, params, iterations, seed }
+         * @param {Object} token - Task token used by discard()
+         * @returns {Promise<Object|null>} - Accumulator, or null if discarded
+         */
+        run(message, token) {
+            return new Promise((resolve, reject) => {
+                queue.push({ message, token, resolve, reject });
+                dispatch();
+            });
+        },
+
+        /**
+         * Drop queued chunks whose token matches
+         * @param {Function} predicate - token => boolean
+         */
+        discard(predicate) {
+            for (let i = queue.length - 1; i >= 0; i--) {
+                if (predicate(queue[i].token)) {
+                    queue[i].resolve(null);
+                    queue.splice(i, 1);
+                }
+            }
+        },
+
+        terminate() {
+            slots.forEach(slot => slot.worker.terminate());
+            slots.length = 0;
+            queue.forEach(task => task.resolve(null));
+            queue.length = 0;
+        }
+    };
+}
+
+let pool = null;
+const activeJobs = new Map();
+
+/**
+ * Cancel the in-flight job for a group, if any
+ * @param {string} group - Job group (usually the calculator name)
+ */
+export function cancelSimulation(group) {
+    const job = activeJobs.get(group);
+    if (job && pool) {
+        pool.discard(token => token.job === job);
+    }
+    activeJobs.delete(group);
+}
+
+/**
+ * Run a set of simulation tasks on the worker pool
+ * Each task keeps sampling until its standard error reaches the target or its
+ * time budget runs out. Starting a job cancels the previous job in the same group.
+ *
+ * @param {string} group - Job group (usually the calculator name)
+ * @param {Object} tasks - Map of key -> task
+ *   { kernel, params, seed, standardError(acc), targetError, timeBudget, minIterations, maxIterations }
+ * @param {Object} options - { onProgress(partials) } for streaming partial accumulators
+ * @returns {Promise<Object|null>} - Map of key -> { acc, converged, standardError }, or null if superseded
+ */
+export function runSimulationJob(group, tasks, { onProgress } = {}) {
+    cancelSimulation(group);
+
+    const keys = Object.keys(tasks);
+    if (keys.length === 0) {
+        return Promise.resolve({});
+    }
+
+    if (!pool) {
+        pool = createWorkerPool();
+    }
+
+    const job = {};
+    activeJobs.set(group, job);
+    const isActive = () => activeJobs.get(group) === job;
+
+    const partials = {};
+    let lastProgress = Date.now();
+
+    const runs = keys.map(key => {
+        const { kernel, params, seed, ...convergence } = tasks[key];
+        const token = { job, key };
+
+        return runUntilConverged({
+            ...convergence,
+            chunkSize: CHUNK_SIZE,
+            concurrency: getPoolSize(),
+            merge: mergeAccumulators,
+            runChunk: (index, iterations) => {
+                if (!isActive()) return null;
+                const message = { kernel, params, iterations, seed: chunkSeed(seed, index) };
+                return pool.run(message, token).then(result => (isActive() ? result : null));
+            },
+            onProgress: (acc) => {
+                partials[key] = acc;
+
+                const now = Date.now();
+                if (onProgress && isActive() && now - lastProgress >= PROGRESS_INTERVAL &&
+                    Object.keys(partials).length === keys.length) {
+                    lastProgress = now;
+                    onProgress({ ...partials });
+                }
+            }
+        }).then(outcome => {
+            // Drop chunks queued past the stopping point
+            pool.discard(t => t === token);
+            return outcome;
+        });
+    });
+
+    return Promise.all(runs).then(outcomes => {
+        if (!isActive() || outcomes.includes(null)) return null;
+        activeJobs.delete(group);
+
+        const results = {};
+        keys.forEach((key, i) => { results[key] = outcomes[i]; });
+        return results;
+    }, (error) => {
+        if (isActive()) cancelSimulation(group);
+        throw error;
+    });
+}
@@ -7,7 +7,7 @@
  * Render a multi-column comparison table to a DOM element
  * @param {string} elementId - ID of the container element
  * @param {Array<string>} headers - Array of header text
- * @param {Array<Array<string|number|Object>>} rows - Array of rows, where each cell can be a value or {value, class}
+ * @param {Array<Array<string|number|Object>>} rows - Array of rows, where each cell can be a value or {value, class, margin}
  * @param {Object} options - formatting options (highlightRowIndex, tableClass)
  */
 export function renderMultiColumnTable(elementId, headers, rows, options = {}) {
@@ -49,10 +49,13 @@ export function renderMultiColumnTable(elementId, headers, rows, options = {}) {
             let value = cell;
             let cellClass = '';
             
-            // Allow cell to be { value: '...', class: '...' }
+            // Allow cell to be { value: '...', class: '...', margin: '± ...' }
             if (cell !== null && typeof cell === 'object' && cell.value !== undefined) {
                 value = cell.value;
                 cellClass = cell.class || '';
+                if (cell.margin) {
+                    value += ` <span class="ci-margin">${cell.margin}</span>`;
+                }
             }
             
             html += `<td class="${cellClass}">${value}</td>`;
@@ -75,3 +78,25 @@ export function clearTable(elementId) {
         element.innerHTML = '';
     }
 }
+
+/**
+ * Build a cell showing how the current deck (A) differs from the comparison deck (B)
+ * @param {number} a - Deck A value
+ * @param {number|undefined} b - Deck B value (missing values show '-')
+ * @param {Object} options - { format(diff), higherIsBetter, epsilon }
+ * @returns {Object} - Cell { value, class } for renderMultiColumnTable
+ */
+export function deltaCell(a, b, { format = diff => diff.toFixed(2), higherIsBetter = true, epsilon = 1e-6 } = {}) {
+    if (b === undefined || b === null || Number.isNaN(b) || a === undefined || a === null) {
+        return { value: '-', class: '' };
+    }
+
+    const diff = a - b;
+    const better = higherIsBetter ? diff > epsilon : diff < -epsilon;
+    const worse = higherIsBetter ? diff < -epsilon : diff > epsilon;
+
+    return {
+        value: (diff >= 0 ? '+' : '') + format(diff),
+        class: better ? 'marginal-positive' : (worse ? 'marginal-negative' : '')
+    };
+}
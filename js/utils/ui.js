@@ -164,6 +164,19 @@ export function autoExpandResults() {
     }
 }
 
+/**
+ * Escape text for insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Show toast notification
  * @param {string} message - Toast message
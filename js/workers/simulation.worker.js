@@ -0,0 +1,22 @@
+/**
+ * Simulation Worker
+ * Runs Monte Carlo chunks off the main thread.
+ *
+ * Protocol:
+ *   in:  { type: 'run', kernel, params, iterations, seed }
+ *   out: { type: 'result', result } | { type: 'error', message }
+ */
+
+import { runKernel } from '../utils/simulationKernels.js';
+
+self.addEventListener('message', (event) => {
+    const { type, kernel, params, iterations, seed } = event.data;
+    if (type !== 'run') return;
+
+    try {
+        const result = runKernel(kernel, params, iterations, seed);
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
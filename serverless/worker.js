@@ -1,3 +1,24 @@
+// Deck sites the client imports from (see js/utils/deckImporters.js).
+// Scryfall is called directly, so it isn't proxied.
+const ALLOWED_HOSTS = [
+  "moxfield.com",
+  "archidekt.com",
+  "tappedout.net",
+  "deckstats.net",
+  "mtggoldfish.com",
+  "aetherhub.com",
+];
+
+function isAllowedUrl(targetUrl) {
+  try {
+    const { protocol, hostname } = new URL(targetUrl);
+    return protocol === "https:" &&
+      ALLOWED_HOSTS.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+  } catch (error) {
+    return false;
+  }
+}
+
 export default {
   async fetch(request, env) {
     // Handle CORS preflight requests
@@ -18,9 +39,9 @@ export default {
       return new Response("Missing 'url' query parameter", { status: 400 });
     }
 
-    // Only allow Moxfield URLs for security
-    if (!targetUrl.includes("moxfield.com")) {
-      return new Response("Only Moxfield URLs are allowed", { status: 403 });
+    // Only allow known deck sites for security
+    if (!isAllowedUrl(targetUrl)) {
+      return new Response("Only deck site URLs are allowed", { status: 403 });
     }
 
     try {
@@ -31,15 +52,17 @@ export default {
       const response = await fetch(targetUrl, {
         headers: {
           "User-Agent": userAgent,
-          "Accept": "application/json"
+          "Accept": "application/json, text/plain, text/html"
         }
       });
 
       const data = await response.text();
 
       return new Response(data, {
+        status: response.status,
         headers: {
-          "Content-Type": "application/json",
+          // Some sites return HTML or plain text decklists
+          "Content-Type": response.headers.get("Content-Type") || "application/json",
           "Access-Control-Allow-Origin": "*", // Allow your GitHub Pages site to access this
         },
       });